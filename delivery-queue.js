@@ -0,0 +1,166 @@
+// Delivery Queue
+// The retry machinery behind the email outbox and the WhatsApp/SMS notifications.
+// Entries live in one collection of the JSON store. Delivery is tried as soon as an
+// entry is queued, then by a poller with exponential backoff (baseSeconds *
+// 2^(attempts - 1)) until it is sent, the failure is permanent or the attempts run
+// out. A queue may hand an entry that has run out to a fallback (the notifications
+// move on to the next channel) for a fresh set of attempts; otherwise it is marked
+// failed and can be resent by an admin.
+const crypto = require("crypto");
+
+class DeliveryQueue {
+  // store: { load() -> the collection, save() }; deliver(entry) -> { messageId }.
+  // fallback(entry) returns true when it has re-pointed the entry for another try;
+  // attemptDetails(entry) adds fields (e.g. the channel) to each history item.
+  constructor({
+    name,
+    idPrefix,
+    store,
+    deliver,
+    maxAttempts = 5,
+    baseSeconds = 60,
+    pollSeconds = 30,
+    retentionDays = null,
+    isPermanentFailure = error => error.permanent === true,
+    fallback = null,
+    attemptDetails = () => ({})
+  }) {
+    this.name = name;
+    this.idPrefix = idPrefix;
+    this.store = store;
+    this.deliver = deliver;
+    this.maxAttempts = maxAttempts;
+    this.baseSeconds = baseSeconds;
+    this.pollSeconds = pollSeconds;
+    this.retentionDays = retentionDays;
+    this.isPermanentFailure = isPermanentFailure;
+    this.fallback = fallback;
+    this.attemptDetails = attemptDetails;
+    this.inFlight = new Set();
+  }
+
+  find(id) {
+    return this.store.load()[id] || null;
+  }
+
+  // Stores a new entry from fields and starts its first attempt
+  enqueue(fields) {
+    const entries = this.store.load();
+    const now = new Date().toISOString();
+    const entry = {
+      id: `${this.idPrefix}_${crypto.randomBytes(8).toString("hex")}`,
+      ...fields,
+      status: "queued",
+      attempts: 0,
+      maxAttempts: this.maxAttempts,
+      nextAttemptAt: now,
+      lastError: null,
+      history: [],
+      createdAt: now,
+      updatedAt: now
+    };
+    entries[entry.id] = entry;
+    this.store.save();
+
+    setImmediate(() => this.attempt(entry.id));
+    return entry;
+  }
+
+  async attempt(id) {
+    const entry = this.find(id);
+
+    if (!entry || entry.status !== "queued" || this.inFlight.has(id)) {
+      return entry;
+    }
+
+    this.inFlight.add(id);
+    try {
+      const result = await this.deliver(entry);
+
+      entry.attempts += 1;
+      entry.status = "sent";
+      entry.nextAttemptAt = null;
+      entry.providerMessageId = (result && result.messageId) || null;
+      entry.sentAt = new Date().toISOString();
+      entry.history.push({ attempt: entry.attempts, ...this.attemptDetails(entry), sent: true, at: entry.sentAt });
+      entry.updatedAt = entry.sentAt;
+      this.store.save();
+      console.log(`${this.name} ${entry.id} sent on attempt ${entry.attempts}:`, entry.providerMessageId);
+      return entry;
+    } catch (error) {
+      return this.recordFailure(entry, error);
+    } finally {
+      this.inFlight.delete(id);
+    }
+  }
+
+  recordFailure(entry, error) {
+    entry.attempts += 1;
+    entry.lastError = error.message;
+    entry.history.push({
+      attempt: entry.attempts,
+      ...this.attemptDetails(entry),
+      error: error.message,
+      code: error.responseCode || error.code || null,
+      at: new Date().toISOString()
+    });
+    entry.updatedAt = new Date().toISOString();
+
+    if (!this.isPermanentFailure(error) && entry.attempts < entry.maxAttempts) {
+      const delaySeconds = this.baseSeconds * 2 ** (entry.attempts - 1);
+      entry.nextAttemptAt = new Date(Date.now() + delaySeconds * 1000).toISOString();
+      console.log(`${this.name} ${entry.id} queued for retry at ${entry.nextAttemptAt}`);
+    } else if (this.fallback && this.fallback(entry)) {
+      entry.attempts = 0;
+      entry.nextAttemptAt = new Date().toISOString();
+      setImmediate(() => this.attempt(entry.id));
+    } else {
+      entry.status = "failed";
+      entry.nextAttemptAt = null;
+      entry.failedAt = new Date().toISOString();
+      console.error(`${this.name} ${entry.id} failed after ${entry.attempts} attempt(s): ${error.message}`);
+    }
+    this.store.save();
+    return entry;
+  }
+
+  // Gives a failed entry a fresh set of attempts and tries it straight away
+  resend(id) {
+    const entry = this.find(id);
+
+    entry.status = "queued";
+    entry.attempts = 0;
+    entry.nextAttemptAt = new Date().toISOString();
+    entry.failedAt = null;
+    entry.history.push({ event: "resent", at: new Date().toISOString() });
+    this.store.save();
+    return this.attempt(id);
+  }
+
+  // Sends whatever is due and drops sent entries older than the retention window
+  async process() {
+    const entries = this.store.load();
+    const now = new Date().toISOString();
+
+    if (this.retentionDays) {
+      const cutoff = new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000).toISOString();
+      const expired = Object.values(entries).filter(entry => entry.status === "sent" && entry.sentAt < cutoff);
+      if (expired.length) {
+        expired.forEach(entry => delete entries[entry.id]);
+        this.store.save();
+      }
+    }
+
+    const due = Object.values(entries).filter(entry => entry.status === "queued" && entry.nextAttemptAt <= now);
+    for (const entry of due) {
+      await this.attempt(entry.id);
+    }
+  }
+
+  start() {
+    setInterval(() => this.process(), this.pollSeconds * 1000);
+    return this;
+  }
+}
+
+module.exports = { DeliveryQueue };
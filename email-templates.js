@@ -0,0 +1,776 @@
+// Email Templates
+// Every customer email is rendered from one shared layout and a handful of
+// partials (product table, address block, summary card...). Templates are
+// written with the html`` tag, which escapes every interpolated value unless it
+// is itself markup built with html``, so customer-supplied text can never inject
+// HTML. Branding (name, logo, colours, support address) comes from the
+// storefront tenant, and the plain-text alternative is generated from the
+// rendered HTML.
+const DEFAULT_BRANDING = {
+  primaryColor: "#667eea",
+  accentColor: "#764ba2",
+  logoUrl: null,
+  supportEmail: null
+};
+
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function renderValue(value) {
+  if (value === null || value === undefined || value === false) {
+    return "";
+  }
+  if (Array.isArray(value)) {
+    return value.map(renderValue).join("");
+  }
+  return value instanceof SafeHtml ? value.value : escapeHtml(value);
+}
+
+function html(strings, ...values) {
+  return new SafeHtml(strings.reduce((out, string, index) => out + string + (index < values.length ? renderValue(values[index]) : ""), ""));
+}
+
+function htmlToText(markup) {
+  const entities = { amp: "&", lt: "<", gt: ">", quot: '"', "#39": "'", nbsp: " " };
+
+  return String(markup)
+    .replace(/<(head|style|script)[^>]*>[\s\S]*?<\/\1>/gi, "")
+    .replace(/<!--[\s\S]*?-->/g, "")
+    // Line breaks in the markup aren't meaningful; only the tags below start new lines
+    .replace(/\s+/g, " ")
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+      const text = label.replace(/<[^>]+>/g, "").trim();
+      const url = href.replace(/^mailto:/, "");
+      return text && text !== url ? `${text} (${url})` : url;
+    })
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(td|th)>/gi, " ")
+    .replace(/<(h[1-6]|table)[^>]*>/gi, "\n")
+    .replace(/<\/(p|div|h[1-6]|tr|table|li)>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (match, name) => entities[name])
+    .split("\n")
+    .map(line => line.replace(/[ \t]+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// Colours end up inside style attributes, so only plain hex values are accepted
+function brandColor(value, fallback) {
+  return /^#[0-9a-f]{3,8}$/i.test(String(value || "")) ? value : fallback;
+}
+
+function resolveBranding(tenant) {
+  const branding = (tenant && tenant.branding) || {};
+  const name = (tenant && tenant.name) || "Our Store";
+
+  const primaryColor = brandColor(branding.primaryColor, DEFAULT_BRANDING.primaryColor);
+
+  return {
+    name,
+    logoUrl: branding.logoUrl || DEFAULT_BRANDING.logoUrl,
+    supportEmail: branding.supportEmail || DEFAULT_BRANDING.supportEmail,
+    primaryColor,
+    // A storefront that only sets a primary colour gets a solid header
+    accentColor: brandColor(branding.accentColor, branding.primaryColor ? primaryColor : DEFAULT_BRANDING.accentColor)
+  };
+}
+
+function gradient(branding) {
+  return `linear-gradient(135deg, ${branding.primaryColor} 0%, ${branding.accentColor} 100%)`;
+}
+
+// Layout
+
+function layout({ branding, title, subtitle, icon, recipient, footerTitle, footerMessage, unsubscribeUrl, body }) {
+  return html`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title}</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f8f9fa;">
+    <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="background-color: #f8f9fa;">
+        <tr>
+            <td align="center" style="padding: 20px 0;">
+                <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="600" style="max-width: 600px; background-color: #ffffff; border-radius: 12px; box-shadow: 0 4px 20px rgba(0,0,0,0.1); overflow: hidden;">
+
+                    <!-- Header -->
+                    <tr>
+                        <td style="background: ${gradient(branding)}; padding: 40px 30px; text-align: center;">
+                            ${icon ? html`<div style="background-color: white; width: 80px; height: 80px; border-radius: 50%; margin: 0 auto 20px; display: flex; align-items: center; justify-content: center; box-shadow: 0 4px 15px rgba(0,0,0,0.2);">
+                                <img src="${icon}" alt="" style="width: 50px; height: 50px;">
+                            </div>` : ""}
+                            <h1 style="color: white; margin: 0; font-size: 28px; font-weight: 700; text-shadow: 0 2px 4px rgba(0,0,0,0.3);">${title}</h1>
+                            ${subtitle ? html`<p style="color: rgba(255,255,255,0.9); margin: 10px 0 0; font-size: 16px;">${subtitle}</p>` : ""}
+                        </td>
+                    </tr>
+
+                    <!-- Main Content -->
+                    <tr>
+                        <td style="padding: 40px 30px;">
+                            ${body}
+                        </td>
+                    </tr>
+
+                    <!-- Footer -->
+                    <tr>
+                        <td style="background-color: #2c3e50; padding: 30px; text-align: center;">
+                            ${branding.logoUrl ? html`<div style="margin-bottom: 20px;">
+                                <img src="${branding.logoUrl}" alt="${branding.name}" style="width: 60px; height: 60px; opacity: 0.8;">
+                            </div>` : ""}
+                            ${footerTitle ? html`<p style="color: white; margin: 0 0 10px; font-size: 18px; font-weight: 600;">${footerTitle}</p>` : ""}
+                            ${footerMessage ? html`<p style="color: rgba(255,255,255,0.8); margin: 0 0 20px; font-size: 14px;">${footerMessage}</p>` : ""}
+                            <p style="color: rgba(255,255,255,0.6); margin: 0; font-size: 12px;">
+                                © ${new Date().getFullYear()} ${branding.name}. All rights reserved.
+                                ${recipient ? html`<br>This email was sent to ${recipient}` : ""}
+                                ${unsubscribeUrl ? html`<br><a href="${unsubscribeUrl}" style="color: rgba(255,255,255,0.6);">Unsubscribe from these reminders</a>` : ""}
+                            </p>
+                        </td>
+                    </tr>
+
+                </table>
+            </td>
+        </tr>
+    </table>
+</body>
+</html>`;
+}
+
+// Partials
+
+function greeting(name, message) {
+  return html`<div style="margin-bottom: 30px;">
+    <h2 style="color: #2c3e50; margin: 0 0 15px; font-size: 24px; font-weight: 600;">Hello${name ? ` ${name}` : ""}! 👋</h2>
+    <p style="color: #5a6c7d; line-height: 1.6; margin: 0; font-size: 16px;">${message}</p>
+</div>`;
+}
+
+function paragraph(text) {
+  return html`<p style="color: #5a6c7d; line-height: 1.6; margin: 0 0 15px; font-size: 16px;">${text}</p>`;
+}
+
+// rows: [{ label, value, color, emphasis: "total" | "small" }]; falsy rows are skipped
+function summaryCard(title, rows) {
+  return html`<div style="background: linear-gradient(145deg, #f8f9ff 0%, #e8f2ff 100%); border-radius: 12px; padding: 25px; margin-bottom: 30px; border: 1px solid #e3f2fd;">
+    ${title ? html`<h3 style="color: #2c3e50; margin: 0 0 20px; font-size: 20px; font-weight: 600;">${title}</h3>` : ""}
+    <table style="width: 100%; border-collapse: collapse;">
+        ${rows.filter(Boolean).map(row => html`<tr>
+            <td style="padding: 8px 0; color: #5a6c7d; font-weight: 500;">${row.label}:</td>
+            <td style="padding: 8px 0; color: ${row.color || "#2c3e50"}; font-weight: ${row.emphasis === "total" ? 700 : 600}; text-align: right;${row.emphasis === "total" ? " font-size: 18px;" : row.emphasis === "small" ? " font-size: 12px;" : ""}">${row.value}</td>
+        </tr>`)}
+    </table>
+</div>`;
+}
+
+function callout(title, lines) {
+  return html`<div style="background: linear-gradient(145deg, #fff8e1 0%, #ffecb3 100%); border: 2px solid #ffc107; border-radius: 12px; padding: 25px; margin-bottom: 30px;">
+    ${title ? html`<h3 style="color: #f57c00; margin: 0 0 15px; font-size: 18px; font-weight: 600;">${title}</h3>` : ""}
+    ${lines.map(line => html`<p style="margin: 0 0 10px; color: #ef6c00; font-size: 16px; line-height: 1.6;">${line}</p>`)}
+</div>`;
+}
+
+function productTable(orderDetails, branding, fallbackName) {
+  const currency = orderDetails.currency || "₹";
+
+  if (Array.isArray(orderDetails.products) && orderDetails.products.length > 0) {
+    return html`<div style="border: 1px solid #e3f2fd; border-radius: 8px; overflow: hidden; margin-bottom: 30px;">
+    <table style="width: 100%; border-collapse: collapse;">
+        <thead>
+            <tr style="background: ${gradient(branding)};">
+                <th style="text-align: left; padding: 15px; color: white; font-weight: 600;">Product</th>
+                <th style="text-align: center; padding: 15px; color: white; font-weight: 600;">Qty</th>
+                <th style="text-align: right; padding: 15px; color: white; font-weight: 600;">Price</th>
+            </tr>
+        </thead>
+        <tbody>
+            ${orderDetails.products.map((product, index) => html`<tr style="background-color: ${index % 2 === 0 ? "#f8f9ff" : "#ffffff"};">
+                <td style="padding: 15px; color: #2c3e50; font-weight: 500; border-bottom: 1px solid #e9ecef;">${product.name || "N/A"}</td>
+                <td style="text-align: center; padding: 15px; color: #5a6c7d; font-weight: 600; border-bottom: 1px solid #e9ecef;">${product.quantity || "1"}</td>
+                <td style="text-align: right; padding: 15px; color: #27ae60; font-weight: 700; border-bottom: 1px solid #e9ecef;">${currency} ${product.price || "0"}</td>
+            </tr>`)}
+        </tbody>
+    </table>
+</div>`;
+  }
+
+  return html`<div style="background-color: #f8f9ff; border: 1px solid #e3f2fd; border-radius: 8px; padding: 20px; margin-bottom: 30px;">
+    <h4 style="color: #2c3e50; margin: 0 0 5px; font-size: 18px; font-weight: 600;">${orderDetails.productName || fallbackName || "N/A"}</h4>
+    <p style="color: #5a6c7d; margin: 0; font-size: 14px;">Quantity: ${orderDetails.quantity || "1"}</p>
+</div>`;
+}
+
+function addressLines(customer) {
+  const place = [customer.city, customer.state].filter(Boolean).join(", ");
+  const lines = [
+    customer.address,
+    customer.apartment,
+    [place, customer.zip].filter(Boolean).join(" - ")
+  ].filter(Boolean);
+  return lines.length > 0 && customer.country ? [...lines, customer.country] : lines;
+}
+
+// Customer contact details and shipping address side by side
+function addressBlock(customer, email, addressTitle = "Shipping Address") {
+  const lines = addressLines(customer);
+
+  return html`<div style="display: flex; gap: 20px; margin-bottom: 30px;">
+    <div style="flex: 1; background-color: #f8f9ff; border: 1px solid #e3f2fd; border-radius: 8px; padding: 20px;">
+        <h4 style="color: #2c3e50; margin: 0 0 15px; font-size: 16px; font-weight: 600;">Customer Details</h4>
+        <p style="color: #2c3e50; margin: 0 0 8px; font-weight: 600;">${[customer.firstName, customer.lastName].filter(Boolean).join(" ")}</p>
+        ${email ? html`<p style="color: #5a6c7d; margin: 0 0 5px; font-size: 14px;">${email}</p>` : ""}
+        <p style="color: #5a6c7d; margin: 0; font-size: 14px;">${customer.phone || "Phone not provided"}</p>
+    </div>
+    <div style="flex: 1; background-color: #f8f9ff; border: 1px solid #e3f2fd; border-radius: 8px; padding: 20px;">
+        <h4 style="color: #2c3e50; margin: 0 0 15px; font-size: 16px; font-weight: 600;">${addressTitle}</h4>
+        <div style="color: #5a6c7d; font-size: 14px; line-height: 1.5;">
+            ${lines.length > 0 ? lines.map((line, index) => html`${index > 0 ? html`<br>` : ""}${line}`) : "Address not provided"}
+        </div>
+    </div>
+</div>`;
+}
+
+// steps: [{ label, detail, state: "done" | "current" | "pending" }]
+function timeline(title, steps) {
+  const colors = { done: "#27ae60", current: "#f39c12", pending: "#bdc3c7" };
+
+  return html`<div style="background: linear-gradient(145deg, #e8f5e8 0%, #f0f8f0 100%); border: 1px solid #c8e6c9; border-radius: 12px; padding: 25px; margin-bottom: 30px;">
+    <h3 style="color: #2c3e50; margin: 0 0 20px; font-size: 20px; font-weight: 600;">${title}</h3>
+    ${steps.map((step, index) => html`<div style="display: flex; align-items: center;${index < steps.length - 1 ? " margin-bottom: 15px;" : ""}">
+        <div style="width: 12px; height: 12px; background-color: ${colors[step.state]}; border-radius: 50%; margin-right: 15px;"></div>
+        <div>
+            <p style="color: ${step.state === "pending" ? "#5a6c7d" : colors[step.state]}; margin: 0; font-weight: 600; font-size: 14px;">${step.label}</p>
+            <p style="color: #5a6c7d; margin: 0; font-size: 12px;">${step.detail}</p>
+        </div>
+    </div>`)}
+</div>`;
+}
+
+function button(branding, href, label, prompt) {
+  return html`<div style="text-align: center; margin-bottom: 30px;">
+    ${prompt ? html`<p style="color: #5a6c7d; margin: 0 0 20px; font-size: 16px;">${prompt}</p>` : ""}
+    <a href="${href}" style="display: inline-block; background: ${gradient(branding)}; color: white; text-decoration: none; padding: 12px 30px; border-radius: 25px; font-weight: 600; font-size: 16px; box-shadow: 0 4px 15px rgba(0,0,0,0.2);">${label}</a>
+</div>`;
+}
+
+function supportButton(branding, prompt) {
+  return branding.supportEmail ? button(branding, `mailto:${branding.supportEmail}`, "Contact Support", prompt) : "";
+}
+
+function money(currency, amount) {
+  return `${currency || "₹"} ${amount}`;
+}
+
+function balanceDue(orderDetails) {
+  return orderDetails.balanceAmount || (orderDetails.totalAmount - (orderDetails.advanceAmount || orderDetails.paidAmount));
+}
+
+// Templates
+// Each template takes the data its email route already has, returns the subject
+// and layout options, and carries sample data for the preview endpoint.
+const sampleCustomer = {
+  firstName: "Asha",
+  lastName: "Kumar",
+  email: "asha@example.com",
+  phone: "9876543210",
+  address: "12 MG Road, Camp",
+  apartment: "Flat 4B",
+  city: "Pune",
+  state: "Maharashtra",
+  zip: "411001",
+  country: "India"
+};
+const sampleOrderDetails = {
+  orderNumber: "ORD-1001",
+  products: [
+    { name: "Pain Relief Oil (100 ml)", quantity: 2, price: "1,998.00" },
+    { name: "Knee Support Band", quantity: 1, price: "499.00" }
+  ],
+  totalAmount: "2,497.00",
+  currency: "₹",
+  paymentMethod: "Razorpay",
+  paymentId: "pay_SampleA1b2C3"
+};
+
+const templates = {
+  "order-confirmation": {
+    description: "Sent to the customer once an order is paid",
+    subject: ({ orderDetails }) => `Order Confirmation #${orderDetails.orderNumber}`,
+    render: ({ orderDetails, customerDetails = {}, customerEmail }, branding) => ({
+      title: "Order Confirmed!",
+      subtitle: "Thank you for your purchase",
+      recipient: customerEmail,
+      footerTitle: "Thank you for shopping with us!",
+      body: html`
+        ${greeting(customerDetails.firstName, "Thank you for your order! We're pleased to confirm that your order has been successfully placed.")}
+        ${summaryCard("Order Summary", [
+          { label: "Order Number", value: `#${orderDetails.orderNumber}`, emphasis: "total" },
+          { label: "Total Amount", value: money(orderDetails.currency, orderDetails.totalAmount), color: "#27ae60", emphasis: "total" },
+          { label: "Payment Method", value: orderDetails.paymentMethod || "N/A" },
+          { label: "Payment ID", value: orderDetails.paymentId || "N/A", emphasis: "small" }
+        ])}
+        ${productTable(orderDetails, branding)}
+        ${addressBlock(customerDetails, customerEmail)}
+        ${paragraph("We will process your order shortly. You will receive another email once your order ships.")}
+        ${supportButton(branding, "Need help with your order?")}`
+    }),
+    sample: { orderDetails: sampleOrderDetails, customerDetails: sampleCustomer, customerEmail: sampleCustomer.email }
+  },
+
+  "abandoned-order": {
+    description: "Follow-up for a checkout the customer started but didn't pay for",
+    subject: ({ orderDetails }) => `We noticed you didn't complete your order #${orderDetails.orderNumber}`,
+    render: ({ orderDetails, customerDetails = {}, customerEmail }, branding) => ({
+      title: "Your Shopping Cart is Waiting",
+      subtitle: "Your items are still saved for you",
+      recipient: customerEmail,
+      footerTitle: "Thank you for considering our products!",
+      body: html`
+        ${greeting(customerDetails.firstName, "We noticed that you recently started an order on our website but didn't complete the checkout process.")}
+        ${summaryCard("Order Summary", [
+          { label: "Order Number", value: `#${orderDetails.orderNumber}`, emphasis: "total" },
+          { label: "Total Amount", value: money(orderDetails.currency, orderDetails.totalAmount), color: "#27ae60", emphasis: "total" }
+        ])}
+        ${productTable(orderDetails, branding)}
+        ${addressBlock(customerDetails, customerDetails.email || customerEmail)}
+        ${paragraph("We'd love to know if you experienced any issues during checkout or if you have any questions about our product. You can simply reply to this email, and we'll be happy to assist you.")}
+        ${paragraph("If you'd like to complete your purchase, you can return to our website and try again.")}
+        ${supportButton(branding, "Questions about your order?")}`
+    }),
+    sample: {
+      orderDetails: { ...sampleOrderDetails, paymentId: undefined },
+      customerDetails: sampleCustomer,
+      customerEmail: sampleCustomer.email
+    }
+  },
+
+  "abandoned-cart": {
+    description: "Server-sent reminder sequence for a checkout that was never paid (one email per step)",
+    subject: ({ order, step, totalSteps }) => {
+      if (step === 1) {
+        return "You left something in your cart";
+      }
+      return step === totalSteps
+        ? `Last chance to complete your order #${order.receipt}`
+        : "Your cart is still waiting for you";
+    },
+    render: ({ order, step, totalSteps, resumeUrl, unsubscribeUrl }, branding) => {
+      const customer = order.customer || {};
+      const lines = (order.cart && order.cart.lines) || [];
+      const orderDetails = {
+        products: lines.map(line => ({ name: line.name, quantity: line.quantity, price: (line.total / 100).toFixed(2) })),
+        currency: currencySymbol(order)
+      };
+      const isLast = step > 1 && step === totalSteps;
+
+      return {
+        title: isLast ? "Your Cart Is About to Expire" : "Your Shopping Cart is Waiting",
+        subtitle: "Your items are still saved for you",
+        recipient: customer.email,
+        footerTitle: "Thank you for considering our products!",
+        unsubscribeUrl,
+        body: html`
+          ${greeting(customer.firstName, step === 1
+            ? "It looks like you didn't get to finish your checkout. We've saved your cart so you can pick up right where you left off."
+            : "Your cart is still saved, but we can't hold it forever. Complete your order now so you don't miss out.")}
+          ${summaryCard("Order Summary", [
+            { label: "Order Number", value: `#${order.receipt}`, emphasis: "total" },
+            { label: order.paymentMode === "advance" ? "Order Total" : "Total Amount", value: money(currencySymbol(order), order.totalAmount || order.amount), color: "#27ae60", emphasis: "total" },
+            order.paymentMode === "advance" ? { label: "Pay Now (Advance)", value: money(currencySymbol(order), order.advanceAmount), color: "#e67e22" } : null
+          ])}
+          ${productTable(orderDetails, branding)}
+          ${button(branding, resumeUrl, "Complete My Order")}
+          ${paragraph("Had trouble at checkout or have a question about the product? Just reply to this email and we'll be happy to help.")}
+          ${supportButton(branding, "Questions about your order?")}`
+      };
+    },
+    sample: {
+      step: 1,
+      totalSteps: 3,
+      resumeUrl: "https://example.com/checkout/resume/sample",
+      unsubscribeUrl: "https://example.com/unsubscribe/sample",
+      order: {
+        receipt: "receipt_1700000000000",
+        amount: 2497,
+        currency: "INR",
+        paymentMode: "full",
+        customer: sampleCustomer,
+        cart: {
+          lines: [
+            { name: "Pain Relief Oil (100 ml)", quantity: 2, total: 199800 },
+            { name: "Knee Support Band", quantity: 1, total: 49900 }
+          ]
+        }
+      }
+    }
+  },
+
+  "agent-order-confirmation": {
+    description: "Confirmation for orders placed by a sales agent on the customer's behalf",
+    subject: ({ orderDetails }) => `Order Confirmation #${orderDetails.orderNumber}`,
+    render: ({ orderDetails, customerDetails = {}, customerEmail, productName }, branding) => ({
+      title: "Order Confirmed!",
+      subtitle: "Thank you for your purchase",
+      icon: "https://cdn-icons-png.flaticon.com/512/2331/2331970.png",
+      recipient: customerEmail,
+      footerTitle: "Thank you for choosing us!",
+      footerMessage: "We appreciate your business and look forward to serving you again.",
+      body: html`
+        ${greeting(customerDetails.firstName, "We're excited to confirm that your order has been successfully placed and is being processed. Here are the details:")}
+        ${summaryCard("Order Summary", [
+          { label: "Order Number", value: `#${orderDetails.orderNumber}`, emphasis: "total" },
+          { label: "Total Amount", value: money(orderDetails.currency, orderDetails.totalAmount), color: "#27ae60", emphasis: "total" },
+          orderDetails.Advance_Amount ? { label: "Advance Paid", value: money(orderDetails.currency, orderDetails.Advance_Amount), color: "#e67e22" } : null,
+          { label: "Payment Method", value: orderDetails.paymentMethod || "N/A" }
+        ])}
+        ${productTable(orderDetails, branding, productName)}
+        ${addressBlock(customerDetails, customerEmail)}
+        ${timeline("What's Next?", [
+          { label: "✓ Order Confirmed", detail: "We've received your order and payment", state: "done" },
+          { label: "⏳ Processing", detail: "We're preparing your order for shipment", state: "current" },
+          { label: "📦 Shipping", detail: "You'll receive tracking details once shipped", state: "pending" }
+        ])}
+        ${supportButton(branding, "Need help with your order?")}`
+    }),
+    sample: {
+      orderDetails: { ...sampleOrderDetails, Advance_Amount: "500.00", paymentMethod: "COD" },
+      customerDetails: sampleCustomer,
+      customerEmail: sampleCustomer.email
+    }
+  },
+
+  "advance-payment-confirmation": {
+    description: "Confirms the advance on a part-prepaid order and the cash balance due on delivery",
+    subject: ({ orderDetails }) => `Advance Payment Confirmed - Order #${orderDetails.orderNumber}`,
+    render: ({ orderDetails, customerDetails = {}, customerEmail, productName }, branding) => {
+      const advance = money(orderDetails.currency, orderDetails.advanceAmount || orderDetails.paidAmount);
+      const balance = money(orderDetails.currency, balanceDue(orderDetails));
+
+      return {
+        title: "Advance Payment Received!",
+        subtitle: "Your order is confirmed with partial payment",
+        icon: "https://cdn-icons-png.flaticon.com/512/3135/3135706.png",
+        recipient: customerEmail,
+        footerTitle: "Thank you for your advance payment!",
+        footerMessage: "Your order is confirmed and will be delivered soon. Don't forget the balance payment!",
+        body: html`
+          ${greeting(customerDetails.firstName, "Great news! We've successfully received your advance payment and your order is now confirmed. Here are the complete details:")}
+          ${summaryCard("💰 Payment Summary", [
+            { label: "Order Total", value: money(orderDetails.currency, orderDetails.totalAmount), emphasis: "total" },
+            { label: "✅ Advance Paid", value: advance, color: "#2e7d32", emphasis: "total" },
+            { label: "⏳ Balance Due on Delivery", value: balance, color: "#f57c00", emphasis: "total" },
+            { label: "Payment Method", value: `${orderDetails.paymentMethod || "Online"} (Advance)` },
+            { label: "Payment ID", value: orderDetails.paymentId || "N/A", emphasis: "small" }
+          ])}
+          ${summaryCard("📦 Order Details", [
+            { label: "Order Number", value: `#${orderDetails.orderNumber}`, emphasis: "total" },
+            !Array.isArray(orderDetails.products) || orderDetails.products.length === 0
+              ? { label: "Product", value: orderDetails.productName || productName || "N/A" }
+              : null,
+            !Array.isArray(orderDetails.products) || orderDetails.products.length === 0
+              ? { label: "Quantity", value: orderDetails.quantity || "1" }
+              : null
+          ])}
+          ${Array.isArray(orderDetails.products) && orderDetails.products.length > 0 ? productTable(orderDetails, branding) : ""}
+          ${callout("🚨 Important: Balance Payment on Delivery", [
+            html`<strong>Please keep ready:</strong> ${balance} for cash payment when your order arrives.`,
+            "Our delivery partner will collect the remaining balance amount in cash upon delivery. Please ensure you have the exact amount ready."
+          ])}
+          ${addressBlock(customerDetails, customerEmail, "Delivery Address")}
+          ${timeline("📋 Order Progress", [
+            { label: "✓ Advance Payment Received", detail: `${advance} paid successfully`, state: "done" },
+            { label: "⏳ Processing Your Order", detail: "We're preparing your order for shipment", state: "current" },
+            { label: "📦 Out for Delivery", detail: "You'll receive tracking details once shipped", state: "pending" },
+            { label: "💰 Balance Payment & Delivery", detail: `Pay ${balance} in cash upon delivery`, state: "pending" }
+          ])}
+          ${supportButton(branding, "Questions about your advance payment order?")}`
+      };
+    },
+    sample: {
+      orderDetails: {
+        orderNumber: "ORD-1002",
+        productName: "Pain Relief Oil (100 ml)",
+        quantity: 1,
+        totalAmount: "1,178.82",
+        advanceAmount: "235.76",
+        balanceAmount: "943.06",
+        currency: "₹",
+        paymentMethod: "Razorpay",
+        paymentId: "pay_SampleD4e5F6"
+      },
+      customerDetails: sampleCustomer,
+      customerEmail: sampleCustomer.email
+    }
+  },
+
+  "shipment-status": {
+    description: "Shipment milestones: picked_up, out_for_delivery and delivered",
+    subject: ({ order, milestone }) => `${SHIPMENT_CONTENT[milestone].title} - Order #${order.receipt}`,
+    render: ({ shipment, order, milestone }, branding) => {
+      const content = SHIPMENT_CONTENT[milestone];
+      const customer = order.customer || {};
+      const balance = milestone === "out_for_delivery" && order.paymentMode === "advance" ? order.balanceAmount : null;
+
+      return {
+        title: content.title,
+        subtitle: content.subtitle,
+        recipient: customer.email,
+        body: html`
+          ${greeting(customer.firstName, content.message)}
+          ${summaryCard("📦 Shipment Details", [
+            { label: "Order Number", value: `#${order.receipt}`, emphasis: "total" },
+            { label: "Courier", value: shipment.courier || "Our courier partner" },
+            { label: "Tracking Number (AWB)", value: shipment.awb },
+            shipment.etd && milestone !== "delivered" ? { label: "Expected Delivery", value: shipment.etd, color: "#27ae60" } : null
+          ])}
+          ${balance ? callout(null, [html`<strong>Please keep ready:</strong> ₹ ${balance} for cash payment when your order arrives.`]) : ""}
+          ${button(branding, `https://shiprocket.co/tracking/${shipment.awb}`, "Track Your Order")}
+          ${supportButton(branding, "Need help?")}`
+      };
+    },
+    sample: {
+      milestone: "out_for_delivery",
+      shipment: { awb: "SR123456789", courier: "Delhivery", etd: "2026-10-21" },
+      order: { receipt: "ORD-1002", paymentMode: "advance", balanceAmount: 943.06, customer: sampleCustomer }
+    }
+  },
+
+  "refund": {
+    description: "Refund initiated / processed",
+    subject: ({ refund, stage }) => stage === "processed"
+      ? `Your refund of ${money(currencySymbol(refund), refund.amount)} has been processed`
+      : `Refund initiated for your order${refund.receipt ? ` #${refund.receipt}` : ""}`,
+    render: ({ refund, stage }, branding) => {
+      const isProcessed = stage === "processed";
+
+      return {
+        title: isProcessed ? "Refund Processed!" : "Refund Initiated",
+        subtitle: isProcessed ? "The money is on its way back to you" : "We've started processing your refund",
+        recipient: refund.customerEmail,
+        footerTitle: "Thank you for shopping with us!",
+        body: html`
+          ${greeting(refund.customerName, isProcessed
+            ? "Your refund has been processed by our payment partner. Depending on your bank, it can take 5-7 working days to show up in your account."
+            : "We've initiated a refund for your payment. You'll receive another email as soon as it has been processed.")}
+          ${summaryCard("💸 Refund Summary", [
+            refund.receipt ? { label: "Order Number", value: `#${refund.receipt}`, emphasis: "total" } : null,
+            { label: "Refund Amount", value: money(currencySymbol(refund), refund.amount), color: "#27ae60", emphasis: "total" },
+            { label: "Refund ID", value: refund.id, emphasis: "small" },
+            { label: "Payment ID", value: refund.paymentId, emphasis: "small" },
+            refund.reason ? { label: "Reason", value: refund.reason } : null
+          ])}
+          ${supportButton(branding, "Questions about your refund?")}`
+      };
+    },
+    sample: {
+      stage: "processed",
+      refund: {
+        id: "rfnd_SampleG7h8",
+        paymentId: "pay_SampleA1b2C3",
+        receipt: "ORD-1001",
+        amount: 499,
+        currency: "INR",
+        reason: "Item out of stock",
+        customerName: sampleCustomer.firstName,
+        customerEmail: sampleCustomer.email
+      }
+    }
+  },
+
+  "return-outcome": {
+    description: "Return received (or RTO back at the warehouse) and what will be refunded",
+    subject: ({ ret, order }) => `${returnTitle(ret)} - Order #${order.receipt}`,
+    render: ({ ret, order }, branding) => {
+      const customer = order.customer || {};
+      const refund = ret.refund || {};
+      const failed = ret.status === "refund_failed";
+
+      return {
+        title: returnTitle(ret),
+        subtitle: `Order #${order.receipt}`,
+        recipient: customer.email,
+        footerTitle: "Thank you for shopping with us!",
+        body: html`
+          ${greeting(customer.firstName, returnMessage(ret))}
+          ${summaryCard("📦 Return Summary", [
+            { label: "Items", value: (ret.items || []).map((item, index) => html`${index > 0 ? html`<br>` : ""}${item.name} × ${item.quantity}`) },
+            refund.gross !== undefined ? { label: "Amount Paid", value: `₹${refund.gross}` } : null,
+            ...(refund.deductions || []).map(item => ({ label: item.label, value: `- ₹${item.amount}`, color: "#c0392b" })),
+            !failed ? { label: "Refund Amount", value: `₹${refund.amount || 0}`, color: "#27ae60", emphasis: "total" } : null,
+            refund.refundId ? { label: "Refund ID", value: refund.refundId, emphasis: "small" } : null
+          ])}
+          ${supportButton(branding, "Questions about your return?")}`
+      };
+    },
+    sample: {
+      ret: {
+        type: "customer",
+        status: "refunded",
+        items: [{ name: "Knee Support Band", quantity: 1 }],
+        refund: {
+          gross: 499,
+          deductions: [{ label: "Return shipping fee", amount: 60 }],
+          amount: 439,
+          onlineAmount: 439,
+          offlineAmount: 0,
+          refundId: "rfnd_SampleJ9k0"
+        }
+      },
+      order: { receipt: "ORD-1001", customer: sampleCustomer }
+    }
+  },
+
+  "payment-link": {
+    description: "Payment link created by an agent, the reminder before it expires and the receipt once it is paid",
+    subject: ({ link, stage }) => {
+      if (stage === "paid") {
+        return `Payment received${link.description ? ` - ${link.description}` : ""}`;
+      }
+      return stage === "reminder"
+        ? `Reminder: complete your payment of ${money(currencySymbol(link), link.amount)}`
+        : `Payment link for your order${link.description ? ` - ${link.description}` : ""}`;
+    },
+    render: ({ link, stage }, branding) => {
+      const amount = money(currencySymbol(link), link.amount);
+
+      if (stage === "paid") {
+        return {
+          title: "Payment Received!",
+          subtitle: "Your order is confirmed",
+          recipient: link.customerEmail,
+          footerTitle: "Thank you for your payment!",
+          footerMessage: "Our team will be in touch with your delivery details.",
+          body: html`
+            ${greeting(link.customerName, "We've received your payment and your order is confirmed. Here are the details:")}
+            ${summaryCard(null, [
+              link.description ? { label: "Order", value: link.description, emphasis: "total" } : null,
+              { label: "Amount Paid", value: money(currencySymbol(link), link.amountPaid || link.amount), color: "#27ae60", emphasis: "total" },
+              { label: "Reference", value: link.referenceId, emphasis: "small" },
+              { label: "Payment ID", value: link.paymentId || "N/A", emphasis: "small" }
+            ])}`
+        };
+      }
+
+      const expiresOn = link.expireBy
+        ? new Date(link.expireBy).toLocaleString("en-IN", { timeZone: "Asia/Kolkata", dateStyle: "medium", timeStyle: "short" })
+        : null;
+
+      return {
+        title: stage === "reminder" ? "Your Payment Link Expires Soon" : "Complete Your Payment",
+        subtitle: "Your order is reserved and waiting for payment",
+        recipient: link.customerEmail,
+        footerTitle: "Thank you for choosing us!",
+        body: html`
+          ${greeting(link.customerName, html`Thank you for placing your order with our team. Please use the secure link below to complete your payment${expiresOn ? html` before <strong>${expiresOn}</strong>` : ""}.`)}
+          ${summaryCard(null, [
+            link.description ? { label: "Order", value: link.description, emphasis: "total" } : null,
+            { label: "Amount Due", value: amount, color: "#27ae60", emphasis: "total" },
+            { label: "Reference", value: link.referenceId, emphasis: "small" }
+          ])}
+          ${button(branding, link.shortUrl, `Pay ${amount}`)}
+          <p style="color: #95a5a6; margin: 0 0 30px; font-size: 12px; text-align: center;">Or open this link: ${link.shortUrl}</p>`
+      };
+    },
+    sample: {
+      stage: "created",
+      link: {
+        amount: 1178.82,
+        currency: "INR",
+        description: "Pain Relief Oil (100 ml) x1",
+        referenceId: "agent-Sample-001",
+        shortUrl: "https://rzp.io/i/Sample",
+        expireBy: "2026-10-22T18:30:00.000Z",
+        customerName: sampleCustomer.firstName,
+        customerEmail: sampleCustomer.email
+      }
+    }
+  }
+};
+
+const SHIPMENT_CONTENT = {
+  picked_up: {
+    title: "Your Order Has Shipped!",
+    subtitle: "It's on its way to you",
+    message: "Good news! Your order has been picked up by our courier partner and is on its way."
+  },
+  out_for_delivery: {
+    title: "Out for Delivery",
+    subtitle: "Your order arrives today",
+    message: "Your order is out for delivery and should reach you today. Please keep your phone handy so the courier can reach you."
+  },
+  delivered: {
+    title: "Order Delivered!",
+    subtitle: "We hope you love it",
+    message: "Your order has been delivered. Thank you for shopping with us!"
+  }
+};
+
+function currencySymbol(record) {
+  return record.currency === "INR" || !record.currency ? "₹" : record.currency;
+}
+
+function returnTitle(ret) {
+  return ret.type === "rto" ? "Your Order Came Back to Us" : "Return Received";
+}
+
+function returnMessage(ret) {
+  const refund = ret.refund || {};
+
+  if (ret.status === "refund_failed") {
+    return "We couldn't process your refund automatically. Our team has been notified and will get in touch with you shortly.";
+  }
+  if (refund.amount > 0) {
+    let message = `We've initiated a refund of ₹${refund.onlineAmount} to your original payment method. It usually reaches your account within 5-7 working days.`;
+    if (refund.offlineAmount > 0) {
+      message += ` The remaining ₹${refund.offlineAmount}, paid in cash on delivery, will be transferred to you separately; our team will contact you for your bank details.`;
+    }
+    return message;
+  }
+  return ret.type === "rto"
+    ? "As the parcel could not be delivered, the advance paid for this cash-on-delivery order is not refundable under our policy."
+    : "No refund is due for this return under our return policy.";
+}
+
+// Returns { subject, html, text } for a registered template
+function renderEmail(name, data, tenant) {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+
+  const branding = resolveBranding(tenant);
+  const markup = layout({ branding, ...template.render(data, branding) }).toString();
+
+  return {
+    subject: template.subject(data),
+    html: markup,
+    text: htmlToText(markup)
+  };
+}
+
+module.exports = {
+  templates,
+  renderEmail,
+  resolveBranding,
+  html,
+  escapeHtml,
+  htmlToText
+};
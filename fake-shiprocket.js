@@ -0,0 +1,303 @@
+// Fake Shiprocket Server
+// A local stand-in for the Shiprocket API so order creation, tracking and auth
+// flows can be exercised without network access. Run it with
+//   npm run fake-shiprocket
+// and start the backend with SHIPROCKET_BASE_URL=http://localhost:4010/v1/external.
+//
+// Test hooks (not part of the real API):
+//   POST /__fake/expire-tokens            revoke every issued token (next call gets a 401)
+//   POST /__fake/fail { path, status, times, delayMs }
+//                                         fail (or delay) the next `times` calls to a path
+//   POST /__fake/tracking/:awb { status, activity, location }
+//                                         append a tracking scan to a shipment
+//   GET  /__fake/state                    dump orders, shipments and issued tokens
+const express = require("express");
+const crypto = require("crypto");
+
+const REQUIRED_ORDER_FIELDS = [
+  "order_id", "order_date", "pickup_location", "billing_customer_name", "billing_address",
+  "billing_city", "billing_pincode", "billing_state", "billing_country", "billing_email",
+  "billing_phone", "order_items", "payment_method", "sub_total"
+];
+
+const COURIERS = [
+  { courier_company_id: 10, courier_name: "Delhivery Surface", rate: 78, freight_charge: 78, cod_charges: 35, estimated_delivery_days: "5", etd: "5 days", cod: 1, is_surface: true, rating: 4.2 },
+  { courier_company_id: 24, courier_name: "Xpressbees Air", rate: 112, freight_charge: 112, cod_charges: 40, estimated_delivery_days: "2", etd: "2 days", cod: 1, is_surface: false, rating: 4.4 },
+  { courier_company_id: 51, courier_name: "Ekart Prepaid", rate: 65, freight_charge: 65, cod_charges: 0, estimated_delivery_days: "6", etd: "6 days", cod: 0, is_surface: true, rating: 3.9 }
+];
+
+function createFakeShiprocket({ email, password, tokenTtlSeconds = 24 * 60 * 60 } = {}) {
+  const app = express();
+  const state = { tokens: {}, orders: {}, shipments: {}, failures: [], nextOrderId: 1000, nextShipmentId: 5000 };
+
+  app.use(express.json());
+
+  // Injected failures and delays run before the real handlers
+  app.use(async (req, res, next) => {
+    const failure = state.failures.find(item => item.times > 0 && req.path.startsWith(item.path));
+    if (!failure) {
+      return next();
+    }
+
+    failure.times -= 1;
+    if (failure.delayMs) {
+      await new Promise(resolve => setTimeout(resolve, failure.delayMs));
+    }
+    if (!failure.status) {
+      return next();
+    }
+    res.status(failure.status).json({ message: `Injected failure (${failure.status})`, status_code: failure.status });
+  });
+
+  app.post("/__fake/expire-tokens", (req, res) => {
+    state.tokens = {};
+    res.json({ success: true });
+  });
+
+  app.post("/__fake/fail", (req, res) => {
+    const { path, status, times = 1, delayMs = 0 } = req.body;
+    state.failures.push({ path: path || "/", status, times, delayMs });
+    res.json({ success: true, failures: state.failures });
+  });
+
+  app.post("/__fake/tracking/:awb", (req, res) => {
+    const shipment = Object.values(state.shipments).find(item => item.awb === req.params.awb);
+    if (!shipment) {
+      return res.status(404).json({ message: "Unknown AWB" });
+    }
+
+    shipment.status = req.body.status || shipment.status;
+    shipment.scans.unshift({
+      date: new Date().toISOString(),
+      activity: req.body.activity || shipment.status,
+      location: req.body.location || "Hyderabad",
+      "sr-status-label": shipment.status
+    });
+    res.json({ success: true, shipment });
+  });
+
+  app.get("/__fake/state", (req, res) => {
+    res.json(state);
+  });
+
+  app.post("/v1/external/auth/login", (req, res) => {
+    const credentialsMatch = (!email || req.body.email === email) && (!password || req.body.password === password);
+
+    if (!req.body.email || !req.body.password || !credentialsMatch) {
+      return res.status(400).json({ message: "Invalid email and password combination", status_code: 400 });
+    }
+
+    const token = `fake-${crypto.randomBytes(12).toString("hex")}`;
+    state.tokens[token] = Date.now() + tokenTtlSeconds * 1000;
+    res.json({ id: 1, email: req.body.email, token });
+  });
+
+  // Everything else needs a live bearer token, like the real API
+  app.use("/v1/external", (req, res, next) => {
+    const token = (req.get("authorization") || "").replace(/^Bearer /, "");
+
+    if (!state.tokens[token] || state.tokens[token] < Date.now()) {
+      return res.status(401).json({ message: "Token has expired", status_code: 401 });
+    }
+    next();
+  });
+
+  function findShipment(id) {
+    return state.shipments[String(id)] || null;
+  }
+
+  app.post("/v1/external/orders/create/adhoc", (req, res) => {
+    const errors = {};
+    REQUIRED_ORDER_FIELDS.forEach(field => {
+      const value = req.body[field];
+      if (value === undefined || value === null || value === "" || (Array.isArray(value) && value.length === 0)) {
+        errors[field] = [`The ${field.replace(/_/g, " ")} field is required.`];
+      }
+    });
+    if (req.body.billing_pincode && !/^[1-9]\d{5}$/.test(String(req.body.billing_pincode))) {
+      errors.billing_pincode = ["The billing pincode must be 6 digits."];
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(422).json({ message: "Oops! Invalid Data.", errors, status_code: 422 });
+    }
+
+    const orderId = state.nextOrderId++;
+    const shipmentId = state.nextShipmentId++;
+    state.orders[orderId] = { order_id: orderId, channel_order_id: req.body.order_id, status: "NEW", shipment_id: shipmentId, payload: req.body };
+    state.shipments[shipmentId] = { shipment_id: shipmentId, order_id: orderId, awb: null, courier: null, status: "NEW", scans: [] };
+
+    res.json({
+      order_id: orderId,
+      shipment_id: shipmentId,
+      status: "NEW",
+      status_code: 1,
+      onboarding_completed_now: 0,
+      awb_code: "",
+      courier_company_id: "",
+      courier_name: ""
+    });
+  });
+
+  app.post("/v1/external/orders/create/return", (req, res) => {
+    const required = [
+      "order_id", "order_date", "pickup_customer_name", "pickup_address", "pickup_city", "pickup_state",
+      "pickup_country", "pickup_pincode", "pickup_phone", "shipping_customer_name", "shipping_address",
+      "shipping_city", "shipping_state", "shipping_country", "shipping_pincode", "shipping_phone",
+      "order_items", "payment_method", "sub_total", "length", "breadth", "height", "weight"
+    ];
+    const errors = {};
+    required.forEach(field => {
+      const value = req.body[field];
+      if (value === undefined || value === null || value === "" || (Array.isArray(value) && value.length === 0)) {
+        errors[field] = [`The ${field.replace(/_/g, " ")} field is required.`];
+      }
+    });
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(422).json({ message: "Oops! Invalid Data.", errors, status_code: 422 });
+    }
+
+    const orderId = state.nextOrderId++;
+    const shipmentId = state.nextShipmentId++;
+    state.orders[orderId] = { order_id: orderId, channel_order_id: req.body.order_id, status: "RETURN PENDING", shipment_id: shipmentId, is_return: true, payload: req.body };
+    state.shipments[shipmentId] = { shipment_id: shipmentId, order_id: orderId, awb: null, courier: null, status: "RETURN PENDING", is_return: true, scans: [] };
+
+    res.json({ order_id: orderId, shipment_id: shipmentId, status: "RETURN PENDING", status_code: 21 });
+  });
+
+  function trackingData(shipment) {
+    return {
+      tracking_data: {
+        track_status: shipment.awb ? 1 : 0,
+        shipment_status: shipment.status,
+        shipment_track: [{ id: shipment.shipment_id, awb_code: shipment.awb, courier_name: shipment.courier, current_status: shipment.status }],
+        shipment_track_activities: shipment.scans
+      }
+    };
+  }
+
+  app.get("/v1/external/courier/track/shipment/:shipmentId", (req, res) => {
+    const shipment = findShipment(req.params.shipmentId);
+
+    if (!shipment) {
+      return res.json({ tracking_data: { track_status: 0, shipment_status: 0, error: `Shipment ${req.params.shipmentId} not found` } });
+    }
+    res.json(trackingData(shipment));
+  });
+
+  app.get("/v1/external/courier/track/awb/:awb", (req, res) => {
+    const shipment = Object.values(state.shipments).find(item => item.awb === req.params.awb);
+
+    if (!shipment) {
+      return res.json({ tracking_data: { track_status: 0, shipment_status: 0, error: `AWB ${req.params.awb} not found` } });
+    }
+    res.json(trackingData(shipment));
+  });
+
+  app.get("/v1/external/courier/serviceability", (req, res) => {
+    const { pickup_postcode: pickup, delivery_postcode: delivery, cod } = req.query;
+
+    if (!/^[1-9]\d{5}$/.test(pickup || "") || !/^[1-9]\d{5}$/.test(delivery || "")) {
+      return res.status(422).json({ message: "Invalid pickup or delivery postcode", status_code: 422 });
+    }
+    // Pincodes starting with 9 stand in for unserviceable areas
+    if (delivery.startsWith("9")) {
+      return res.status(404).json({ message: `Delivery postcode ${delivery} is not serviceable`, status_code: 404 });
+    }
+
+    const couriers = COURIERS.filter(courier => cod !== "1" || courier.cod === 1);
+    res.json({ status: 200, data: { available_courier_companies: couriers, recommended_courier_company_id: couriers[0].courier_company_id } });
+  });
+
+  app.post("/v1/external/courier/assign/awb", (req, res) => {
+    const shipment = findShipment(req.body.shipment_id);
+
+    if (!shipment) {
+      return res.status(400).json({ message: "Shipment not found", status_code: 400 });
+    }
+
+    const courier = COURIERS.find(item => item.courier_company_id === Number(req.body.courier_id)) || COURIERS[0];
+    shipment.awb = shipment.awb || String(Math.floor(1e11 + Math.random() * 9e11));
+    shipment.courier = courier.courier_name;
+    shipment.status = shipment.is_return ? "RETURN PICKUP SCHEDULED" : "AWB ASSIGNED";
+
+    res.json({
+      awb_assign_status: 1,
+      response: { data: { awb_code: shipment.awb, courier_company_id: courier.courier_company_id, courier_name: courier.courier_name, shipment_id: shipment.shipment_id } }
+    });
+  });
+
+  app.post("/v1/external/courier/generate/pickup", (req, res) => {
+    const shipment = findShipment([].concat(req.body.shipment_id)[0]);
+
+    if (!shipment || !shipment.awb) {
+      return res.status(400).json({ message: "Please assign AWB before generating pickup", status_code: 400 });
+    }
+
+    shipment.status = "PICKUP SCHEDULED";
+    res.json({ pickup_status: 1, response: { pickup_scheduled_date: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10), pickup_token_number: `PT${shipment.shipment_id}` } });
+  });
+
+  app.post("/v1/external/courier/generate/label", (req, res) => {
+    const id = [].concat(req.body.shipment_id)[0];
+    res.json({ label_created: 1, label_url: `http://localhost:${req.socket.localPort}/__fake/files/label-${id}.pdf` });
+  });
+
+  app.post("/v1/external/manifests/generate", (req, res) => {
+    const id = [].concat(req.body.shipment_id)[0];
+    res.json({ status: 1, manifest_url: `http://localhost:${req.socket.localPort}/__fake/files/manifest-${id}.pdf` });
+  });
+
+  app.post("/v1/external/manifests/print", (req, res) => {
+    res.json({ manifest_url: `http://localhost:${req.socket.localPort}/__fake/files/manifest-${[].concat(req.body.order_ids).join("-")}.pdf` });
+  });
+
+  app.post("/v1/external/orders/print/invoice", (req, res) => {
+    res.json({ is_invoice_created: true, invoice_url: `http://localhost:${req.socket.localPort}/__fake/files/invoice-${[].concat(req.body.ids).join("-")}.pdf` });
+  });
+
+  app.get("/__fake/files/:name", (req, res) => {
+    res.type("application/pdf").send(Buffer.from(`%PDF-1.4\n% fake ${req.params.name}\n%%EOF\n`));
+  });
+
+  app.post("/v1/external/orders/cancel", (req, res) => {
+    [].concat(req.body.ids || []).forEach(id => {
+      const order = state.orders[id];
+      if (order) {
+        order.status = "CANCELED";
+        state.shipments[order.shipment_id].status = "CANCELED";
+      }
+    });
+    res.json({ status: 200, message: "Order cancelled successfully." });
+  });
+
+  app.post("/v1/external/orders/cancel/shipment/awbs", (req, res) => {
+    Object.values(state.shipments)
+      .filter(shipment => [].concat(req.body.awbs || []).map(String).includes(shipment.awb))
+      .forEach(shipment => {
+        shipment.status = "CANCELED";
+      });
+    res.json({ message: "Shipment cancelled successfully." });
+  });
+
+  app.use((req, res) => {
+    res.status(404).json({ message: `No fake handler for ${req.method} ${req.path}`, status_code: 404 });
+  });
+
+  app.state = state;
+  return app;
+}
+
+if (require.main === module) {
+  const port = process.env.FAKE_SHIPROCKET_PORT || 4010;
+  createFakeShiprocket({
+    email: process.env.SHIPROCKET_EMAIL,
+    password: process.env.SHIPROCKET_PASSWORD,
+    tokenTtlSeconds: Number(process.env.FAKE_SHIPROCKET_TOKEN_TTL_SECONDS) || undefined
+  }).listen(port, () => {
+    console.log(`Fake Shiprocket running on http://localhost:${port}/v1/external`);
+  });
+}
+
+module.exports = { createFakeShiprocket };
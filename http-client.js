@@ -0,0 +1,34 @@
+// HTTP Provider Requests
+// The JSON-over-HTTP plumbing shared by the mail transports and the notification
+// providers: every request is bounded by a timeout, the answer is parsed as JSON
+// when it is JSON (and kept as text otherwise), and connection failures become the
+// caller's own retryable error type.
+
+// createError(message, { code }) builds the caller's error; label names the provider in messages
+async function requestJson(url, options, { timeoutMs, label, createError }) {
+  let response;
+  try {
+    response = await fetch(url, { ...options, signal: AbortSignal.timeout(timeoutMs) });
+  } catch (error) {
+    const timedOut = error.name === "TimeoutError" || error.name === "AbortError";
+    throw createError(timedOut ? `${label} timed out after ${timeoutMs}ms` : `${label} request failed: ${error.message}`, {
+      code: timedOut ? "ETIMEDOUT" : "ECONNECTION"
+    });
+  }
+
+  const body = await response.text();
+  let data = null;
+  try {
+    data = body ? JSON.parse(body) : null;
+  } catch (error) {
+    data = body;
+  }
+  return { response, data };
+}
+
+// 4xx other than auth and throttling means the provider rejected this message itself
+function isPermanentHttpFailure(status) {
+  return status >= 400 && status < 500 && ![401, 403, 408, 429].includes(status);
+}
+
+module.exports = { requestJson, isPermanentHttpFailure };
@@ -1,11 +1,19 @@
 require("dotenv").config();
 const express = require("express");
-const nodemailer = require("nodemailer");
 const cors = require("cors");
 const bodyParser = require("body-parser");
 const Razorpay = require("razorpay"); // Add Razorpay SDK
 const crypto = require("crypto"); // For payment verification
 const axios = require("axios"); // Import axios for Shiprocket API
+const fs = require("fs");
+const path = require("path");
+const { ShiprocketClient } = require("./shiprocket");
+const { createMailTransport } = require("./mail-transports");
+const { createNotificationProvider } = require("./notification-channels");
+const { listCapturedMessages, readCapturedMessage, clearCapturedMessages } = require("./message-capture");
+const { DeliveryQueue } = require("./delivery-queue");
+const { templates: messageTemplates, sample: messageSample, renderMessage } = require("./message-templates");
+const { templates: emailTemplates, renderEmail, resolveBranding, escapeHtml } = require("./email-templates");
 
 // Handle fetch import based on Node.js version
 let fetch;
@@ -25,9 +33,17 @@ try {
 const app = express();
 const PORT = process.env.PORT || 5000;
 
-// Middleware
-app.use(cors({
-  origin: [
+// Storefront Tenants
+// Each storefront is a tenant with its own Razorpay account, mail sender, admin
+// recipients, Shiprocket pickup location and branding, configured in
+// tenants.json (see tenants.example.json). "${VAR}" placeholders in that file
+// are read from the environment so secrets stay out of it. Requests that don't
+// match a configured tenant use the default tenant built from the environment.
+const defaultTenant = {
+  id: "default",
+  name: process.env.STORE_NAME || "Our Store",
+  apiKey: null,
+  origins: [
     'https://e-commerce-two-neon.vercel.app',
     'https://sampoornarogya.com',
     'https://agent-sigma-livid.vercel.app',
@@ -42,698 +58,5240 @@ app.use(cors({
     'https://drjoints.vercel.app',
     'http://localhost:3000'
   ],
+  razorpay: {
+    keyId: process.env.RAZORPAY_KEY_ID,
+    keySecret: process.env.RAZORPAY_KEY_SECRET,
+    webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET
+  },
+  shiprocket: {
+    pickupLocation: process.env.SHIPROCKET_PICKUP_LOCATION || "Primary"
+  },
+  // See mail-transports.js for the transports and the settings each one uses
+  email: {
+    transport: process.env.MAIL_TRANSPORT || "service",
+    service: process.env.EMAIL_SERVICE || "gmail",
+    host: process.env.SMTP_HOST,
+    port: process.env.SMTP_PORT,
+    secure: process.env.SMTP_SECURE,
+    user: process.env.EMAIL_USER,
+    pass: process.env.EMAIL_PASS,
+    apiKey: process.env.MAIL_API_KEY,
+    baseUrl: process.env.MAIL_API_URL,
+    region: process.env.AWS_REGION,
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+    sessionToken: process.env.AWS_SESSION_TOKEN,
+    endpoint: process.env.AWS_SES_ENDPOINT,
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER
+  },
+  // WhatsApp / SMS order notifications (see notification-channels.js); off until channels are listed
+  notifications: {
+    channels: (process.env.NOTIFICATION_CHANNELS || "").split(",").map(channel => channel.trim()).filter(Boolean),
+    whatsapp: {
+      provider: process.env.WHATSAPP_PROVIDER,
+      accessToken: process.env.WHATSAPP_ACCESS_TOKEN,
+      phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
+      baseUrl: process.env.WHATSAPP_API_URL
+    },
+    sms: {
+      provider: process.env.SMS_PROVIDER,
+      accountSid: process.env.TWILIO_ACCOUNT_SID,
+      authToken: process.env.TWILIO_AUTH_TOKEN,
+      from: process.env.SMS_FROM,
+      baseUrl: process.env.SMS_API_URL
+    }
+  },
+  adminEmails: ["israelitesshopping171@gmail.com"],
+  branding: {
+    logoUrl: "https://cdn-icons-png.flaticon.com/512/3176/3176363.png",
+    supportEmail: "israelitesshopping171@gmail.com"
+  }
+};
+
+function interpolateEnv(value) {
+  if (typeof value === "string") {
+    return value.replace(/\$\{(\w+)\}/g, (match, name) => process.env[name] || "");
+  }
+  if (Array.isArray(value)) {
+    return value.map(interpolateEnv);
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolateEnv(item)]));
+  }
+  return value;
+}
+
+const TENANTS_PATH = process.env.TENANTS_PATH || path.join(__dirname, "tenants.json");
+const tenants = {};
+
+try {
+  const config = interpolateEnv(JSON.parse(fs.readFileSync(TENANTS_PATH, "utf8")));
+
+  Object.entries(config).forEach(([id, tenant]) => {
+    tenants[id] = {
+      ...defaultTenant,
+      ...tenant,
+      id,
+      // Credentials are taken as a whole so a tenant never mixes its key id with another account's secret
+      razorpay: tenant.razorpay || defaultTenant.razorpay,
+      email: tenant.email || defaultTenant.email,
+      notifications: tenant.notifications || defaultTenant.notifications,
+      shiprocket: { ...defaultTenant.shiprocket, ...tenant.shiprocket },
+      branding: { ...defaultTenant.branding, ...tenant.branding },
+      origins: tenant.origins || []
+    };
+  });
+  console.log(`Loaded ${Object.keys(tenants).length} storefront tenant(s)`);
+} catch (error) {
+  console.error(`Storefront tenants not loaded from ${TENANTS_PATH}:`, error.message);
+}
+
+function getTenant(id) {
+  return tenants[id] || defaultTenant;
+}
+
+// Resolves the tenant from the X-Api-Key header (server-to-server callers) or the Origin
+function resolveTenant(req) {
+  const apiKey = req.get("x-api-key");
+  const origin = req.get("origin");
+  const configured = Object.values(tenants);
+
+  if (apiKey) {
+    const tenant = configured.find(t => t.apiKey && safeCompare(t.apiKey, apiKey));
+    if (tenant) {
+      return tenant;
+    }
+  }
+  return configured.find(t => origin && t.origins.includes(origin)) || defaultTenant;
+}
+
+function isAllowedOrigin(origin) {
+  return [defaultTenant, ...Object.values(tenants)].some(tenant => tenant.origins.includes(origin));
+}
+
+// Middleware
+// Behind a proxy (Render, Nginx) set TRUST_PROXY to the number of hops so req.ip is the client's
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY === "true");
+}
+app.use(cors({
+  origin: (origin, callback) => callback(null, Boolean(origin) && isAllowedOrigin(origin)),
   methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Admin-Key', 'X-Agent-Key', 'X-Api-Key', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed', 'Retry-After'],
   credentials: true // Add credentials support for cookies/auth headers if needed
 }));
-app.use(bodyParser.json());
-
-// Razorpay Configuration
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID,
-  key_secret: process.env.RAZORPAY_KEY_SECRET,
+app.use(bodyParser.json({
+  // Keep the raw body around so webhook signatures can be verified
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+app.use((req, res, next) => {
+  req.tenant = resolveTenant(req);
+  next();
 });
 
-// Nodemailer Configuration
+// Razorpay Configuration (one client per tenant, created on first use)
+const razorpayClients = {};
 
-const transporter = nodemailer.createTransport({
-  service: "gmail",
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS,
-  },
-});
+function getRazorpay(tenant) {
+  if (!razorpayClients[tenant.id]) {
+    razorpayClients[tenant.id] = new Razorpay({
+      key_id: tenant.razorpay.keyId,
+      key_secret: tenant.razorpay.keySecret,
+    });
+  }
+  return razorpayClients[tenant.id];
+}
 
-// Shiprocket API Integration
-let shiprocketToken = null;
-let tokenExpiryTime = null;
+// Mail Transport Configuration (one transporter per tenant sender)
+// Each tenant's "email" block picks its transport; MAIL_TRANSPORT=capture captures
+// every tenant's mail to MAIL_CAPTURE_DIR so development and tests never send real email.
+const transporters = {};
 
-// Function to get Shiprocket token (with caching)
-async function getShiprocketToken() {
-  // Check if we have a valid cached token
-  const currentTime = new Date();
-  if (shiprocketToken && tokenExpiryTime && currentTime < tokenExpiryTime) {
-    console.log("Using cached Shiprocket token");
-    return shiprocketToken;
-  }
-  
-  try {
-    console.log("Fetching new Shiprocket token");
-    const response = await fetch("https://apiv2.shiprocket.in/v1/external/auth/login", {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        email: process.env.SHIPROCKET_EMAIL,
-        password: process.env.SHIPROCKET_PASSWORD
-      })
+function mailCaptureEnabled() {
+  return process.env.MAIL_TRANSPORT === "capture" ||
+    Object.values(tenants).some(tenant => tenant.email.transport === "capture");
+}
+
+function mailCaptureDir() {
+  return process.env.MAIL_CAPTURE_DIR || path.join(DATA_DIR, "mail-capture");
+}
+
+function getTransporter(tenant) {
+  if (!transporters[tenant.id]) {
+    const transport = process.env.MAIL_TRANSPORT === "capture" ? "capture" : tenant.email.transport;
+    transporters[tenant.id] = createMailTransport({
+      ...tenant.email,
+      transport,
+      dir: mailCaptureDir(),
+      tenant: tenant.id
     });
-    
-    const data = await response.json();
-    
-    if (data.token) {
-      shiprocketToken = data.token;
-      // Set token expiry time (typically 24 hours for Shiprocket)
-      tokenExpiryTime = new Date();
-      tokenExpiryTime.setHours(tokenExpiryTime.getHours() + 23); // Set expiry to 23 hours to be safe
-      return shiprocketToken;
-    } else {
-      throw new Error(data.message || "Failed to authenticate with Shiprocket");
+  }
+  return transporters[tenant.id];
+}
+
+// Adds the storefront's branding sender name unless the from address already has one
+function emailSender(tenant) {
+  const from = tenant.email.from;
+  const senderName = tenant.branding && tenant.branding.senderName;
+  return senderName && from && !from.includes("<") ? `"${senderName.replace(/"/g, "")}" <${from}>` : from;
+}
+
+// Local JSON file storage (one file per collection in DATA_DIR)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data");
+const collections = {};
+
+function loadCollection(name) {
+  if (!collections[name]) {
+    try {
+      collections[name] = JSON.parse(fs.readFileSync(path.join(DATA_DIR, `${name}.json`), "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.error(`Error reading ${name} store:`, error);
+      }
+      collections[name] = {};
     }
-  } catch (error) {
-    console.error("Shiprocket authentication error:", error);
-    throw error;
   }
+  return collections[name];
 }
 
-// Shiprocket Authentication Test Endpoint
-app.get("/shiprocket/test-auth", async (req, res) => {
-  try {
-    const token = await getShiprocketToken();
-    res.status(200).json({
-      success: true,
-      message: "Shiprocket authentication successful",
-      tokenExpiresAt: tokenExpiryTime,
-      token: token // Include the token in the response
-    });
-  } catch (error) {
-    res.status(500).json({
+function saveCollection(name) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  const file = path.join(DATA_DIR, `${name}.json`);
+  // Write to a temp file first so a crash never leaves a half-written store
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(collections[name] || {}, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+// Constant-time comparison for signatures and shared secrets
+function safeCompare(a, b) {
+  const bufA = Buffer.from(String(a || ""));
+  const bufB = Buffer.from(String(b || ""));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Protects internal/admin routes with the ADMIN_API_KEY shared secret
+function isAdminRequest(req) {
+  return Boolean(process.env.ADMIN_API_KEY && safeCompare(req.get("x-admin-key"), process.env.ADMIN_API_KEY));
+}
+
+function requireAdmin(req, res, next) {
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({
       success: false,
-      message: "Shiprocket authentication failed",
-      error: error.message
+      message: "Unauthorized"
     });
   }
-});
+  next();
+}
 
-// Create Shiprocket Order
-app.post("/shiprocket/create-order", async (req, res) => {
-  try {
-    const token = await getShiprocketToken();
-    const orderData = req.body;
-    
-    // Validate required fields
-    if (!orderData.order_id || !orderData.order_date || !orderData.pickup_location || 
-        !orderData.billing_customer_name || !orderData.billing_address || 
-        !orderData.billing_city || !orderData.billing_pincode || !orderData.billing_state || 
-        !orderData.billing_country || !orderData.billing_email || !orderData.billing_phone || 
-        !orderData.order_items || orderData.order_items.length === 0) {
-      
-      // Send email notification about missing order information
-      await sendShiprocketFailureEmail(
-        "Shiprocket Order Creation Failed - Missing Data", 
-        `Failed to create Shiprocket order due to missing required information.\n\nOrder ID: ${orderData.order_id || 'N/A'}\n\nCustomer: ${orderData.billing_customer_name || 'N/A'}\n\nError: Missing required order information`,
-        orderData
-      );
-      
-      return res.status(400).json({
-        success: false,
-        message: "Missing required order information"
-      });
+// Protects routes used by the sales agent app; the admin key works too
+function requireAgent(req, res, next) {
+  const agentKey = process.env.AGENT_API_KEY;
+  if (agentKey && safeCompare(req.get("x-agent-key"), agentKey)) {
+    return next();
+  }
+  requireAdmin(req, res, next);
+}
+
+// Same check as requireAgent, for routes that accept extra fields only from staff
+function isAgentRequest(req) {
+  const agentKey = process.env.AGENT_API_KEY;
+  return Boolean(agentKey && safeCompare(req.get("x-agent-key"), agentKey)) || isAdminRequest(req);
+}
+
+// Idempotency-Key support for order-creating and email-sending routes.
+// The first response for a key is stored and replayed for repeats of the same
+// request until the key expires; reusing a key with a different body is rejected.
+const IDEMPOTENCY_TTL_HOURS = Number(process.env.IDEMPOTENCY_TTL_HOURS || 24);
+
+function idempotent(req, res, next) {
+  const key = req.get("idempotency-key");
+
+  if (!key) {
+    return next();
+  }
+
+  const keys = loadCollection("idempotency-keys");
+  const now = new Date();
+  const id = `${req.tenant.id}:${req.path}:${key}`;
+  const fingerprint = crypto.createHash("sha256").update(req.rawBody || JSON.stringify(req.body || {})).digest("hex");
+
+  // Drop expired keys while we're here
+  Object.keys(keys).forEach(storedId => {
+    if (new Date(keys[storedId].expiresAt) <= now) {
+      delete keys[storedId];
     }
+  });
 
-    const response = await fetch("https://apiv2.shiprocket.in/v1/external/orders/create/adhoc", {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${token}`
-      },
-      body: JSON.stringify(orderData)
-    });
-    
-    const data = await response.json();
-    
-    if (response.ok) {
-      res.status(200).json({
-        success: true,
-        message: "Order created successfully on Shiprocket",
-        data
+  const existing = keys[id];
+  if (existing) {
+    if (existing.fingerprint !== fingerprint) {
+      return res.status(422).json({
+        success: false,
+        message: "Idempotency-Key has already been used with a different request body"
       });
-    } else {
-      // Send email notification about the API error
-      await sendShiprocketFailureEmail(
-        "Shiprocket Order Creation Failed - API Error", 
-        `Failed to create Shiprocket order due to API error.\n\nOrder ID: ${orderData.order_id}\n\nCustomer: ${orderData.billing_customer_name}\n\nError: ${JSON.stringify(data)}`,
-        orderData
-      );
-      
-      res.status(response.status).json({
+    }
+    if (existing.status === "in_progress") {
+      return res.status(409).json({
         success: false,
-        message: "Failed to create order on Shiprocket",
-        error: data
+        message: "A request with this Idempotency-Key is still being processed"
       });
     }
-  } catch (error) {
-    console.error("Error creating Shiprocket order:", error);
-    
-    // Get order data if available, or empty object if not
-    const orderData = req.body || {};
-    
-    // Send email notification about the exception
-    await sendShiprocketFailureEmail(
-      "Shiprocket Order Creation Failed - Exception", 
-      `Failed to create Shiprocket order due to an exception.\n\nOrder ID: ${orderData.order_id || 'N/A'}\n\nCustomer: ${orderData.billing_customer_name || 'N/A'}\n\nError: ${error.message || error}`,
-      orderData
-    );
-    
-    res.status(500).json({
-      success: false,
-      message: "Error creating Shiprocket order",
-      error: error.message
-    });
+    res.set("Idempotent-Replayed", "true");
+    return res.status(existing.statusCode).json(existing.body);
   }
-});
 
-// Helper function to send Shiprocket failure email notifications
-async function sendShiprocketFailureEmail(subject, textMessage, orderData) {
-  try {
-    // Format customer and order details
-    const customerDetails = orderData ? `
-      Customer Name: ${orderData.billing_customer_name || 'N/A'}
-      Email: ${orderData.billing_email || 'N/A'}
-      Phone: ${orderData.billing_phone || 'N/A'}
-      Address: ${orderData.billing_address || 'N/A'}
-      City: ${orderData.billing_city || 'N/A'}
-      State: ${orderData.billing_state || 'N/A'}
-      Pincode: ${orderData.billing_pincode || 'N/A'}
-    ` : 'Customer details not available';
-    
-    // Format order items if available
-    let orderItems = 'Order items not available';
-    if (orderData && orderData.order_items && orderData.order_items.length > 0) {
-      orderItems = orderData.order_items.map(item => 
-        `- ${item.name || 'Unknown Product'}: ${item.units || 0} units at ${item.selling_price || 0}`
-      ).join('\n');
+  const record = keys[id] = {
+    fingerprint,
+    status: "in_progress",
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000).toISOString()
+  };
+  saveCollection("idempotency-keys");
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    // A client that went away has released the key, and a retry may hold it by now
+    if (keys[id] === record) {
+      if (res.statusCode >= 500) {
+        // Server errors aren't stored so the client can retry with the same key
+        delete keys[id];
+      } else {
+        Object.assign(record, { status: "completed", statusCode: res.statusCode, body });
+      }
+      saveCollection("idempotency-keys");
     }
-    
-    // Create HTML version of the email
-    const htmlContent = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #d9534f;">Shiprocket Order Creation Failed</h2>
-        <p>${textMessage.replace(/\n/g, '<br>')}</p>
-        
-        <h3>Customer Details:</h3>
-        <pre style="background-color: #f8f9fa; padding: 15px; border-radius: 5px;">${customerDetails}</pre>
-        
-        <h3>Order Items:</h3>
-        <pre style="background-color: #f8f9fa; padding: 15px; border-radius: 5px;">${orderItems}</pre>
-        
-        <p>This is an automated notification. Please check the order details and assist the customer manually.</p>
-      </div>
-    `;
-    
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
-      to: "israelitesshopping171@gmail.com",
-      subject: subject,
-      text: `${textMessage}\n\nCustomer Details:\n${customerDetails}\n\nOrder Items:\n${orderItems}`,
-      html: htmlContent
-    };
+    return json(body);
+  };
+  // A handler that crashed, or answered without res.json, must not hold the key until it expires
+  res.on("close", () => {
+    if (keys[id] === record && record.status === "in_progress") {
+      delete keys[id];
+      saveCollection("idempotency-keys");
+    }
+  });
+  next();
+}
 
-    await transporter.sendMail(mailOptions);
-    console.log("Shiprocket failure notification email sent successfully");
-    return true;
-  } catch (error) {
-    console.error("Error sending Shiprocket failure email:", error);
-    return false;
-  }
+// Email Outbox
+// Every email is rendered up front and stored in the "email-outbox" collection, so
+// callers never wait on (or fail because of) the mail server. Delivery is attempted
+// straight away and retried with exponential backoff (see delivery-queue.js);
+// rejected recipients and messages that run out of attempts are marked failed and
+// can be resent by an admin.
+const EMAIL_RETRY_MAX_ATTEMPTS = Number(process.env.EMAIL_RETRY_MAX_ATTEMPTS) || 5;
+const EMAIL_RETRY_BASE_SECONDS = Number(process.env.EMAIL_RETRY_BASE_SECONDS) || 60;
+const EMAIL_OUTBOX_RETENTION_DAYS = Number(process.env.EMAIL_OUTBOX_RETENTION_DAYS) || 30;
+const EMAIL_OUTBOX_POLL_SECONDS = Number(process.env.EMAIL_OUTBOX_POLL_SECONDS) || 30;
+
+// 5.1.x is a bad mailbox or address and EENVELOPE means nodemailer had no valid
+// recipient; HTTP transports flag their own rejections as permanent. Retrying those
+// won't help. Timeouts, rate limits and 4xx SMTP replies may.
+function isPermanentEmailFailure(error) {
+  return error.permanent === true || error.code === "EENVELOPE" || /\b5\.1\.\d\b/.test(String(error.response || ""));
 }
 
-// Track Shipment Status
-app.get("/shiprocket/track/:shipmentId", async (req, res) => {
-  try {
-    const token = await getShiprocketToken();
-    const { shipmentId } = req.params;
-    
-    if (!shipmentId) {
-      return res.status(400).json({
+const emailOutbox = new DeliveryQueue({
+  name: "Email",
+  idPrefix: "eml",
+  store: { load: () => loadCollection("email-outbox"), save: () => saveCollection("email-outbox") },
+  deliver: entry => getTransporter(getTenant(entry.tenant)).sendMail(entry.message),
+  isPermanentFailure: isPermanentEmailFailure,
+  maxAttempts: EMAIL_RETRY_MAX_ATTEMPTS,
+  baseSeconds: EMAIL_RETRY_BASE_SECONDS,
+  pollSeconds: EMAIL_OUTBOX_POLL_SECONDS,
+  retentionDays: EMAIL_OUTBOX_RETENTION_DAYS
+}).start();
+
+// Stores a message for delivery and returns its outbox entry
+function queueEmail(tenant, mailOptions, { template = null } = {}) {
+  return emailOutbox.enqueue({
+    tenant: tenant.id,
+    template,
+    message: { from: emailSender(tenant), ...mailOptions }
+  });
+}
+
+// Renders a template from email-templates.js with the tenant's branding and queues it
+function queueTemplateEmail(tenant, name, data, { to, cc, headers } = {}) {
+  const { subject, html, text } = renderEmail(name, data, tenant);
+  return queueEmail(tenant, { to, cc, headers, subject, html, text }, { template: name });
+}
+
+function emailOutboxSummary(entry) {
+  return {
+    id: entry.id,
+    tenant: entry.tenant,
+    template: entry.template,
+    to: entry.message.to,
+    subject: entry.message.subject,
+    status: entry.status,
+    attempts: entry.attempts,
+    maxAttempts: entry.maxAttempts,
+    nextAttemptAt: entry.nextAttemptAt,
+    lastError: entry.lastError,
+    sentAt: entry.sentAt || null,
+    createdAt: entry.createdAt,
+    updatedAt: entry.updatedAt
+  };
+}
+
+// The body for routes that hand an email to the outbox
+function queuedEmailResponse(entry, message) {
+  return { success: true, message, messageId: entry.id, statusUrl: `/emails/${entry.id}` };
+}
+
+// Handler for POST /<collection>/:id/resend on a delivery queue: gives a failed entry
+// a fresh set of attempts. noun names the entry in messages and key in the body.
+function resendFailedEntry(queue, { noun, key, summary = entry => entry }) {
+  return async (req, res) => {
+    const entry = queue.find(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({ success: false, message: `${noun} not found` });
+    }
+    if (entry.status !== "failed") {
+      return res.status(409).json({
         success: false,
-        message: "Shipment ID is required"
+        message: `Only failed ${noun.toLowerCase()}s can be resent; this one is ${entry.status}`,
+        [key]: summary(entry)
       });
     }
-    
-    const response = await fetch(`https://apiv2.shiprocket.in/v1/external/courier/track/shipment/${shipmentId}`, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${token}`
-      }
-    });
-    
-    const data = await response.json();
-    
+
+    try {
+      const result = await queue.resend(entry.id);
+
+      res.status({ sent: 200, queued: 202 }[result.status] || 502).json({
+        success: result.status !== "failed",
+        message: result.status === "sent"
+          ? `${noun} sent`
+          : result.status === "queued" ? `${noun} could not be sent yet and will be retried` : `${noun} could not be sent`,
+        [key]: summary(result)
+      });
+    } catch (error) {
+      console.error(`Error resending ${noun.toLowerCase()}:`, error);
+      res.status(500).json({ success: false, message: `Error resending ${noun.toLowerCase()}`, error: error.message });
+    }
+  };
+}
+
+// List outbox messages (?status=queued|sent|failed)
+app.get("/emails", requireAdmin, (req, res) => {
+  try {
+    const entries = Object.values(loadCollection("email-outbox"))
+      .filter(entry => !req.query.status || entry.status === req.query.status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
     res.status(200).json({
       success: true,
-      tracking: data
+      count: entries.length,
+      emails: entries.map(emailOutboxSummary)
     });
   } catch (error) {
-    console.error("Error tracking shipment:", error);
-    res.status(500).json({
-      success: false,
-      message: "Error tracking shipment",
-      error: error.message
-    });
+    console.error("Error listing email outbox:", error);
+    res.status(500).json({ success: false, message: "Error listing email outbox", error: error.message });
   }
 });
 
-// YouTube Subscription Verification API
-app.post("/verify-youtube-subscription", async (req, res) => {
-  const { accessToken, channelId, devMode, verificationCode } = req.body;
-  
-  // Development mode bypass for testing (only use in development!)
-  if (devMode === true && verificationCode === process.env.DEV_VERIFICATION_CODE) {
-    return res.status(200).json({
-      success: true,
-      isSubscribed: true,
-      message: "Development mode: Subscription verified! 10% discount applied."
-    });
+// Delivery status of a queued email. The unguessable id returned when it was queued
+// is all a storefront needs to poll it, so without the admin key only the status and
+// attempt count are shown; recipients, subjects and errors need the admin key.
+app.get("/emails/:id", (req, res) => {
+  const entry = emailOutbox.find(req.params.id);
+
+  if (!entry) {
+    return res.status(404).json({ success: false, message: "Email not found" });
   }
-  
-  try {
-    // Fetch the user's subscription list using the access token
-    const response = await fetch(`https://www.googleapis.com/youtube/v3/subscriptions?part=snippet&mine=true&maxResults=50`, {
+
+  res.status(200).json({
+    success: true,
+    email: isAdminRequest(req)
+      ? emailOutboxSummary(entry)
+      : { id: entry.id, status: entry.status, attempts: entry.attempts }
+  });
+});
+
+// Resend a failed email with a fresh set of attempts
+app.post("/emails/:id/resend", requireAdmin, resendFailedEntry(emailOutbox, { noun: "Email", key: "email", summary: emailOutboxSummary }));
+
+// Local Mail Capture Inbox
+// With the capture transport, emails are written to MAIL_CAPTURE_DIR instead of
+// being sent; these routes list and show them. They only exist while capture is
+// on, and need the admin key when NODE_ENV is production.
+function requireMailCapture(req, res, next) {
+  if (!mailCaptureEnabled()) {
+    return res.status(404).json({ success: false, message: "Mail capture is not enabled (set MAIL_TRANSPORT=capture)" });
+  }
+  if (process.env.NODE_ENV === "production") {
+    return requireAdmin(req, res, next);
+  }
+  next();
+}
+
+function capturedMessageSummary(message) {
+  return {
+    id: message.id,
+    tenant: message.tenant,
+    from: message.from,
+    to: message.to,
+    cc: message.cc,
+    subject: message.subject,
+    attachments: message.attachments.length,
+    capturedAt: message.capturedAt,
+    viewUrl: `/dev/inbox/${message.id}`
+  };
+}
+
+// List captured emails (?to=&tenant= filter; browsers get a clickable page)
+app.get("/dev/inbox", requireMailCapture, (req, res) => {
+  try {
+    const messages = listCapturedMessages(mailCaptureDir())
+      .filter(message =>
+        (!req.query.to || [message.to, message.cc].join(",").toLowerCase().includes(String(req.query.to).toLowerCase())) &&
+        (!req.query.tenant || message.tenant === req.query.tenant))
+      .map(capturedMessageSummary);
+
+    if (req.accepts(["json", "html"]) === "html") {
+      const rows = messages.map(message => `<tr><td>${escapeHtml(message.capturedAt)}</td><td>${escapeHtml(message.to)}</td>` +
+        `<td><a href="${message.viewUrl}">${escapeHtml(message.subject || "(no subject)")}</a></td><td>${escapeHtml(message.tenant || "")}</td></tr>`);
+      return res.type("html").send(`<!DOCTYPE html><html><head><meta charset="UTF-8"><title>Captured mail</title></head>
+<body style="font-family: sans-serif;"><h2>Captured mail (${messages.length})</h2>
+<table cellpadding="6"><tr><th align="left">Captured</th><th align="left">To</th><th align="left">Subject</th><th align="left">Tenant</th></tr>${rows.join("")}</table></body></html>`);
+    }
+
+    res.status(200).json({ success: true, count: messages.length, messages });
+  } catch (error) {
+    console.error("Error listing captured mail:", error);
+    res.status(500).json({ success: false, message: "Error listing captured mail", error: error.message });
+  }
+});
+
+// Show a captured email: the HTML body by default, or ?format=text|json|eml
+app.get("/dev/inbox/:id", requireMailCapture, (req, res) => {
+  const message = readCapturedMessage(mailCaptureDir(), req.params.id);
+
+  if (!message) {
+    return res.status(404).json({ success: false, message: "Captured email not found" });
+  }
+
+  const { raw, ...fields } = message;
+  if (req.query.format === "json") {
+    return res.status(200).json({ success: true, message: fields });
+  }
+  if (req.query.format === "eml") {
+    res.set("Content-Disposition", `attachment; filename="${message.id}.eml"`);
+    return res.type("message/rfc822").send(raw);
+  }
+  if (req.query.format === "text" || !message.html) {
+    return res.type("text/plain").send(message.text || "");
+  }
+  res.type("html").send(message.html);
+});
+
+// Delete every captured email
+app.post("/dev/inbox/clear", requireMailCapture, (req, res) => {
+  try {
+    const deleted = clearCapturedMessages(mailCaptureDir());
+    res.status(200).json({ success: true, deleted });
+  } catch (error) {
+    console.error("Error clearing captured mail:", error);
+    res.status(500).json({ success: false, message: "Error clearing captured mail", error: error.message });
+  }
+});
+
+// WhatsApp & SMS Notifications
+// Order events (confirmation, advance received, shipped, out for delivery with a
+// COD balance reminder, delivered) also go to the customer's phone on the channels
+// listed in the tenant's "notifications" config, e.g.
+//   "notifications": { "channels": ["whatsapp", "sms"], "whatsapp": {...}, "sms": {...} }
+// The first channel the customer allows is tried first; if it rejects the message
+// for good (say the number isn't on WhatsApp) the next one is used. Checkout can
+// narrow or reorder the channels for that order (customer.notificationChannels, [] opts
+// out); standing preferences are set through /notifications/preferences by an agent,
+// or by the customer with the notificationToken /create-order returned for their order.
+// Messages are stored in the "notifications" collection and retried like emails.
+// NOTIFICATION_PROVIDER=stub captures every tenant's messages to NOTIFICATION_STUB_DIR.
+const NOTIFICATION_CHANNELS = ["whatsapp", "sms"];
+const NOTIFICATION_RETRY_MAX_ATTEMPTS = Number(process.env.NOTIFICATION_RETRY_MAX_ATTEMPTS) || 5;
+const NOTIFICATION_RETRY_BASE_SECONDS = Number(process.env.NOTIFICATION_RETRY_BASE_SECONDS) || 60;
+const NOTIFICATION_POLL_SECONDS = Number(process.env.NOTIFICATION_POLL_SECONDS) || 30;
+const notificationProviders = {};
+
+// When a channel gives up on a message, it moves on to the customer's next channel
+const notificationQueue = new DeliveryQueue({
+  name: "Notification",
+  idPrefix: "ntf",
+  store: { load: () => loadCollection("notifications"), save: () => saveCollection("notifications") },
+  deliver: entry => getNotificationProvider(getTenant(entry.tenant), entry.channel).send({ to: entry.to, ...entry.message }),
+  attemptDetails: entry => ({ channel: entry.channel }),
+  fallback: entry => {
+    if (entry.fallbackChannels.length === 0) {
+      return false;
+    }
+    const channel = entry.fallbackChannels.shift();
+    entry.history.push({ event: "fallback", from: entry.channel, to: channel, at: new Date().toISOString() });
+    console.log(`Notification ${entry.id} failed on ${entry.channel}, falling back to ${channel}`);
+    entry.channel = channel;
+    return true;
+  },
+  maxAttempts: NOTIFICATION_RETRY_MAX_ATTEMPTS,
+  baseSeconds: NOTIFICATION_RETRY_BASE_SECONDS,
+  pollSeconds: NOTIFICATION_POLL_SECONDS
+}).start();
+
+function notificationStubEnabled() {
+  return process.env.NOTIFICATION_PROVIDER === "stub" ||
+    [defaultTenant, ...Object.values(tenants)].some(tenant =>
+      NOTIFICATION_CHANNELS.some(channel => tenant.notifications[channel] && tenant.notifications[channel].provider === "stub"));
+}
+
+function notificationStubDir() {
+  return process.env.NOTIFICATION_STUB_DIR || path.join(DATA_DIR, "message-capture");
+}
+
+function getNotificationProvider(tenant, channel) {
+  const key = `${tenant.id}:${channel}`;
+  if (!notificationProviders[key]) {
+    const config = tenant.notifications[channel] || {};
+    notificationProviders[key] = createNotificationProvider(channel, {
+      ...config,
+      provider: process.env.NOTIFICATION_PROVIDER === "stub" ? "stub" : config.provider,
+      dir: notificationStubDir(),
+      tenant: tenant.id
+    });
+  }
+  return notificationProviders[key];
+}
+
+// The tenant's channels, narrowed and ordered by the choice made at checkout for this
+// order, or else by the customer's standing preference if they set one
+function customerChannels(tenant, phone, order = null) {
+  const configured = (tenant.notifications.channels || []).filter(channel => NOTIFICATION_CHANNELS.includes(channel));
+  const chosen = order && order.customer && Array.isArray(order.customer.notificationChannels)
+    ? order.customer.notificationChannels
+    : (loadCollection("notification-preferences")[`${tenant.id}:${phone}`] || {}).channels;
+  return chosen ? [...new Set(chosen)].filter(channel => configured.includes(channel)) : configured;
+}
+
+function setNotificationPreference(tenant, phone, channels) {
+  const preferences = loadCollection("notification-preferences");
+  const key = `${tenant.id}:${phone}`;
+
+  preferences[key] = {
+    tenant: tenant.id,
+    phone,
+    channels,
+    createdAt: preferences[key] ? preferences[key].createdAt : new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+  saveCollection("notification-preferences");
+  return preferences[key];
+}
+
+function notificationData(order, extra = {}) {
+  const customer = order.customer || {};
+  const rupees = amount => Number(amount || 0).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+  return {
+    name: customer.firstName || "there",
+    store: getTenant(order.tenant).name,
+    orderNumber: order.receipt,
+    amount: rupees(order.totalAmount || order.amount),
+    advance: rupees(order.advanceAmount),
+    balance: rupees(order.balanceAmount),
+    ...extra
+  };
+}
+
+// Queues an event for an order's customer, at most once per order and event.
+// Returns the notification, or null when the tenant, number or preference rules it out.
+function notifyCustomer(order, event, extra = {}) {
+  const tenant = getTenant(order.tenant);
+  const phone = normalizeMobileNumber((order.customer || {}).phone);
+
+  if (!MOBILE_PATTERN.test(phone)) {
+    return null;
+  }
+
+  const channels = customerChannels(tenant, phone, order);
+  if (channels.length === 0) {
+    return null;
+  }
+
+  const existing = Object.values(loadCollection("notifications")).find(entry => entry.orderId === order.id && entry.event === event);
+  if (existing) {
+    return existing;
+  }
+
+  const entry = notificationQueue.enqueue({
+    tenant: tenant.id,
+    event,
+    orderId: order.id,
+    to: phone,
+    channel: channels[0],
+    fallbackChannels: channels.slice(1),
+    message: renderMessage(event, notificationData(order, extra), tenant)
+  });
+  console.log(`${event} ${entry.channel} message queued for order ${order.receipt}:`, entry.id);
+  return entry;
+}
+
+// Shipment milestones map to events; COD balances get a reminder instead of the plain notice.
+// Couriers don't always report the pickup, so "shipped" also goes out on the first
+// in-transit scan (notifyCustomer sends each event once per order).
+function shipmentNotificationEvent(order, milestone) {
+  if (milestone === "out_for_delivery") {
+    return order.paymentMode === "advance" && order.balanceAmount > 0 ? "balance-reminder" : "out-for-delivery";
+  }
+  return { picked_up: "shipped", in_transit: "shipped", delivered: "delivered" }[milestone] || null;
+}
+
+// Set a customer's channels in order of preference; [] opts them out of phone messages.
+// Agents send { phone, channels }; customers send { orderNumber, token, channels } with
+// the notificationToken from /create-order, and the phone on that order is used.
+app.post("/notifications/preferences", (req, res) => {
+  const { phone, orderNumber, token, channels } = req.body || {};
+  let mobile;
+  let order = null;
+
+  if (isAgentRequest(req)) {
+    mobile = normalizeMobileNumber(phone);
+  } else {
+    order = orderNumber ? findOrderByReceipt(String(orderNumber)) : null;
+    if (!order || order.tenant !== req.tenant.id || !order.notificationToken || !safeCompare(token, order.notificationToken)) {
+      return res.status(401).json({ success: false, message: "Unauthorized" });
+    }
+    mobile = normalizeMobileNumber((order.customer || {}).phone);
+  }
+
+  if (!MOBILE_PATTERN.test(mobile)) {
+    return res.status(400).json({ success: false, message: "phone must be a valid 10-digit Indian mobile number" });
+  }
+  if (!Array.isArray(channels) || channels.some(channel => !NOTIFICATION_CHANNELS.includes(channel))) {
+    return res.status(400).json({ success: false, message: `channels must be a list drawn from: ${NOTIFICATION_CHANNELS.join(", ")}` });
+  }
+
+  try {
+    const preference = setNotificationPreference(req.tenant, mobile, [...new Set(channels)]);
+    // The new choice also replaces the one made at checkout for this order
+    if (order && Array.isArray(order.customer.notificationChannels)) {
+      order.customer.notificationChannels = preference.channels;
+      saveCollection("orders");
+    }
+    res.status(200).json({ success: true, preference, effectiveChannels: customerChannels(req.tenant, mobile, order) });
+  } catch (error) {
+    console.error("Error saving notification preference:", error);
+    res.status(500).json({ success: false, message: "Error saving notification preference", error: error.message });
+  }
+});
+
+app.get("/notifications/preferences/:phone", requireAgent, (req, res) => {
+  const mobile = normalizeMobileNumber(req.params.phone);
+  const preference = loadCollection("notification-preferences")[`${req.tenant.id}:${mobile}`] || null;
+
+  res.status(200).json({
+    success: true,
+    phone: mobile,
+    preference,
+    effectiveChannels: customerChannels(req.tenant, mobile)
+  });
+});
+
+// List notifications (?status=queued|sent|failed&event=&orderId=&phone=)
+app.get("/notifications", requireAdmin, (req, res) => {
+  const { status, event, orderId, phone } = req.query;
+  const notifications = Object.values(loadCollection("notifications"))
+    .filter(entry =>
+      (!status || entry.status === status) &&
+      (!event || entry.event === event) &&
+      (!orderId || entry.orderId === orderId) &&
+      (!phone || entry.to === normalizeMobileNumber(phone)))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  res.status(200).json({ success: true, count: notifications.length, notifications });
+});
+
+app.get("/notifications/:id", requireAdmin, (req, res) => {
+  const notification = notificationQueue.find(req.params.id);
+
+  if (!notification) {
+    return res.status(404).json({ success: false, message: "Notification not found" });
+  }
+  res.status(200).json({ success: true, notification });
+});
+
+// Resend a failed notification on its last channel with a fresh set of attempts
+app.post("/notifications/:id/resend", requireAdmin, resendFailedEntry(notificationQueue, { noun: "Notification", key: "notification" }));
+
+// Every event's message rendered with sample data for the requesting storefront (or ?tenant=<id>)
+app.get("/notification-templates", (req, res) => {
+  try {
+    const tenant = req.query.tenant ? getTenant(String(req.query.tenant)) : req.tenant;
+    res.status(200).json({
+      success: true,
+      tenant: tenant.id,
+      channels: tenant.notifications.channels || [],
+      templates: Object.entries(messageTemplates).map(([event, template]) => ({
+        event,
+        description: template.description,
+        ...renderMessage(event, { ...messageSample, store: tenant.name }, tenant)
+      }))
+    });
+  } catch (error) {
+    console.error("Error rendering message templates:", error);
+    res.status(500).json({ success: false, message: "Failed to render message templates", error: error.message });
+  }
+});
+
+// Messages captured by the stub provider; available under the same rules as /dev/inbox
+function requireNotificationStub(req, res, next) {
+  if (!notificationStubEnabled()) {
+    return res.status(404).json({ success: false, message: "Stub notification provider is not enabled (set NOTIFICATION_PROVIDER=stub)" });
+  }
+  if (process.env.NODE_ENV === "production") {
+    return requireAdmin(req, res, next);
+  }
+  next();
+}
+
+// ?to=&channel= filter
+app.get("/dev/messages", requireNotificationStub, (req, res) => {
+  const messages = listCapturedMessages(notificationStubDir())
+    .filter(message =>
+      (!req.query.to || message.to === normalizeMobileNumber(req.query.to)) &&
+      (!req.query.channel || message.channel === req.query.channel));
+
+  res.status(200).json({ success: true, count: messages.length, messages });
+});
+
+app.post("/dev/messages/clear", requireNotificationStub, (req, res) => {
+  res.status(200).json({ success: true, deleted: clearCapturedMessages(notificationStubDir()) });
+});
+
+// Shiprocket API Integration
+// Set SHIPROCKET_BASE_URL to point at a fake server (see fake-shiprocket.js) for local testing
+const shiprocket = new ShiprocketClient({
+  email: process.env.SHIPROCKET_EMAIL,
+  password: process.env.SHIPROCKET_PASSWORD,
+  baseUrl: process.env.SHIPROCKET_BASE_URL || undefined,
+  timeoutMs: Number(process.env.SHIPROCKET_TIMEOUT_MS) || 15000
+});
+
+// Shiprocket Authentication Test Endpoint
+app.get("/shiprocket/test-auth", async (req, res) => {
+  try {
+    const token = await shiprocket.getToken();
+    res.status(200).json({
+      success: true,
+      message: "Shiprocket authentication successful",
+      tokenExpiresAt: shiprocket.tokenExpiresAt,
+      token: token // Include the token in the response
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Shiprocket authentication failed",
+      error: error.message
+    });
+  }
+});
+
+// Sends an adhoc order to Shiprocket and links the resulting shipment to the
+// ledger entry whose receipt matches the storefront order id
+async function submitShiprocketOrder(orderData) {
+  const response = await shiprocket.post("/orders/create/adhoc", orderData);
+  const data = response.data;
+  
+  if (response.ok) {
+    const ledgerOrder = findOrderByReceipt(String(orderData.order_id));
+    if (ledgerOrder && ledgerOrder.status === "paid") {
+      updateOrderStatus(ledgerOrder.id, "shipped", {
+        shiprocketOrderId: data.order_id,
+        shipmentId: data.shipment_id
+      });
+    }
+  }
+  
+  return { ok: response.ok, status: response.status, data };
+}
+
+// Address Normalization
+// Shipping addresses are cleaned up before they reach Shiprocket or an email:
+// phone numbers are reduced to 10 digits and the pincode's first two or three
+// digits are looked up in pincodes.json, a bundled map from postal-circle prefix
+// to state. That can't confirm a pincode exists or name its city, so a state that
+// doesn't match the prefix only earns a warning. Pointing PINCODE_DIRECTORY_PATH at
+// India Post's "All India Pincode Directory" CSV adds exact per-pincode district
+// and state, which are used to fill in the city and correct the state. Results
+// come back as warnings (something was filled in, corrected or looks wrong) and
+// errors (the address can't be shipped to), both as [{ field, message }].
+const PINCODE_PATTERN = /^[1-9]\d{5}$/;
+const MOBILE_PATTERN = /^[6-9]\d{9}$/;
+const PINCODE_DATA_PATH = process.env.PINCODE_DATA_PATH || path.join(__dirname, "pincodes.json");
+const PINCODE_DIRECTORY_PATH = process.env.PINCODE_DIRECTORY_PATH;
+
+const INDIAN_STATES = [
+  "Andaman and Nicobar Islands", "Andhra Pradesh", "Arunachal Pradesh", "Assam", "Bihar", "Chandigarh",
+  "Chhattisgarh", "Dadra and Nagar Haveli and Daman and Diu", "Delhi", "Goa", "Gujarat", "Haryana",
+  "Himachal Pradesh", "Jammu and Kashmir", "Jharkhand", "Karnataka", "Kerala", "Ladakh", "Lakshadweep",
+  "Madhya Pradesh", "Maharashtra", "Manipur", "Meghalaya", "Mizoram", "Nagaland", "Odisha", "Puducherry",
+  "Punjab", "Rajasthan", "Sikkim", "Tamil Nadu", "Telangana", "Tripura", "Uttar Pradesh", "Uttarakhand",
+  "West Bengal"
+];
+
+// Vehicle registration codes plus old names and common misspellings, keyed like stateKey()
+const STATE_ALIASES = {
+  an: "Andaman and Nicobar Islands", andamanandnicobar: "Andaman and Nicobar Islands",
+  ap: "Andhra Pradesh", ar: "Arunachal Pradesh", as: "Assam", br: "Bihar", ch: "Chandigarh",
+  cg: "Chhattisgarh", ct: "Chhattisgarh", chattisgarh: "Chhattisgarh", chhatisgarh: "Chhattisgarh",
+  dd: "Dadra and Nagar Haveli and Daman and Diu", dn: "Dadra and Nagar Haveli and Daman and Diu",
+  dnhdd: "Dadra and Nagar Haveli and Daman and Diu", damananddiu: "Dadra and Nagar Haveli and Daman and Diu",
+  dadraandnagarhaveli: "Dadra and Nagar Haveli and Daman and Diu",
+  thedadraandnagarhavelianddamananddiu: "Dadra and Nagar Haveli and Daman and Diu",
+  dl: "Delhi", newdelhi: "Delhi", nctofdelhi: "Delhi", ga: "Goa", gj: "Gujarat", hr: "Haryana",
+  hp: "Himachal Pradesh", jk: "Jammu and Kashmir", jh: "Jharkhand", ka: "Karnataka", kl: "Kerala",
+  la: "Ladakh", ld: "Lakshadweep", mp: "Madhya Pradesh", mh: "Maharashtra", mn: "Manipur", ml: "Meghalaya",
+  mz: "Mizoram", nl: "Nagaland", od: "Odisha", or: "Odisha", orissa: "Odisha", py: "Puducherry",
+  pondicherry: "Puducherry", pb: "Punjab", rj: "Rajasthan", sk: "Sikkim", tn: "Tamil Nadu",
+  ts: "Telangana", tg: "Telangana", telengana: "Telangana", tr: "Tripura", up: "Uttar Pradesh",
+  uk: "Uttarakhand", ut: "Uttarakhand", uttaranchal: "Uttarakhand", wb: "West Bengal"
+};
+
+function stateKey(value) {
+  return String(value || "").toLowerCase().replace(/&/g, "and").replace(/[^a-z]/g, "");
+}
+
+const STATE_LOOKUP = new Map([
+  ...INDIAN_STATES.map(state => [stateKey(state), state]),
+  ...Object.entries(STATE_ALIASES)
+]);
+
+function canonicalState(value) {
+  return STATE_LOOKUP.get(stateKey(value)) || null;
+}
+
+function titleCase(value) {
+  return String(value || "").trim().toLowerCase().replace(/\b[a-z]/g, letter => letter.toUpperCase());
+}
+
+let pincodeData = { states: {} };
+const pincodeDirectory = new Map();
+
+try {
+  pincodeData = JSON.parse(fs.readFileSync(PINCODE_DATA_PATH, "utf8"));
+} catch (error) {
+  console.error(`Pincode data not loaded from ${PINCODE_DATA_PATH}:`, error.message);
+}
+
+if (PINCODE_DIRECTORY_PATH) {
+  try {
+    const [header = [], ...rows] = parseCsv(fs.readFileSync(PINCODE_DIRECTORY_PATH, "utf8"));
+    const columns = header.map(column => column.trim().toLowerCase());
+    const pincodeIndex = columns.indexOf("pincode");
+    const districtIndex = columns.findIndex(column => column === "district" || column === "districtname");
+    const stateIndex = columns.findIndex(column => column === "statename" || column === "state");
+
+    if (pincodeIndex === -1 || districtIndex === -1 || stateIndex === -1) {
+      throw new Error("expected pincode, district and statename columns");
+    }
+
+    rows.forEach(cells => {
+      const pincode = String(cells[pincodeIndex] || "").trim();
+      if (PINCODE_PATTERN.test(pincode) && !pincodeDirectory.has(pincode)) {
+        pincodeDirectory.set(pincode, {
+          city: titleCase(cells[districtIndex]),
+          state: canonicalState(cells[stateIndex]) || titleCase(cells[stateIndex])
+        });
+      }
+    });
+    console.log(`Loaded ${pincodeDirectory.size} pincodes from ${PINCODE_DIRECTORY_PATH}`);
+  } catch (error) {
+    console.error(`Pincode directory not loaded from ${PINCODE_DIRECTORY_PATH}:`, error.message);
+  }
+}
+
+// Returns { pincode, states, city, exact } or null for prefixes that aren't
+// civilian delivery areas (e.g. the 9xxxxx Army Postal Service range). The city
+// is only known from the India Post directory.
+function lookupPincode(pincode) {
+  const entry = pincodeDirectory.get(pincode);
+  if (entry) {
+    return { pincode, states: [entry.state], city: entry.city, exact: true };
+  }
+
+  const states = pincodeData.states[pincode.slice(0, 3)] || pincodeData.states[pincode.slice(0, 2)];
+  if (!states) {
+    return null;
+  }
+  return { pincode, states: [].concat(states), city: null, exact: false };
+}
+
+// Accepts "+91 98765 43210", "098765-43210", "0091..." and similar
+function normalizeMobileNumber(phone) {
+  let digits = String(phone || "").replace(/\D/g, "");
+  if (digits.length === 14 && digits.startsWith("0091")) {
+    digits = digits.slice(4);
+  } else if (digits.length === 12 && digits.startsWith("91")) {
+    digits = digits.slice(2);
+  } else if (digits.length === 11 && digits.startsWith("0")) {
+    digits = digits.slice(1);
+  }
+  return digits;
+}
+
+// Takes the customerDetails shape (firstName, phone, address, city, state, zip...)
+// and returns { address, warnings, errors } with field names relative to it
+function normalizeAddress(details) {
+  const source = details || {};
+  const warnings = [];
+  const errors = [];
+  const clean = value => (value === undefined || value === null ? "" : String(value)).replace(/\s+/g, " ").trim();
+  const address = { ...source };
+
+  ["firstName", "lastName", "address", "apartment", "city", "state"].forEach(field => {
+    if (source[field] !== undefined && source[field] !== null) {
+      address[field] = clean(source[field]);
+    }
+  });
+  address.country = clean(source.country) || "India";
+
+  const phone = normalizeMobileNumber(source.phone);
+  if (!clean(source.phone)) {
+    errors.push({ field: "phone", message: "is required" });
+  } else if (!MOBILE_PATTERN.test(phone)) {
+    errors.push({ field: "phone", message: "must be a 10-digit Indian mobile number" });
+  } else {
+    address.phone = phone;
+  }
+
+  if (!address.address) {
+    errors.push({ field: "address", message: "is required" });
+  } else if (address.address.length < 10) {
+    warnings.push({ field: "address", message: "looks incomplete; include the house number, street and area" });
+  }
+
+  const zip = clean(source.zip).replace(/\s/g, "");
+  let place = null;
+  if (!zip) {
+    errors.push({ field: "zip", message: "is required" });
+  } else if (!PINCODE_PATTERN.test(zip)) {
+    errors.push({ field: "zip", message: "must be a 6-digit pincode" });
+  } else {
+    address.zip = zip;
+    place = lookupPincode(zip);
+    if (!place) {
+      warnings.push({ field: "zip", message: `${zip} is not a recognised delivery pincode` });
+    }
+  }
+
+  const state = address.state ? canonicalState(address.state) : null;
+  const pincodeState = place && place.states.length === 1 ? place.states[0] : null;
+
+  if (!address.state) {
+    if (pincodeState) {
+      address.state = pincodeState;
+      warnings.push({ field: "state", message: `filled in as ${pincodeState} from pincode ${zip}` });
+    } else {
+      errors.push({ field: "state", message: "is required" });
+    }
+  } else if (place && place.exact && !place.states.includes(state)) {
+    warnings.push({ field: "state", message: `changed from "${address.state}" to ${pincodeState} to match pincode ${zip}` });
+    address.state = pincodeState;
+  } else if (place && state && !place.states.includes(state)) {
+    // The prefix map can be wrong near state borders, so keep what the customer gave
+    address.state = state;
+    warnings.push({ field: "state", message: `pincodes starting ${zip.slice(0, 3)} are usually in ${place.states.join(" or ")}; check the state and pincode` });
+  } else if (state) {
+    address.state = state;
+  } else {
+    errors.push({ field: "state", message: `"${address.state}" is not an Indian state or union territory` });
+  }
+
+  if (!address.city) {
+    if (place && place.city) {
+      address.city = place.city;
+      warnings.push({ field: "city", message: `filled in as ${place.city} from pincode ${zip}` });
+    } else {
+      errors.push({ field: "city", message: "is required" });
+    }
+  }
+
+  return { address, warnings, errors };
+}
+
+// Email routes render the cleaned-up address; problems are logged, not fatal,
+// since an email with an imperfect address is still worth sending
+function normalizeCustomerDetails(req, res, next) {
+  const details = req.body && req.body.customerDetails;
+
+  if (details && typeof details === "object") {
+    const { address, warnings, errors } = normalizeAddress(details);
+    req.body.customerDetails = address;
+    if (warnings.length > 0 || errors.length > 0) {
+      console.log(`Address issues on ${req.path}:`, JSON.stringify([...errors, ...warnings]));
+    }
+  }
+  next();
+}
+
+// Validate Shipping Address
+// Lets the storefront show corrections and problems before the customer pays
+app.post("/addresses/validate", (req, res) => {
+  const body = req.body || {};
+  const details = body.customerDetails || body.customer || body;
+  const { address, warnings, errors } = normalizeAddress(details);
+
+  res.status(200).json({
+    success: true,
+    valid: errors.length === 0,
+    address,
+    warnings,
+    errors
+  });
+});
+
+// Pincode Lookup
+// For filling in city and state as soon as the customer types their pincode
+app.get("/pincodes/:pincode", (req, res) => {
+  const pincode = String(req.params.pincode).trim();
+
+  if (!PINCODE_PATTERN.test(pincode)) {
+    return res.status(400).json({ success: false, message: "Pincode must be 6 digits" });
+  }
+
+  const place = lookupPincode(pincode);
+  if (!place) {
+    return res.status(404).json({ success: false, message: `${pincode} is not a recognised delivery pincode` });
+  }
+
+  res.status(200).json({
+    success: true,
+    pincode,
+    city: place.city,
+    state: place.states.length === 1 ? place.states[0] : null,
+    states: place.states,
+    exact: place.exact
+  });
+});
+
+// Storefront Checkout -> Shiprocket Order
+// Storefronts can post the same customerDetails/orderDetails shape the email
+// routes take instead of a raw Shiprocket payload. Items are priced and sized
+// from the storefront catalog, so the payload is built entirely on the server.
+// Validation errors come back as [{ field, message }] naming each bad field,
+// alongside any address warnings from normalizeAddress.
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const REQUIRED_ADHOC_FIELDS = [
+  "order_id", "order_date", "pickup_location", "billing_customer_name", "billing_address",
+  "billing_city", "billing_pincode", "billing_state", "billing_country", "billing_email", "billing_phone"
+];
+
+function validateAdhocOrder(orderData) {
+  const errors = REQUIRED_ADHOC_FIELDS
+    .filter(field => orderData[field] === undefined || orderData[field] === null || String(orderData[field]).trim() === "")
+    .map(field => ({ field, message: "is required" }));
+
+  if (!Array.isArray(orderData.order_items) || orderData.order_items.length === 0) {
+    errors.push({ field: "order_items", message: "must be a non-empty array" });
+  }
+  return errors;
+}
+
+function mapCheckoutToShiprocketOrder(storefront, tenant, body, { trusted = false } = {}) {
+  const customer = body.customerDetails || {};
+  const details = body.orderDetails || {};
+  const products = (catalog[storefront] && catalog[storefront].products) || [];
+  const email = customer.email || body.customerEmail;
+  const normalized = normalizeAddress(customer);
+  const prefixed = issues => issues.map(({ field, message }) => ({ field: `customerDetails.${field}`, message }));
+  const warnings = prefixed(normalized.warnings);
+  const errors = [];
+  const fieldError = (field, message) => errors.push({ field, message });
+
+  if (!String(customer.firstName || "").trim()) {
+    fieldError("customerDetails.firstName", "is required");
+  }
+  errors.push(...prefixed(normalized.errors));
+  if (!email) {
+    fieldError("customerDetails.email", "is required");
+  } else if (!EMAIL_PATTERN.test(String(email).trim())) {
+    fieldError("customerDetails.email", "must be a valid email address");
+  }
+  if (!details.orderNumber) {
+    fieldError("orderDetails.orderNumber", "is required");
+  }
+
+  // Single-product orders use productName/quantity, as in the email routes
+  const requested = Array.isArray(details.products) && details.products.length > 0
+    ? details.products
+    : details.productName ? [{ name: details.productName, quantity: details.quantity || 1 }] : [];
+  const items = [];
+
+  if (products.length === 0) {
+    fieldError("storefront", `No product catalog configured for storefront "${storefront}"`);
+  } else if (requested.length === 0) {
+    fieldError("orderDetails.products", "must be a non-empty array of { sku, quantity }");
+  }
+
+  requested.forEach((item, index) => {
+    const name = String(item.name || "").trim().toLowerCase();
+    const product = products.find(p => (item.sku && p.sku === item.sku) || (!item.sku && name && p.name.toLowerCase() === name));
+    const quantity = Number(item.quantity);
+
+    if (products.length === 0) {
+      return;
+    }
+    if (!product) {
+      fieldError(`orderDetails.products[${index}].sku`, `unknown product "${item.sku || item.name || ""}"`);
+    } else if (!product.active) {
+      fieldError(`orderDetails.products[${index}].sku`, `${product.sku} is not available for sale`);
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      fieldError(`orderDetails.products[${index}].quantity`, "must be a positive whole number");
+    }
+    if (product) {
+      items.push({ sku: product.sku, quantity });
+    }
+  });
+
+  if (errors.length > 0) {
+    return { errors, warnings };
+  }
+
+  const pricing = priceLineItems(storefront, items);
+  const total = pricing.total / 100;
+  const method = String(details.paymentMethod || "").toLowerCase();
+  // The advance lowers the COD amount the courier collects, so it comes from the
+  // ledger when the order was placed here and is only taken from staff otherwise
+  const ledgerOrder = findOrderByReceipt(String(details.orderNumber));
+  let advance = Number(details.advanceAmount) || 0;
+
+  if (ledgerOrder && ledgerOrder.tenant === tenant.id) {
+    advance = ledgerOrder.paymentMode === "advance" ? ledgerOrder.advanceAmount : 0;
+  } else if (advance && !trusted) {
+    fieldError("orderDetails.advanceAmount", "can only be set by an agent for orders outside the order ledger");
+  }
+
+  if (details.totalAmount !== undefined && Math.abs(Number(details.totalAmount) - total) > 0.01) {
+    fieldError("orderDetails.totalAmount", `${details.totalAmount} does not match the catalog total ${total}`);
+  }
+  if (advance < 0 || advance >= total) {
+    fieldError("orderDetails.advanceAmount", `must be between 0 and the order total ${total}`);
+  }
+  if (errors.length > 0) {
+    return { errors, warnings };
+  }
+
+  // Advance orders ship as COD for the balance; the advance goes in as a discount
+  const paymentMethod = advance > 0 || method.includes("cod") || method.includes("cash") ? "COD" : "Prepaid";
+  const orderData = buildShiprocketOrder({
+    receipt: String(details.orderNumber),
+    tenant: tenant.id,
+    storefront,
+    totalAmount: total,
+    customer: { ...normalized.address, email: String(email).trim() },
+    cart: pricing
+  }, { paymentMethod, prepaidAmount: advance });
+
+  return { orderData, warnings };
+}
+
+// Create Shiprocket Order
+// Accepts either the storefront checkout shape or a raw Shiprocket adhoc payload
+app.post("/shiprocket/create-order", idempotent, async (req, res) => {
+  let orderData = null;
+  
+  try {
+    const isCheckout = Boolean(req.body.orderDetails || req.body.customerDetails);
+    const mapped = isCheckout
+      ? mapCheckoutToShiprocketOrder(resolveStorefront(req), req.tenant, req.body, { trusted: isAgentRequest(req) })
+      : { orderData: { ...req.body, pickup_location: req.body.pickup_location || req.tenant.shiprocket.pickupLocation } };
+    const errors = mapped.errors || validateAdhocOrder(mapped.orderData);
+    
+    if (errors.length > 0) {
+      const customer = req.body.customerDetails || {};
+      const summary = isCheckout ? {
+        order_id: req.body.orderDetails && req.body.orderDetails.orderNumber,
+        billing_customer_name: customer.firstName,
+        billing_email: customer.email || req.body.customerEmail,
+        billing_phone: customer.phone,
+        billing_address: customer.address,
+        billing_city: customer.city,
+        billing_state: customer.state,
+        billing_pincode: customer.zip
+      } : mapped.orderData;
+      
+      // Send email notification about missing or invalid order information
+      await sendShiprocketFailureEmail(
+        "Shiprocket Order Creation Failed - Invalid Data", 
+        `Failed to create Shiprocket order due to missing or invalid information.\n\nOrder ID: ${summary.order_id || 'N/A'}\n\nCustomer: ${summary.billing_customer_name || 'N/A'}\n\nErrors:\n${errors.map(error => `- ${error.field} ${error.message}`).join('\n')}`,
+        summary,
+        req.tenant
+      );
+      
+      return res.status(400).json({
+        success: false,
+        message: "Invalid order information",
+        errors,
+        warnings: mapped.warnings
+      });
+    }
+    
+    orderData = mapped.orderData;
+    
+    // Paid orders are shipped by the fulfilment pipeline; don't create a second shipment
+    const ledgerOrder = orderData.order_id ? findOrderByReceipt(String(orderData.order_id)) : null;
+    if (ledgerOrder && ledgerOrder.fulfilment && ledgerOrder.fulfilment.shiprocket && ledgerOrder.fulfilment.shiprocket.success) {
+      return res.status(200).json({
+        success: true,
+        message: "Order already created on Shiprocket",
+        alreadyCreated: true,
+        data: {
+          order_id: ledgerOrder.fulfilment.shiprocket.orderId,
+          shipment_id: ledgerOrder.fulfilment.shiprocket.shipmentId
+        }
+      });
+    }
+    
+    // A pending retry will create the order; submitting it again could ship it twice
+    const queued = orderData.order_id ? findQueuedShiprocketOrder(orderData.order_id, req.tenant.id, ["pending"]) : null;
+    if (queued) {
+      return res.status(202).json({
+        success: false,
+        queued: true,
+        message: "Order is already queued for retry on Shiprocket",
+        queueId: queued.id,
+        nextAttemptAt: queued.nextAttemptAt
+      });
+    }
+    
+    const response = await submitShiprocketOrder(orderData);
+    const data = response.data;
+    
+    if (response.ok) {
+      // A previously dead-lettered copy of this order no longer needs attention
+      const deadEntry = findQueuedShiprocketOrder(orderData.order_id, req.tenant.id, ["dead"]);
+      if (deadEntry) {
+        markShiprocketQueueSucceeded(deadEntry, data);
+      }
+      
+      res.status(200).json({
+        success: true,
+        message: "Order created successfully on Shiprocket",
+        data,
+        warnings: mapped.warnings
+      });
+    } else {
+      // Queue the order; the admins are emailed only if it ends up dead-lettered
+      const entry = await queueShiprocketOrder(orderData, { tenant: req.tenant, status: response.status, error: data });
+      
+      res.status(entry.status === "pending" ? 202 : response.status).json({
+        success: false,
+        queued: entry.status === "pending",
+        message: entry.status === "pending"
+          ? "Shiprocket order creation failed; queued for retry"
+          : "Failed to create order on Shiprocket",
+        queueId: entry.id,
+        nextAttemptAt: entry.nextAttemptAt,
+        error: data
+      });
+    }
+  } catch (error) {
+    console.error("Error creating Shiprocket order:", error);
+    
+    // Only orders that passed validation are worth retrying
+    if (orderData) {
+      try {
+        const entry = await queueShiprocketOrder(orderData, { tenant: req.tenant, error: error.message });
+        
+        return res.status(entry.status === "pending" ? 202 : 500).json({
+          success: false,
+          queued: entry.status === "pending",
+          message: entry.status === "pending"
+            ? "Shiprocket order creation failed; queued for retry"
+            : "Error creating Shiprocket order",
+          queueId: entry.id,
+          nextAttemptAt: entry.nextAttemptAt,
+          error: error.message
+        });
+      } catch (queueError) {
+        console.error("Error queueing Shiprocket order:", queueError);
+      }
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: "Error creating Shiprocket order",
+      error: error.message
+    });
+  }
+});
+
+// Helper function to send Shiprocket failure email notifications
+async function sendShiprocketFailureEmail(subject, textMessage, orderData, tenant = defaultTenant) {
+  try {
+    // Format customer and order details
+    const customerDetails = orderData ? `
+      Customer Name: ${orderData.billing_customer_name || 'N/A'}
+      Email: ${orderData.billing_email || 'N/A'}
+      Phone: ${orderData.billing_phone || 'N/A'}
+      Address: ${orderData.billing_address || 'N/A'}
+      City: ${orderData.billing_city || 'N/A'}
+      State: ${orderData.billing_state || 'N/A'}
+      Pincode: ${orderData.billing_pincode || 'N/A'}
+    ` : 'Customer details not available';
+    
+    // Format order items if available
+    let orderItems = 'Order items not available';
+    if (orderData && orderData.order_items && orderData.order_items.length > 0) {
+      orderItems = orderData.order_items.map(item => 
+        `- ${item.name || 'Unknown Product'}: ${item.units || 0} units at ${item.selling_price || 0}`
+      ).join('\n');
+    }
+    
+    // Create HTML version of the email
+    const htmlContent = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #d9534f;">Shiprocket Order Creation Failed</h2>
+        <p>${textMessage.replace(/\n/g, '<br>')}</p>
+        
+        <h3>Customer Details:</h3>
+        <pre style="background-color: #f8f9fa; padding: 15px; border-radius: 5px;">${customerDetails}</pre>
+        
+        <h3>Order Items:</h3>
+        <pre style="background-color: #f8f9fa; padding: 15px; border-radius: 5px;">${orderItems}</pre>
+        
+        <p>This is an automated notification. Please check the order details and assist the customer manually.</p>
+      </div>
+    `;
+    
+    const mailOptions = {
+      to: tenant.adminEmails.join(", "),
+      subject: subject,
+      text: `${textMessage}\n\nCustomer Details:\n${customerDetails}\n\nOrder Items:\n${orderItems}`,
+      html: htmlContent
+    };
+
+    const entry = queueEmail(tenant, mailOptions, { template: "shiprocket-failure" });
+    console.log("Shiprocket failure notification email queued:", entry.id);
+    return true;
+  } catch (error) {
+    console.error("Error queueing Shiprocket failure email:", error);
+    return false;
+  }
+}
+
+// Shiprocket Retry Queue
+// Failed order creations are kept in the "shiprocket-queue" collection and retried
+// with exponential backoff. Errors that won't fix themselves (validation 4xx) and
+// orders that run out of attempts are dead-lettered, and only then are the admins emailed.
+const SHIPROCKET_RETRY_MAX_ATTEMPTS = Number(process.env.SHIPROCKET_RETRY_MAX_ATTEMPTS) || 5;
+const SHIPROCKET_RETRY_BASE_SECONDS = Number(process.env.SHIPROCKET_RETRY_BASE_SECONDS) || 60;
+const shiprocketQueueInFlight = new Set();
+
+// A missing status means the request threw: network error, timeout or a non-JSON gateway page
+function isTransientShiprocketFailure(status) {
+  return !status || status >= 500 || status === 401 || status === 429;
+}
+
+function findQueuedShiprocketOrder(orderId, tenantId, statuses) {
+  return Object.values(loadCollection("shiprocket-queue")).find(entry =>
+    entry.tenant === tenantId &&
+    String(entry.orderData.order_id) === String(orderId) &&
+    statuses.includes(entry.status)
+  ) || null;
+}
+
+async function recordShiprocketFailure(entry, failure) {
+  entry.attempts += 1;
+  entry.lastStatus = failure.status || null;
+  entry.lastError = failure.error;
+  entry.history.push({ attempt: entry.attempts, status: entry.lastStatus, error: failure.error, at: new Date().toISOString() });
+  entry.updatedAt = new Date().toISOString();
+
+  if (isTransientShiprocketFailure(failure.status) && entry.attempts < entry.maxAttempts) {
+    const delaySeconds = SHIPROCKET_RETRY_BASE_SECONDS * 2 ** (entry.attempts - 1);
+    entry.status = "pending";
+    entry.nextAttemptAt = new Date(Date.now() + delaySeconds * 1000).toISOString();
+    saveCollection("shiprocket-queue");
+    console.log(`Shiprocket order ${entry.orderData.order_id} queued for retry at ${entry.nextAttemptAt}`);
+    return entry;
+  }
+
+  entry.status = "dead";
+  entry.nextAttemptAt = null;
+  entry.deadAt = new Date().toISOString();
+  saveCollection("shiprocket-queue");
+
+  await sendShiprocketFailureEmail(
+    "Shiprocket Order Creation Failed - Moved to Dead-Letter Queue",
+    `Failed to create Shiprocket order after ${entry.attempts} attempt(s).\n\nOrder ID: ${entry.orderData.order_id || 'N/A'}\n\nQueue ID: ${entry.id}\n\nCustomer: ${entry.orderData.billing_customer_name || 'N/A'}\n\nError: ${typeof failure.error === "string" ? failure.error : JSON.stringify(failure.error)}\n\nCorrect the order with POST /shiprocket/queue/${entry.id}/edit if needed, then retry it with POST /shiprocket/queue/${entry.id}/replay.`,
+    entry.orderData,
+    getTenant(entry.tenant)
+  );
+  return entry;
+}
+
+// Records a failed creation. Re-submissions of the same order reuse its queue entry,
+// and a dead-lettered order that is submitted again gets a fresh set of attempts.
+async function queueShiprocketOrder(orderData, { tenant, orderId, status, error }) {
+  const queue = loadCollection("shiprocket-queue");
+  let entry = findQueuedShiprocketOrder(orderData.order_id, tenant.id, ["pending", "dead"]);
+
+  if (!entry) {
+    entry = {
+      id: `srq_${crypto.randomBytes(8).toString("hex")}`,
+      tenant: tenant.id,
+      orderId: orderId || null,
+      attempts: 0,
+      maxAttempts: SHIPROCKET_RETRY_MAX_ATTEMPTS,
+      history: [],
+      createdAt: new Date().toISOString()
+    };
+    queue[entry.id] = entry;
+  } else if (entry.status === "dead") {
+    entry.attempts = 0;
+  }
+
+  entry.orderData = orderData;
+  return recordShiprocketFailure(entry, { status, error });
+}
+
+function markShiprocketQueueSucceeded(entry, data) {
+  entry.status = "succeeded";
+  entry.nextAttemptAt = null;
+  entry.result = data;
+  entry.history.push({ attempt: entry.attempts, status: 200, at: new Date().toISOString() });
+  entry.updatedAt = new Date().toISOString();
+  saveCollection("shiprocket-queue");
+
+  // Orders from the fulfilment pipeline record the shipment on their ledger entry
+  const order = entry.orderId ? findOrder(entry.orderId) : null;
+  if (order && order.fulfilment) {
+    order.fulfilment.shiprocket = {
+      success: true,
+      orderId: data.order_id,
+      shipmentId: data.shipment_id,
+      codAmount: entry.orderData.payment_method === "COD" ? entry.orderData.sub_total : 0,
+      queueId: entry.id
+    };
+    saveCollection("orders");
+  }
+}
+
+async function attemptQueuedShiprocketOrder(id) {
+  const entry = loadCollection("shiprocket-queue")[id];
+
+  if (!entry || entry.status === "succeeded" || shiprocketQueueInFlight.has(id)) {
+    return entry || null;
+  }
+
+  shiprocketQueueInFlight.add(id);
+  try {
+    const response = await submitShiprocketOrder(entry.orderData);
+
+    if (!response.ok) {
+      return await recordShiprocketFailure(entry, { status: response.status, error: response.data });
+    }
+
+    entry.attempts += 1;
+    markShiprocketQueueSucceeded(entry, response.data);
+    console.log(`Queued Shiprocket order ${entry.orderData.order_id} created on attempt ${entry.attempts}`);
+    return entry;
+  } catch (error) {
+    console.error(`Error retrying Shiprocket order ${entry.orderData.order_id}:`, error);
+    return await recordShiprocketFailure(entry, { error: error.message });
+  } finally {
+    shiprocketQueueInFlight.delete(id);
+  }
+}
+
+async function processShiprocketQueue() {
+  const now = new Date().toISOString();
+  const due = Object.values(loadCollection("shiprocket-queue"))
+    .filter(entry => entry.status === "pending" && entry.nextAttemptAt <= now);
+
+  for (const entry of due) {
+    await attemptQueuedShiprocketOrder(entry.id);
+  }
+}
+
+setInterval(processShiprocketQueue, 30 * 1000);
+
+function shiprocketQueueSummary(entry) {
+  return {
+    id: entry.id,
+    tenant: entry.tenant,
+    orderId: entry.orderData.order_id,
+    ledgerOrderId: entry.orderId,
+    status: entry.status,
+    attempts: entry.attempts,
+    maxAttempts: entry.maxAttempts,
+    nextAttemptAt: entry.nextAttemptAt,
+    lastStatus: entry.lastStatus,
+    createdAt: entry.createdAt,
+    updatedAt: entry.updatedAt
+  };
+}
+
+// List queued Shiprocket orders (?status=pending|dead|succeeded)
+app.get("/shiprocket/queue", requireAdmin, (req, res) => {
+  try {
+    const entries = Object.values(loadCollection("shiprocket-queue"))
+      .filter(entry => !req.query.status || entry.status === req.query.status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      entries: entries.map(shiprocketQueueSummary)
+    });
+  } catch (error) {
+    console.error("Error listing Shiprocket queue:", error);
+    res.status(500).json({ success: false, message: "Error listing Shiprocket queue", error: error.message });
+  }
+});
+
+// Inspect a queued Shiprocket order, including its payload and attempt history
+app.get("/shiprocket/queue/:id", requireAdmin, (req, res) => {
+  const entry = loadCollection("shiprocket-queue")[req.params.id];
+
+  if (!entry) {
+    return res.status(404).json({ success: false, message: "Queue entry not found" });
+  }
+
+  res.status(200).json({ success: true, entry });
+});
+
+// Correct a queued order's payload; fields in orderData replace the stored ones
+app.post("/shiprocket/queue/:id/edit", requireAdmin, (req, res) => {
+  const entry = loadCollection("shiprocket-queue")[req.params.id];
+  const { orderData } = req.body || {};
+
+  if (!entry) {
+    return res.status(404).json({ success: false, message: "Queue entry not found" });
+  }
+  if (entry.status === "succeeded") {
+    return res.status(409).json({ success: false, message: "Order was already created on Shiprocket" });
+  }
+  if (!orderData || typeof orderData !== "object" || Array.isArray(orderData)) {
+    return res.status(400).json({ success: false, message: "orderData must be an object of fields to update" });
+  }
+
+  try {
+    entry.orderData = { ...entry.orderData, ...orderData };
+    entry.history.push({ event: "edited", fields: Object.keys(orderData), at: new Date().toISOString() });
+    entry.updatedAt = new Date().toISOString();
+    saveCollection("shiprocket-queue");
+
+    res.status(200).json({ success: true, message: "Queued order updated", entry });
+  } catch (error) {
+    console.error("Error editing Shiprocket queue entry:", error);
+    res.status(500).json({ success: false, message: "Error editing queue entry", error: error.message });
+  }
+});
+
+// Retry a queued order now. Dead-lettered orders get a fresh set of attempts.
+app.post("/shiprocket/queue/:id/replay", requireAdmin, async (req, res) => {
+  const entry = loadCollection("shiprocket-queue")[req.params.id];
+
+  if (!entry) {
+    return res.status(404).json({ success: false, message: "Queue entry not found" });
+  }
+  if (entry.status === "succeeded") {
+    return res.status(409).json({ success: false, message: "Order was already created on Shiprocket", entry });
+  }
+  if (shiprocketQueueInFlight.has(entry.id)) {
+    return res.status(409).json({ success: false, message: "A retry for this order is already in progress" });
+  }
+
+  try {
+    if (entry.status === "dead") {
+      entry.attempts = 0;
+      entry.status = "pending";
+    }
+    entry.history.push({ event: "replayed", at: new Date().toISOString() });
+
+    const result = await attemptQueuedShiprocketOrder(entry.id);
+
+    res.status(result.status === "succeeded" ? 200 : 502).json({
+      success: result.status === "succeeded",
+      message: result.status === "succeeded"
+        ? "Order created successfully on Shiprocket"
+        : `Replay failed; order is ${result.status === "dead" ? "dead-lettered" : "queued for retry"}`,
+      entry: shiprocketQueueSummary(result),
+      ...(result.status === "succeeded" ? { data: result.result } : { error: result.lastError })
+    });
+  } catch (error) {
+    console.error("Error replaying Shiprocket queue entry:", error);
+    res.status(500).json({ success: false, message: "Error replaying queue entry", error: error.message });
+  }
+});
+
+// Track Shipment Status
+app.get("/shiprocket/track/:shipmentId", async (req, res) => {
+  try {
+    const { shipmentId } = req.params;
+    
+    if (!shipmentId) {
+      return res.status(400).json({
+        success: false,
+        message: "Shipment ID is required"
+      });
+    }
+    
+    const { data } = await shiprocket.get(`/courier/track/shipment/${encodeURIComponent(shipmentId)}`);
+    
+    res.status(200).json({
+      success: true,
+      tracking: data
+    });
+  } catch (error) {
+    console.error("Error tracking shipment:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error tracking shipment",
+      error: error.message
+    });
+  }
+});
+
+// Shiprocket Shipment Lifecycle
+// Ops routes for everything after order creation: courier/AWB assignment,
+// pickup, documents and cancellation. All Shiprocket failures come back in the
+// same { success: false, message, error } envelope with Shiprocket's status code.
+function sendShiprocketError(res, message, result) {
+  res.status(result.status >= 400 ? result.status : 502).json({
+    success: false,
+    message,
+    error: result.data
+  });
+}
+
+// Responds with the document URL, or streams the PDF itself when ?download=true
+async function sendShiprocketDocument(req, res, url, filename) {
+  if (req.query.download !== "true") {
+    return res.status(200).json({ success: true, url });
+  }
+
+  const pdf = await fetch(url);
+  if (!pdf.ok) {
+    return res.status(502).json({
+      success: false,
+      message: `Could not download ${filename}`
+    });
+  }
+  res.set("Content-Type", "application/pdf");
+  res.set("Content-Disposition", `attachment; filename="${filename}"`);
+  res.status(200).send(Buffer.from(await pdf.arrayBuffer()));
+}
+
+function findOrderByShipmentId(shipmentId) {
+  return Object.values(loadCollection("orders")).find(order => String(order.shipmentId) === String(shipmentId)) || null;
+}
+
+// Assign a courier and generate the AWB (Shiprocket picks the courier if none is given)
+app.post("/shiprocket/shipments/:shipmentId/awb", requireAdmin, async (req, res) => {
+  try {
+    const { shipmentId } = req.params;
+    const body = req.body || {};
+    const result = await shiprocket.post("/courier/assign/awb", {
+      shipment_id: shipmentId,
+      ...(body.courierId ? { courier_id: body.courierId } : {})
+    });
+    const awb = result.data.response && result.data.response.data;
+
+    if (!result.ok || result.data.awb_assign_status !== 1) {
+      return sendShiprocketError(res, "Failed to assign AWB", result);
+    }
+
+    const ledgerOrder = findOrderByShipmentId(shipmentId);
+    if (ledgerOrder) {
+      updateOrderStatus(ledgerOrder.id, ledgerOrder.status, { awb: awb.awb_code, courier: awb.courier_name });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "AWB assigned successfully",
+      awb: awb.awb_code,
+      courierId: awb.courier_company_id,
+      courier: awb.courier_name
+    });
+  } catch (error) {
+    console.error("Error assigning AWB:", error);
+    res.status(500).json({ success: false, message: "Error assigning AWB", error: error.message });
+  }
+});
+
+// Schedule pickup for a shipment that already has an AWB
+app.post("/shiprocket/shipments/:shipmentId/pickup", requireAdmin, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const result = await shiprocket.post("/courier/generate/pickup", {
+      shipment_id: [req.params.shipmentId],
+      ...(body.pickupDate ? { pickup_date: [body.pickupDate] } : {})
+    });
+
+    if (!result.ok || result.data.pickup_status !== 1) {
+      return sendShiprocketError(res, "Failed to schedule pickup", result);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Pickup scheduled successfully",
+      pickup: result.data.response
+    });
+  } catch (error) {
+    console.error("Error scheduling pickup:", error);
+    res.status(500).json({ success: false, message: "Error scheduling pickup", error: error.message });
+  }
+});
+
+// Generate (and optionally download) the shipping label
+app.get("/shiprocket/shipments/:shipmentId/label", requireAdmin, async (req, res) => {
+  try {
+    const result = await shiprocket.post("/courier/generate/label", {
+      shipment_id: [req.params.shipmentId]
+    });
+
+    if (!result.ok || result.data.label_created !== 1) {
+      return sendShiprocketError(res, "Failed to generate label", result);
+    }
+
+    await sendShiprocketDocument(req, res, result.data.label_url, `label-${req.params.shipmentId}.pdf`);
+  } catch (error) {
+    console.error("Error generating label:", error);
+    res.status(500).json({ success: false, message: "Error generating label", error: error.message });
+  }
+});
+
+// Generate (and optionally download) the manifest. Shiprocket only generates a
+// manifest once, so pass ?order_id=<Shiprocket order id> to reprint it after that.
+app.get("/shiprocket/shipments/:shipmentId/manifest", requireAdmin, async (req, res) => {
+  try {
+    let result = await shiprocket.post("/manifests/generate", {
+      shipment_id: [req.params.shipmentId]
+    });
+
+    if ((!result.ok || !result.data.manifest_url) && req.query.order_id) {
+      result = await shiprocket.post("/manifests/print", {
+        order_ids: [req.query.order_id]
+      });
+    }
+
+    if (!result.ok || !result.data.manifest_url) {
+      return sendShiprocketError(res, "Failed to generate manifest", result);
+    }
+
+    await sendShiprocketDocument(req, res, result.data.manifest_url, `manifest-${req.params.shipmentId}.pdf`);
+  } catch (error) {
+    console.error("Error generating manifest:", error);
+    res.status(500).json({ success: false, message: "Error generating manifest", error: error.message });
+  }
+});
+
+// Generate (and optionally download) the invoice for a Shiprocket order
+app.get("/shiprocket/orders/:orderId/invoice", requireAdmin, async (req, res) => {
+  try {
+    const result = await shiprocket.post("/orders/print/invoice", {
+      ids: [req.params.orderId]
+    });
+
+    if (!result.ok || !result.data.is_invoice_created) {
+      return sendShiprocketError(res, "Failed to generate invoice", result);
+    }
+
+    await sendShiprocketDocument(req, res, result.data.invoice_url, `invoice-${req.params.orderId}.pdf`);
+  } catch (error) {
+    console.error("Error generating invoice:", error);
+    res.status(500).json({ success: false, message: "Error generating invoice", error: error.message });
+  }
+});
+
+// Cancel Shiprocket orders by Shiprocket order id
+app.post("/shiprocket/orders/cancel", requireAdmin, async (req, res) => {
+  const { ids } = req.body || {};
+
+  if (!Array.isArray(ids) || ids.length === 0) {
+    return res.status(400).json({ success: false, message: "ids must be a non-empty array of Shiprocket order ids" });
+  }
+
+  try {
+    const result = await shiprocket.post("/orders/cancel", { ids });
+
+    if (!result.ok) {
+      return sendShiprocketError(res, "Failed to cancel orders", result);
+    }
+
+    Object.values(loadCollection("orders"))
+      .filter(order => ids.map(String).includes(String(order.shiprocketOrderId)))
+      .forEach(order => addOrderEvent(order.id, { event: "shiprocket_order_cancelled", shiprocketOrderId: order.shiprocketOrderId }));
+
+    res.status(200).json({
+      success: true,
+      message: "Orders cancelled successfully",
+      data: result.data
+    });
+  } catch (error) {
+    console.error("Error cancelling Shiprocket orders:", error);
+    res.status(500).json({ success: false, message: "Error cancelling orders", error: error.message });
+  }
+});
+
+// Cancel shipments by AWB (the order stays on Shiprocket and can be re-shipped)
+app.post("/shiprocket/shipments/cancel", requireAdmin, async (req, res) => {
+  const { awbs } = req.body || {};
+
+  if (!Array.isArray(awbs) || awbs.length === 0) {
+    return res.status(400).json({ success: false, message: "awbs must be a non-empty array of AWB numbers" });
+  }
+
+  try {
+    const result = await shiprocket.post("/orders/cancel/shipment/awbs", { awbs });
+
+    if (!result.ok) {
+      return sendShiprocketError(res, "Failed to cancel shipments", result);
+    }
+
+    Object.values(loadCollection("orders"))
+      .filter(order => order.awb && awbs.map(String).includes(String(order.awb)))
+      .forEach(order => addOrderEvent(order.id, { event: "shipment_cancelled", awb: order.awb }));
+
+    res.status(200).json({
+      success: true,
+      message: "Shipments cancelled successfully",
+      data: result.data
+    });
+  } catch (error) {
+    console.error("Error cancelling shipments:", error);
+    res.status(500).json({ success: false, message: "Error cancelling shipments", error: error.message });
+  }
+});
+
+// Bulk Shipment Import
+// Agents upload a CSV of phone orders (Content-Type: text/csv), one order per
+// row. Rows are validated like the storefront checkout payload, then created on
+// Shiprocket a few at a time in the background; the per-row report can be polled
+// or downloaded as CSV. Order numbers are remembered per tenant in the
+// "bulk-import-orders" collection so re-uploading a file never ships a row twice.
+const BULK_IMPORT_CONCURRENCY = Number(process.env.BULK_IMPORT_CONCURRENCY || 5);
+const BULK_IMPORT_MAX_ROWS = Number(process.env.BULK_IMPORT_MAX_ROWS || 2000);
+const BULK_IMPORT_COLUMNS = [
+  "order_number", "first_name", "last_name", "email", "phone", "address", "apartment",
+  "city", "state", "zip", "country", "sku", "quantity", "items", "payment_method", "advance_amount", "total_amount"
+];
+const BULK_REPORT_COLUMNS = ["row", "order_number", "status", "shiprocket_order_id", "shipment_id", "queue_id", "error"];
+
+// Checkout field names mapped back to the CSV column an agent has to fix
+const BULK_FIELD_COLUMNS = {
+  "customerDetails.firstName": "first_name",
+  "customerDetails.email": "email",
+  "customerDetails.phone": "phone",
+  "customerDetails.address": "address",
+  "customerDetails.city": "city",
+  "customerDetails.state": "state",
+  "customerDetails.zip": "zip",
+  "orderDetails.orderNumber": "order_number",
+  "orderDetails.products": "sku",
+  "orderDetails.totalAmount": "total_amount",
+  "orderDetails.advanceAmount": "advance_amount"
+};
+
+// RFC 4180 parser: quoted fields may contain commas, newlines and doubled quotes
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const input = String(text).replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ""));
+}
+
+function toCsv(columns, rows) {
+  const escape = value => {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns.join(","), ...rows.map(row => columns.map(column => escape(row[column])).join(","))].join("\n");
+}
+
+// Runs fn over items with at most `limit` calls in flight
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Turns a CSV row into the storefront checkout shape. Items come either from
+// sku/quantity or from an items column like "DRJ-OIL-100:2;DRJ-OIL-200:1".
+function bulkRowToCheckout(record) {
+  const products = record.items
+    ? record.items.split(";").filter(Boolean).map(item => {
+      const [sku, quantity] = item.split(":");
+      return { sku: sku.trim(), quantity: quantity === undefined ? 1 : Number(quantity) };
+    })
+    : record.sku ? [{ sku: record.sku, quantity: record.quantity === "" || record.quantity === undefined ? 1 : Number(record.quantity) }] : [];
+
+  return {
+    customerDetails: {
+      firstName: record.first_name,
+      lastName: record.last_name,
+      email: record.email,
+      phone: record.phone,
+      address: record.address,
+      apartment: record.apartment,
+      city: record.city,
+      state: record.state,
+      zip: record.zip,
+      country: record.country || "India"
+    },
+    orderDetails: {
+      orderNumber: record.order_number,
+      products,
+      paymentMethod: record.payment_method || "COD",
+      advanceAmount: record.advance_amount ? Number(record.advance_amount) : undefined,
+      totalAmount: record.total_amount ? Number(record.total_amount) : undefined
+    }
+  };
+}
+
+function bulkErrorMessage(errors) {
+  return errors.map(error => {
+    const column = BULK_FIELD_COLUMNS[error.field] ||
+      (/^orderDetails\.products\[\d+\]\.(\w+)$/.test(error.field) ? error.field.replace(/^.*\./, "") : error.field);
+    return `${column} ${error.message}`;
+  }).join("; ");
+}
+
+function bulkImportSummary(importRecord) {
+  const counts = {};
+  importRecord.rows.forEach(row => {
+    counts[row.status] = (counts[row.status] || 0) + 1;
+  });
+  return {
+    id: importRecord.id,
+    tenant: importRecord.tenant,
+    storefront: importRecord.storefront,
+    filename: importRecord.filename,
+    status: importRecord.status,
+    totalRows: importRecord.rows.length,
+    counts,
+    createdAt: importRecord.createdAt,
+    completedAt: importRecord.completedAt || null
+  };
+}
+
+async function createBulkImportRow(importRecord, row) {
+  const tenant = getTenant(importRecord.tenant);
+  const imported = loadCollection("bulk-import-orders");
+  const key = `${tenant.id}:${row.order_number}`;
+
+  try {
+    const response = await submitShiprocketOrder(row.orderData);
+
+    if (response.ok) {
+      imported[key] = {
+        status: "created",
+        importId: importRecord.id,
+        shiprocketOrderId: response.data.order_id,
+        shipmentId: response.data.shipment_id,
+        createdAt: new Date().toISOString()
+      };
+      Object.assign(row, { status: "created", shiprocket_order_id: response.data.order_id, shipment_id: response.data.shipment_id });
+    } else if (isTransientShiprocketFailure(response.status)) {
+      const entry = await queueShiprocketOrder(row.orderData, { tenant, status: response.status, error: response.data });
+      imported[key] = { status: "queued", importId: importRecord.id, queueId: entry.id, createdAt: new Date().toISOString() };
+      Object.assign(row, { status: "queued", queue_id: entry.id, error: response.data.message || `Shiprocket returned ${response.status}` });
+    } else {
+      // Rejected rows can be corrected and uploaded again
+      delete imported[key];
+      Object.assign(row, { status: "failed", error: response.data.message || JSON.stringify(response.data.errors || response.data) });
+    }
+  } catch (error) {
+    const entry = await queueShiprocketOrder(row.orderData, { tenant, error: error.message });
+    imported[key] = { status: "queued", importId: importRecord.id, queueId: entry.id, createdAt: new Date().toISOString() };
+    Object.assign(row, { status: "queued", queue_id: entry.id, error: error.message });
+  }
+
+  delete row.orderData;
+  saveCollection("bulk-import-orders");
+  saveCollection("bulk-imports");
+}
+
+async function processBulkImport(importRecord) {
+  const pending = importRecord.rows.filter(row => row.status === "pending");
+
+  await mapWithConcurrency(pending, BULK_IMPORT_CONCURRENCY, row => createBulkImportRow(importRecord, row));
+
+  importRecord.status = "completed";
+  importRecord.completedAt = new Date().toISOString();
+  saveCollection("bulk-imports");
+  console.log(`Bulk import ${importRecord.id} completed:`, JSON.stringify(bulkImportSummary(importRecord).counts));
+}
+
+// Imports interrupted by a restart pick up their remaining rows
+Object.values(loadCollection("bulk-imports"))
+  .filter(importRecord => importRecord.status === "processing")
+  .forEach(importRecord => {
+    processBulkImport(importRecord).catch(error => console.error(`Bulk import ${importRecord.id} failed:`, error));
+  });
+
+// Upload a CSV of orders; processing continues in the background
+app.post("/shiprocket/bulk-imports", requireAgent, bodyParser.text({ type: ["text/csv", "text/plain"], limit: "5mb" }), async (req, res) => {
+  try {
+    if (typeof req.body !== "string" || !req.body.trim()) {
+      return res.status(400).json({ success: false, message: "Send the CSV file as the request body with Content-Type: text/csv" });
+    }
+
+    const [header, ...records] = parseCsv(req.body);
+    const columns = header.map(column => column.trim().toLowerCase().replace(/\s+/g, "_"));
+    const unknown = columns.filter(column => !BULK_IMPORT_COLUMNS.includes(column));
+
+    if (!columns.includes("order_number")) {
+      return res.status(400).json({ success: false, message: `CSV header must include order_number. Supported columns: ${BULK_IMPORT_COLUMNS.join(", ")}` });
+    }
+    if (records.length === 0 || records.length > BULK_IMPORT_MAX_ROWS) {
+      return res.status(400).json({ success: false, message: `CSV must contain between 1 and ${BULK_IMPORT_MAX_ROWS} order rows` });
+    }
+
+    const storefront = resolveStorefront(req);
+    const imported = loadCollection("bulk-import-orders");
+    const seen = new Set();
+    const rows = records.map((cells, index) => {
+      const record = Object.fromEntries(columns.map((column, i) => [column, (cells[i] || "").trim()]));
+      // Row numbers match the spreadsheet: the header is row 1
+      const row = { row: index + 2, order_number: record.order_number, status: "pending" };
+      const key = `${req.tenant.id}:${record.order_number}`;
+
+      if (record.order_number && (seen.has(record.order_number) || imported[key])) {
+        const previous = imported[key] || {};
+        return Object.assign(row, {
+          status: "duplicate",
+          shiprocket_order_id: previous.shiprocketOrderId,
+          shipment_id: previous.shipmentId,
+          queue_id: previous.queueId,
+          error: seen.has(record.order_number) ? "order_number appears earlier in this file" : `already ${previous.status || "imported"}`
+        });
+      }
+
+      const mapped = mapCheckoutToShiprocketOrder(storefront, req.tenant, bulkRowToCheckout(record), { trusted: true });
+      if (mapped.errors) {
+        return Object.assign(row, { status: "invalid", error: bulkErrorMessage(mapped.errors) });
+      }
+
+      seen.add(record.order_number);
+      // Claimed up front so an overlapping upload of the same file skips these rows
+      imported[key] = { status: "processing", createdAt: new Date().toISOString() };
+      return Object.assign(row, { orderData: mapped.orderData });
+    });
+
+    const imports = loadCollection("bulk-imports");
+    const importRecord = {
+      id: `imp_${crypto.randomBytes(8).toString("hex")}`,
+      tenant: req.tenant.id,
+      storefront,
+      filename: req.get("x-filename") || null,
+      status: "processing",
+      rows,
+      createdAt: new Date().toISOString()
+    };
+    rows.filter(row => row.orderData).forEach(row => {
+      imported[`${req.tenant.id}:${row.order_number}`].importId = importRecord.id;
+    });
+    imports[importRecord.id] = importRecord;
+    saveCollection("bulk-imports");
+    saveCollection("bulk-import-orders");
+
+    processBulkImport(importRecord).catch(error => {
+      console.error(`Bulk import ${importRecord.id} failed:`, error);
+      importRecord.status = "failed";
+      saveCollection("bulk-imports");
+    });
+
+    res.status(202).json({
+      success: true,
+      message: "Import started",
+      import: bulkImportSummary(importRecord),
+      ignoredColumns: unknown,
+      reportUrl: `/shiprocket/bulk-imports/${importRecord.id}/report.csv`
+    });
+  } catch (error) {
+    console.error("Error starting bulk import:", error);
+    res.status(500).json({ success: false, message: "Error starting bulk import", error: error.message });
+  }
+});
+
+// Import progress and per-row results
+app.get("/shiprocket/bulk-imports/:id", requireAgent, (req, res) => {
+  const importRecord = loadCollection("bulk-imports")[req.params.id];
+
+  if (!importRecord) {
+    return res.status(404).json({ success: false, message: "Import not found" });
+  }
+
+  res.status(200).json({
+    success: true,
+    import: bulkImportSummary(importRecord),
+    rows: importRecord.rows.map(row => Object.fromEntries(BULK_REPORT_COLUMNS.map(column => [column, row[column] === undefined ? null : row[column]])))
+  });
+});
+
+// Per-row result report as a CSV download
+app.get("/shiprocket/bulk-imports/:id/report.csv", requireAgent, (req, res) => {
+  const importRecord = loadCollection("bulk-imports")[req.params.id];
+
+  if (!importRecord) {
+    return res.status(404).json({ success: false, message: "Import not found" });
+  }
+
+  res.set("Content-Type", "text/csv");
+  res.set("Content-Disposition", `attachment; filename="bulk-import-${importRecord.id}.csv"`);
+  res.status(200).send(toCsv(BULK_REPORT_COLUMNS, importRecord.rows));
+});
+
+// Pincode Serviceability & Shipping Rates
+// Results are cached in memory per pincode pair, weight and COD flag so every
+// checkout doesn't hit Shiprocket again. The endpoint is public, so expired entries
+// are dropped and the cache is capped at SERVICEABILITY_CACHE_MAX_ENTRIES.
+const SERVICEABILITY_CACHE_MINUTES = Number(process.env.SERVICEABILITY_CACHE_MINUTES || 360);
+const SERVICEABILITY_CACHE_MAX_ENTRIES = Number(process.env.SERVICEABILITY_CACHE_MAX_ENTRIES || 5000);
+const serviceabilityCache = new Map();
+
+function cacheServiceability(cacheKey, result) {
+  const now = Date.now();
+
+  // Every entry lives as long, so Map insertion order is also expiry order
+  serviceabilityCache.delete(cacheKey);
+  for (const [key, entry] of serviceabilityCache) {
+    if (entry.expiresAt > now && serviceabilityCache.size < SERVICEABILITY_CACHE_MAX_ENTRIES) {
+      break;
+    }
+    serviceabilityCache.delete(key);
+  }
+
+  serviceabilityCache.set(cacheKey, {
+    result,
+    expiresAt: now + SERVICEABILITY_CACHE_MINUTES * 60 * 1000
+  });
+}
+
+async function checkServiceability({ pickupPincode, deliveryPincode, weight, cod }) {
+  const cacheKey = `${pickupPincode}-${deliveryPincode}-${weight}-${cod ? 1 : 0}`;
+  const cached = serviceabilityCache.get(cacheKey);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    return { ...cached.result, cached: true };
+  }
+  if (cached) {
+    serviceabilityCache.delete(cacheKey);
+  }
+
+  const query = new URLSearchParams({
+    pickup_postcode: pickupPincode,
+    delivery_postcode: deliveryPincode,
+    weight: String(weight),
+    cod: cod ? "1" : "0"
+  });
+  const response = await shiprocket.get(`/courier/serviceability/?${query}`);
+  const data = response.data;
+
+  // Shiprocket answers unserviceable pincodes with a 404 and a message
+  if (!response.ok && response.status !== 404) {
+    const error = new Error(data.message || "Shiprocket serviceability check failed");
+    error.status = response.status;
+    throw error;
+  }
+
+  const companies = (data.data && data.data.available_courier_companies) || [];
+  const couriers = companies
+    .filter(company => !cod || company.cod === 1)
+    .map(company => ({
+      id: company.courier_company_id,
+      name: company.courier_name,
+      rate: Number(company.rate),
+      freightCharge: Number(company.freight_charge || 0),
+      codCharges: Number(company.cod_charges || 0),
+      etaDays: Number(company.estimated_delivery_days) || null,
+      etd: company.etd || null,
+      codAvailable: company.cod === 1,
+      mode: company.is_surface ? "surface" : "air",
+      rating: company.rating || null
+    }))
+    .sort((a, b) => a.rate - b.rate);
+
+  const result = {
+    pickupPincode,
+    deliveryPincode,
+    weight,
+    cod,
+    serviceable: couriers.length > 0,
+    codAvailable: companies.some(company => company.cod === 1),
+    recommendedCourierId: (data.data && data.data.recommended_courier_company_id) || null,
+    cheapest: couriers[0] || null,
+    fastest: couriers.filter(courier => courier.etaDays).sort((a, b) => a.etaDays - b.etaDays)[0] || null,
+    couriers
+  };
+
+  cacheServiceability(cacheKey, result);
+  return { ...result, cached: false };
+}
+
+app.get("/shiprocket/serviceability", async (req, res) => {
+  const pickupPincode = String(req.query.pickup_pincode || req.tenant.shiprocket.pickupPincode || "");
+  const deliveryPincode = String(req.query.delivery_pincode || "");
+  const weight = Number(req.query.weight || 0.5);
+  const cod = req.query.cod === "1" || req.query.cod === "true";
+  const errors = [];
+
+  if (!/^\d{6}$/.test(pickupPincode)) {
+    errors.push("pickup_pincode must be a 6-digit pincode");
+  }
+  if (!/^\d{6}$/.test(deliveryPincode)) {
+    errors.push("delivery_pincode must be a 6-digit pincode");
+  }
+  if (!(weight > 0)) {
+    errors.push("weight must be a positive number of kilograms");
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid serviceability request",
+      errors
+    });
+  }
+
+  try {
+    const serviceability = await checkServiceability({ pickupPincode, deliveryPincode, weight, cod });
+
+    res.status(200).json({
+      success: true,
+      ...serviceability
+    });
+  } catch (error) {
+    console.error("Error checking serviceability:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: "Error checking serviceability",
+      error: error.message
+    });
+  }
+});
+
+// Shiprocket Tracking Webhook
+// Shiprocket posts every status change here with the token configured in the
+// panel in the x-api-key header. Its panel rejects webhook URLs containing
+// "shiprocket", "kartrocket", "sr" or "kr", hence the neutral path.
+const SHIPMENT_MILESTONES = {
+  picked_up: ["PICKED UP", "PICKUP DONE", "SHIPPED"],
+  in_transit: ["IN TRANSIT", "REACHED AT DESTINATION HUB", "REACHED DESTINATION HUB", "MISROUTED", "DELAYED"],
+  out_for_delivery: ["OUT FOR DELIVERY"],
+  delivered: ["DELIVERED"],
+  rto: ["RTO INITIATED", "RTO IN TRANSIT", "RTO OFD", "RTO DELIVERED", "RTO ACKNOWLEDGED", "RTO_NDR", "RTO_OFD"]
+};
+const NOTIFIED_MILESTONES = ["picked_up", "out_for_delivery", "delivered"];
+
+// Maps a raw Shiprocket status label to one of the milestones above (or null)
+function normalizeShipmentStatus(status) {
+  const label = String(status || "").toUpperCase().trim();
+  if (label.startsWith("RTO")) {
+    return "rto";
+  }
+  return Object.keys(SHIPMENT_MILESTONES).find(milestone => SHIPMENT_MILESTONES[milestone].includes(label)) || null;
+}
+
+// Emails the customer when their shipment reaches a key milestone
+function sendShipmentStatusEmail(shipment, order, milestone) {
+  const entry = queueTemplateEmail(getTenant(order.tenant), "shipment-status", { shipment, order, milestone }, {
+    to: (order.customer || {}).email
+  });
+  console.log(`Shipment ${milestone} email queued for order ${order.receipt}:`, entry.id);
+  return entry;
+}
+
+app.post("/courier/tracking-webhook", async (req, res) => {
+  if (!process.env.SHIPROCKET_WEBHOOK_TOKEN || !safeCompare(req.get("x-api-key"), process.env.SHIPROCKET_WEBHOOK_TOKEN)) {
+    return res.status(401).json({
+      success: false,
+      message: "Unauthorized"
+    });
+  }
+
+  try {
+    const update = req.body;
+    const awb = update.awb ? String(update.awb) : null;
+
+    if (!awb) {
+      // Shiprocket sends a test ping without an AWB when the webhook is saved
+      return res.status(200).json({ success: true, message: "No AWB in payload, ignored" });
+    }
+
+    const milestone = normalizeShipmentStatus(update.current_status || update.shipment_status);
+    const shipments = loadCollection("shipments");
+    const shipment = shipments[awb] || { awb, events: [], notified: {}, createdAt: new Date().toISOString() };
+    const previousMilestone = shipment.milestone;
+
+    Object.assign(shipment, {
+      orderId: update.order_id ? String(update.order_id) : shipment.orderId,
+      shiprocketOrderId: update.sr_order_id || shipment.shiprocketOrderId,
+      courier: update.courier_name || shipment.courier,
+      status: update.current_status || shipment.status,
+      milestone: milestone || shipment.milestone,
+      etd: update.etd || shipment.etd,
+      scans: Array.isArray(update.scans) ? update.scans : shipment.scans,
+      updatedAt: new Date().toISOString()
+    });
+    shipment.events.push({
+      status: update.current_status,
+      milestone,
+      at: update.current_timestamp || new Date().toISOString()
+    });
+    shipments[awb] = shipment;
+    saveCollection("shipments");
+
+    // Reverse pickups for customer returns are tracked on the return, not the order
+    const customerReturn = findReturnByAwb(awb);
+    if (customerReturn && customerReturn.type === "return") {
+      await applyReturnTracking(customerReturn, update.current_status);
+      return res.status(200).json({ success: true, awb, returnId: customerReturn.id, status: customerReturn.status });
+    }
+
+    const ledgerOrder = shipment.orderId ? findOrderByReceipt(shipment.orderId) : null;
+
+    if (ledgerOrder && milestone) {
+      try {
+        // Server-fulfilled orders are already "shipped" by the first scan, so link the AWB whatever the status
+        if (ledgerOrder.awb !== awb || (shipment.courier && ledgerOrder.courier !== shipment.courier)) {
+          updateOrderStatus(ledgerOrder.id, ledgerOrder.status, { awb, ...(shipment.courier ? { courier: shipment.courier } : {}) });
+        }
+        if (["picked_up", "in_transit", "out_for_delivery", "delivered"].includes(milestone) && ledgerOrder.status === "paid") {
+          updateOrderStatus(ledgerOrder.id, "shipped", { awb });
+        }
+        if (milestone === "delivered") {
+          updateOrderStatus(ledgerOrder.id, "delivered");
+        }
+        if (milestone === "rto" && previousMilestone !== "rto") {
+          addOrderEvent(ledgerOrder.id, { event: "rto", awb, status: update.current_status });
+        }
+      } catch (error) {
+        console.error("Could not update order ledger from tracking webhook:", error.message);
+      }
+
+      if (milestone === "rto") {
+        await applyReturnTracking(openRtoReturn(ledgerOrder, shipment), update.current_status);
+      }
+
+      if (NOTIFIED_MILESTONES.includes(milestone) && !shipment.notified[milestone] &&
+          ledgerOrder.customer && ledgerOrder.customer.email) {
+        try {
+          sendShipmentStatusEmail(shipment, ledgerOrder, milestone);
+          shipment.notified[milestone] = new Date().toISOString();
+          saveCollection("shipments");
+        } catch (error) {
+          console.error(`Error queueing shipment ${milestone} email:`, error);
+        }
+      }
+
+      const event = shipmentNotificationEvent(ledgerOrder, milestone);
+      if (event) {
+        try {
+          notifyCustomer(ledgerOrder, event, {
+            courier: shipment.courier,
+            awb,
+            trackingUrl: `https://shiprocket.co/tracking/${awb}`
+          });
+        } catch (error) {
+          console.error(`Error queueing shipment ${milestone} message:`, error);
+        }
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      awb,
+      milestone
+    });
+  } catch (error) {
+    console.error("Tracking webhook error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error processing tracking update",
+      error: error.message
+    });
+  }
+});
+
+// YouTube Subscription Verification API
+app.post("/verify-youtube-subscription", async (req, res) => {
+  const { accessToken, channelId, devMode, verificationCode } = req.body;
+  
+  // Development mode bypass for testing (only use in development!)
+  if (devMode === true && verificationCode === process.env.DEV_VERIFICATION_CODE) {
+    return res.status(200).json({
+      success: true,
+      isSubscribed: true,
+      message: "Development mode: Subscription verified! 10% discount applied."
+    });
+  }
+  
+  try {
+    // Fetch the user's subscription list using the access token
+    const response = await fetch(`https://www.googleapis.com/youtube/v3/subscriptions?part=snippet&mine=true&maxResults=50`, {
       headers: {
         Authorization: `Bearer ${accessToken}`
       }
     });
-    
-    const data = await response.json();
-    
-    if (data.error) {
+    
+    const data = await response.json();
+    
+    if (data.error) {
+      return res.status(400).json({
+        success: false,
+        message: "Failed to verify subscription",
+        error: data.error
+      });
+    }
+    
+    // Check if the user is subscribed to the specified channel
+    const isSubscribed = data.items && data.items.some(
+      item => item.snippet.resourceId.channelId === channelId
+    );
+    
+    res.status(200).json({
+      success: true,
+      isSubscribed,
+      message: isSubscribed 
+        ? "Subscription verified! 10% discount applied." 
+        : "Not subscribed to the channel."
+    });
+  } catch (error) {
+    console.error("YouTube subscription verification error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to verify YouTube subscription",
+      error: error.message
+    });
+  }
+});
+
+// Email Sending Route
+app.post("/send-email", idempotent, async (req, res) => {
+  const { to, subject, message } = req.body;
+
+  if (!to) {
+    return res.status(400).json({ success: false, message: "Recipient (to) is required" });
+  }
+
+  try {
+    const entry = queueEmail(req.tenant, { to, subject, text: message });
+    res.status(202).json(queuedEmailResponse(entry, "Email queued for delivery"));
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Email sending failed!", error: error.message });
+  }
+});
+
+// Email Template Preview
+// Renders any template in email-templates.js with its sample data and the
+// requesting storefront's branding (or ?tenant=<id>). ?format=text shows the
+// plain-text alternative, ?format=json the subject and both bodies.
+app.get("/email-templates", (req, res) => {
+  res.status(200).json({
+    success: true,
+    templates: Object.entries(emailTemplates).map(([name, template]) => ({
+      name,
+      description: template.description,
+      previewUrl: `/email-templates/${name}/preview`
+    }))
+  });
+});
+
+app.get("/email-templates/:name/preview", (req, res) => {
+  const template = emailTemplates[req.params.name];
+
+  if (!template) {
+    return res.status(404).json({
+      success: false,
+      message: `Unknown email template "${req.params.name}"`,
+      templates: Object.keys(emailTemplates)
+    });
+  }
+
+  try {
+    const tenant = req.query.tenant ? getTenant(String(req.query.tenant)) : req.tenant;
+    const email = renderEmail(req.params.name, template.sample, tenant);
+
+    if (req.query.format === "json") {
+      return res.status(200).json({ success: true, template: req.params.name, tenant: tenant.id, ...email });
+    }
+    if (req.query.format === "text") {
+      return res.type("text/plain").send(email.text);
+    }
+    res.type("html").send(email.html);
+  } catch (error) {
+    console.error("Error rendering email template preview:", error);
+    res.status(500).json({ success: false, message: "Failed to render email template", error: error.message });
+  }
+});
+
+// Order Confirmation Email Route
+function sendOrderConfirmationEmail({ tenant = defaultTenant, customerEmail, orderDetails, customerDetails }) {
+  console.log("Attempting to send email to:", customerEmail);
+  const entry = queueTemplateEmail(tenant, "order-confirmation", { orderDetails, customerDetails, customerEmail }, {
+    to: customerEmail,
+    cc: tenant.adminEmails.join(", ") // CC to admin email
+  });
+  console.log("Email queued:", entry.id);
+  return entry;
+}
+
+app.post("/send-order-confirmation", idempotent, normalizeCustomerDetails, async (req, res) => {
+  const { customerEmail, orderDetails, customerDetails } = req.body || {};
+  
+  // Log the incoming request data
+  console.log("Received order confirmation request:", { 
+    customerEmail, 
+    orderDetails: JSON.stringify(orderDetails),
+    customerDetails: JSON.stringify(customerDetails) 
+  });
+  
+  if (!customerEmail) {
+    return res.status(400).json({
+      success: false,
+      message: "Customer email is required"
+    });
+  }
+
+  if (!orderDetails || !orderDetails.orderNumber) {
+    return res.status(400).json({
+      success: false,
+      message: "Order details with an order number are required"
+    });
+  }
+
+  try {
+    // Orders fulfilled by /verify-payment have already had their confirmation sent
+    const ledgerOrder = findOrderByReceipt(String(orderDetails.orderNumber));
+    if (ledgerOrder && ledgerOrder.fulfilment && ledgerOrder.fulfilment.email && ledgerOrder.fulfilment.email.success) {
+      return res.status(200).json({
+        success: true,
+        message: "Confirmation email already sent",
+        alreadySent: true,
+        messageId: ledgerOrder.fulfilment.email.messageId || null
+      });
+    }
+
+    const entry = sendOrderConfirmationEmail({ tenant: req.tenant, customerEmail, orderDetails, customerDetails });
+    res.status(202).json(queuedEmailResponse(entry, "Confirmation email queued for delivery"));
+  } catch (error) {
+    console.error("Error queueing confirmation email:", error);
+    res.status(500).json({ success: false, message: "Failed to send confirmation email", error: error.message });
+  }
+});
+
+// Abandoned Order Follow-up Email Route
+
+app.post("/send-abandoned-order-email", idempotent, normalizeCustomerDetails, async (req, res) => {
+  const { customerEmail, orderDetails, customerDetails } = req.body;
+  
+  console.log("Received abandoned order follow-up request:", { 
+    customerEmail, 
+    orderDetails: JSON.stringify(orderDetails),
+    customerDetails: JSON.stringify(customerDetails) 
+  });
+  
+  if (!customerEmail) {
+    return res.status(400).json({
+      success: false,
+      message: "Customer email is required"
+    });
+  }
+
+  if (isUnsubscribed(req.tenant.id, customerEmail)) {
+    return res.status(200).json({ success: true, message: "Customer has unsubscribed from cart reminders", skipped: true });
+  }
+  
+  try {
+    console.log("Attempting to send abandoned order follow-up email to:", customerEmail);
+    const entry = queueTemplateEmail(req.tenant, "abandoned-order", { orderDetails, customerDetails, customerEmail }, {
+      to: customerEmail,
+      cc: req.tenant.adminEmails.join(", ") // CC to admin email
+    });
+    console.log("Abandoned order follow-up email queued:", entry.id);
+    res.status(202).json(queuedEmailResponse(entry, "Abandoned order follow-up email queued for delivery"));
+  } catch (error) {
+    console.error("Error queueing abandoned order follow-up email:", error);
+    res.status(500).json({ success: false, message: "Failed to send abandoned order follow-up email", error: error.message });
+  }
+});
+
+// Product Catalog
+// Prices are configured per storefront in catalog.json (see catalog.example.json)
+// so order amounts are always computed on the server. Prices exclude tax;
+// taxRate is a percentage applied on top.
+const CATALOG_PATH = process.env.CATALOG_PATH || path.join(__dirname, "catalog.json");
+let catalog = {};
+
+try {
+  catalog = JSON.parse(fs.readFileSync(CATALOG_PATH, "utf8"));
+  console.log(`Loaded product catalog for ${Object.keys(catalog).length} storefront(s)`);
+} catch (error) {
+  console.error(`Product catalog not loaded from ${CATALOG_PATH}:`, error.message);
+}
+
+// Storefronts are identified by their tenant id, or for requests on the default
+// tenant by the Origin hostname, e.g. "https://www.drjoints.in" -> "drjoints.in".
+// Never taken from the request body or query, which would let a caller price an
+// order against another storefront's catalog.
+function resolveStorefront(req) {
+  if (req.tenant && req.tenant !== defaultTenant) {
+    return req.tenant.id;
+  }
+  const source = req.get("origin") || "";
+  return source.replace(/^https?:\/\//, "").replace(/^www\./, "").replace(/[/:].*$/, "").toLowerCase();
+}
+
+// Prices the requested line items against the storefront catalog.
+// Returns { errors } when anything is unknown, inactive or priced differently
+// from what the client expected, otherwise the breakdown in paise.
+function priceLineItems(storefront, items) {
+  const products = (catalog[storefront] && catalog[storefront].products) || [];
+  const errors = [];
+
+  if (products.length === 0) {
+    return { errors: [`No product catalog configured for storefront "${storefront}"`] };
+  }
+  if (!Array.isArray(items) || items.length === 0) {
+    return { errors: ["items must be a non-empty array of { sku, quantity }"] };
+  }
+
+  const lines = [];
+  items.forEach((item, index) => {
+    const product = products.find(p => p.sku === item.sku);
+    const quantity = Number(item.quantity);
+
+    if (!product) {
+      errors.push(`items[${index}]: unknown SKU "${item.sku}"`);
+      return;
+    }
+    if (!product.active) {
+      errors.push(`items[${index}]: ${product.sku} is not available for sale`);
+      return;
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      errors.push(`items[${index}]: quantity must be a positive whole number`);
+      return;
+    }
+    if (item.price !== undefined && Number(item.price) !== product.price) {
+      errors.push(`items[${index}]: price ${item.price} for ${product.sku} does not match the current price ${product.price}`);
+      return;
+    }
+
+    const unitPrice = Math.round(product.price * 100);
+    const subtotal = unitPrice * quantity;
+    const tax = Math.round(subtotal * (product.taxRate || 0) / 100);
+    lines.push({
+      sku: product.sku,
+      name: product.name,
+      quantity,
+      unitPrice,
+      taxRate: product.taxRate || 0,
+      subtotal,
+      tax,
+      total: subtotal + tax
+    });
+  });
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const subtotal = lines.reduce((sum, line) => sum + line.subtotal, 0);
+  const tax = lines.reduce((sum, line) => sum + line.tax, 0);
+  return { lines, subtotal, tax, total: subtotal + tax };
+}
+
+// Order Ledger
+// Every Razorpay order created here is recorded in the "orders" collection,
+// keyed by the Razorpay order id, and moved through its lifecycle as payment
+// and shipping events arrive.
+const ORDER_TRANSITIONS = {
+  created: ["paid", "cancelled"],
+  paid: ["shipped", "cancelled"],
+  shipped: ["delivered", "cancelled", "returned"],
+  delivered: ["returned"],
+  returned: [],
+  cancelled: []
+};
+
+function recordOrder(order, details = {}) {
+  const orders = loadCollection("orders");
+  const now = new Date().toISOString();
+
+  orders[order.id] = {
+    id: order.id,
+    receipt: order.receipt,
+    amount: order.amount / 100,
+    currency: order.currency,
+    status: "created",
+    tenant: details.tenant || defaultTenant.id,
+    storefront: details.storefront || null,
+    customer: details.customer || null,
+    cart: details.cart || null,
+    paymentMode: details.paymentMode || "full",
+    ...(details.advance || {}),
+    paymentId: null,
+    // Lets the customer set their notification channels without an account
+    notificationToken: crypto.randomBytes(16).toString("hex"),
+    history: [{ status: "created", at: now }],
+    createdAt: now,
+    updatedAt: now
+  };
+  saveCollection("orders");
+  return orders[order.id];
+}
+
+function findOrder(orderId) {
+  return loadCollection("orders")[orderId] || null;
+}
+
+function findOrderByReceipt(receipt) {
+  return Object.values(loadCollection("orders")).find(order => order.receipt === receipt) || null;
+}
+
+function findOrderByPaymentId(paymentId) {
+  return Object.values(loadCollection("orders")).find(order => order.paymentId === paymentId) || null;
+}
+
+// Moves an order to a new status. Re-applying the current status is a no-op so
+// the webhook and /verify-payment can both report the same payment safely.
+function updateOrderStatus(orderId, status, details = {}) {
+  const orders = loadCollection("orders");
+  const order = orders[orderId];
+
+  if (!order) {
+    return null;
+  }
+
+  if (order.status !== status) {
+    if (!ORDER_TRANSITIONS[order.status].includes(status)) {
+      throw new Error(`Cannot move order ${orderId} from ${order.status} to ${status}`);
+    }
+    order.status = status;
+    order.history.push({ status, at: new Date().toISOString(), ...details });
+    if (status === "paid") {
+      recordAbandonedCartConversion(order);
+    }
+  }
+
+  Object.assign(order, details);
+  order.updatedAt = new Date().toISOString();
+  saveCollection("orders");
+  return order;
+}
+
+// Records a confirmed payment. /verify-payment usually fulfils (and ships) the order
+// before Razorpay's webhooks arrive, so a "paid" report on an order that has
+// already moved past paid is a no-op rather than an invalid transition.
+function markOrderPaid(orderId, details = {}) {
+  const order = findOrder(orderId);
+
+  if (order && ["shipped", "delivered", "returned"].includes(order.status)) {
+    return order;
+  }
+  return updateOrderStatus(orderId, "paid", details);
+}
+
+// Appends a non-status event (e.g. a failed payment attempt) to an order's history
+function addOrderEvent(orderId, event) {
+  const orders = loadCollection("orders");
+  const order = orders[orderId];
+
+  if (!order) {
+    return null;
+  }
+
+  order.history.push({ ...event, at: new Date().toISOString() });
+  order.updatedAt = new Date().toISOString();
+  saveCollection("orders");
+  return order;
+}
+
+// Advance Payment Orders
+// Advance orders take part of the order value upfront through Razorpay and
+// collect the balance as COD. The split comes from the storefront's
+// "advancePayment" policy in catalog.json: { "type": "percentage" | "fixed", "value": n }.
+const SHIPPING_CUSTOMER_FIELDS = ["firstName", "email", "phone", "address", "city", "state", "zip"];
+
+function computeAdvanceSplit(storefront, total) {
+  const policy = catalog[storefront] && catalog[storefront].advancePayment;
+
+  if (!policy) {
+    return { error: `Advance payment is not enabled for storefront "${storefront}"` };
+  }
+
+  let advance;
+  if (policy.type === "percentage") {
+    advance = Math.round(total * policy.value / 100);
+  } else if (policy.type === "fixed") {
+    advance = Math.round(policy.value * 100);
+  } else {
+    return { error: `Unknown advance payment policy type "${policy.type}"` };
+  }
+
+  // Razorpay will not create orders below ₹1
+  advance = Math.min(Math.max(advance, 100), total);
+  return { advance, balance: total - advance };
+}
+
+// Figures used by the advance confirmation email, taken from the ledger
+function advanceOrderDetails(order) {
+  return {
+    totalAmount: order.totalAmount,
+    advanceAmount: order.advanceAmount,
+    paidAmount: order.advanceAmount,
+    balanceAmount: order.balanceAmount,
+    paymentId: order.paymentId
+  };
+}
+
+// Builds the Shiprocket adhoc payload for a ledger order. Shiprocket collects
+// sub_total on COD orders, so anything already paid goes in as a discount.
+function buildShiprocketOrder(order, { paymentMethod, prepaidAmount = 0 }) {
+  const customer = order.customer || {};
+  const lines = (order.cart && order.cart.lines) || [];
+
+  return {
+    order_id: order.receipt,
+    order_date: new Date().toISOString().slice(0, 16).replace("T", " "),
+    pickup_location: getTenant(order.tenant).shiprocket.pickupLocation,
+    billing_customer_name: customer.firstName,
+    billing_last_name: customer.lastName || "",
+    billing_address: customer.address,
+    billing_address_2: customer.apartment || "",
+    billing_city: customer.city,
+    billing_pincode: customer.zip,
+    billing_state: customer.state,
+    billing_country: customer.country || "India",
+    billing_email: customer.email,
+    billing_phone: customer.phone,
+    shipping_is_billing: true,
+    order_items: lines.map(line => ({
+      name: line.name,
+      sku: line.sku,
+      units: line.quantity,
+      selling_price: line.total / line.quantity / 100,
+      tax: line.taxRate
+    })),
+    payment_method: paymentMethod,
+    total_discount: prepaidAmount,
+    sub_total: Math.round(((order.totalAmount || order.amount) - prepaidAmount) * 100) / 100,
+    ...packageDimensions(order.storefront, lines)
+  };
+}
+
+// Package size for a set of cart lines: items are stacked, so heights and
+// weights add up while the footprint is the largest item's
+function packageDimensions(storefront, lines) {
+  const products = (catalog[storefront] && catalog[storefront].products) || [];
+  const dimensions = { length: 0, breadth: 0, height: 0, weight: 0 };
+
+  lines.forEach(line => {
+    const product = products.find(p => p.sku === line.sku) || {};
+    dimensions.length = Math.max(dimensions.length, product.length || 10);
+    dimensions.breadth = Math.max(dimensions.breadth, product.breadth || 10);
+    dimensions.height += (product.height || 10) * line.quantity;
+    dimensions.weight += (product.weight || 0.5) * line.quantity;
+  });
+  return dimensions;
+}
+
+// Order Fulfilment
+// Once a payment is confirmed the server sends the confirmation email and then
+// creates the Shiprocket order itself, so neither step depends on the browser.
+// Advance orders get the advance confirmation and a COD shipment for the
+// balance; full payments get the order confirmation and a prepaid shipment.
+// Runs at most once per order, whether /verify-payment or the webhook gets
+// there first, and records each step's outcome on the order.
+async function fulfilOrder(orderId) {
+  const order = findOrder(orderId);
+
+  if (!order || order.status === "created") {
+    return null;
+  }
+  if (order.fulfilment) {
+    return order.fulfilment;
+  }
+
+  const tenant = getTenant(order.tenant);
+  const isAdvance = order.paymentMode === "advance";
+  const missing = SHIPPING_CUSTOMER_FIELDS.filter(field => !order.customer || !order.customer[field]);
+
+  if (missing.length > 0 || !order.cart || !order.cart.lines) {
+    // Orders placed without shipping details still rely on the storefront for fulfilment
+    return {
+      skipped: true,
+      reason: `Order has no ${missing.length > 0 ? `customer ${missing.join(", ")}` : "line items"} on record`
+    };
+  }
+
+  order.fulfilment = { startedAt: new Date().toISOString() };
+  saveCollection("orders");
+
+  const emailDetails = {
+    tenant,
+    customerEmail: order.customer.email,
+    customerDetails: order.customer,
+    orderDetails: {
+      orderNumber: order.receipt,
+      products: order.cart.lines.map(line => ({
+        name: line.name,
+        quantity: line.quantity,
+        price: line.total / 100
+      })),
+      totalAmount: order.totalAmount || order.amount,
+      paymentMethod: "Razorpay",
+      paymentId: order.paymentId,
+      ...(isAdvance ? advanceOrderDetails(order) : {})
+    }
+  };
+
+  try {
+    const entry = isAdvance ? sendAdvancePaymentEmail(emailDetails) : sendOrderConfirmationEmail(emailDetails);
+    order.fulfilment.email = { success: true, messageId: entry.id };
+  } catch (error) {
+    console.error("Error queueing order confirmation email:", error);
+    order.fulfilment.email = { success: false, error: error.message };
+  }
+
+  try {
+    const notification = notifyCustomer(order, isAdvance ? "advance-payment-confirmation" : "order-confirmation");
+    order.fulfilment.notification = notification
+      ? { success: true, id: notification.id, channel: notification.channel }
+      : { skipped: true };
+  } catch (error) {
+    console.error("Error queueing order confirmation message:", error);
+    order.fulfilment.notification = { success: false, error: error.message };
+  }
+
+  const shiprocketData = buildShiprocketOrder(order, isAdvance
+    ? { paymentMethod: "COD", prepaidAmount: order.advanceAmount }
+    : { paymentMethod: "Prepaid" });
+
+  try {
+    const response = await submitShiprocketOrder(shiprocketData);
+
+    if (response.ok) {
+      order.fulfilment.shiprocket = {
+        success: true,
+        orderId: response.data.order_id,
+        shipmentId: response.data.shipment_id,
+        codAmount: isAdvance ? shiprocketData.sub_total : 0
+      };
+    } else {
+      const entry = await queueShiprocketOrder(shiprocketData, { tenant, orderId: order.id, status: response.status, error: response.data });
+      order.fulfilment.shiprocket = { success: false, queueId: entry.id, queueStatus: entry.status, error: response.data };
+    }
+  } catch (error) {
+    console.error("Error creating Shiprocket order for paid order:", error);
+    const entry = await queueShiprocketOrder(shiprocketData, { tenant, orderId: order.id, error: error.message });
+    order.fulfilment.shiprocket = { success: false, queueId: entry.id, queueStatus: entry.status, error: error.message };
+  }
+
+  order.fulfilment.completedAt = new Date().toISOString();
+  saveCollection("orders");
+  return order.fulfilment;
+}
+
+// Create Razorpay Order
+app.post("/create-order", idempotent, async (req, res) => {
+  try {
+    const { amount, items, currency, receipt, notes, customer, paymentMode } = req.body;
+    const storefront = resolveStorefront(req);
+    const pricing = priceLineItems(storefront, items);
+
+    if (pricing.errors) {
+      return res.status(400).json({
+        success: false,
+        message: "Could not price order",
+        errors: pricing.errors
+      });
+    }
+
+    // The client may still send the amount it displayed; reject the order if it disagrees
+    if (amount !== undefined && Math.round(Number(amount) * 100) !== pricing.total) {
+      return res.status(400).json({
+        success: false,
+        message: `Order amount ${amount} does not match the computed total ${pricing.total / 100}`,
+        breakdown: pricing
+      });
+    }
+
+    // Shipping details are checked now so the storefront can show problems before payment
+    const address = customer ? normalizeAddress(customer) : null;
+    const addressIssues = address ? {
+      warnings: address.warnings.map(({ field, message }) => `customer.${field} ${message}`),
+      errors: address.errors.map(({ field, message }) => `customer.${field} ${message}`)
+    } : undefined;
+
+    // Advance orders only charge the advance now; the balance is collected on delivery
+    let split = null;
+    if (paymentMode === "advance") {
+      split = computeAdvanceSplit(storefront, pricing.total);
+      // State and city may have been filled in from the pincode
+      const missing = SHIPPING_CUSTOMER_FIELDS.filter(field => !address || !address.address[field]);
+      const errors = [...new Set([
+        ...missing.map(field => `customer.${field} is required`),
+        ...(addressIssues ? addressIssues.errors : [])
+      ])];
+
+      if (split.error || errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: split.error || "Shipping details are required for advance payment orders",
+          errors,
+          warnings: addressIssues ? addressIssues.warnings : undefined
+        });
+      }
+    }
+    
+    const options = {
+      amount: split ? split.advance : pricing.total, // Already in paise (Razorpay requires amount in smallest currency unit)
+      currency: currency || "INR",
+      receipt: receipt || `receipt_${Date.now()}`,
+      notes: {
+        ...(notes || {}),
+        storefront,
+        items: pricing.lines.map(line => `${line.sku} x${line.quantity}`).join(", ").slice(0, 256),
+        subtotal: (pricing.subtotal / 100).toFixed(2),
+        tax: (pricing.tax / 100).toFixed(2),
+        total: (pricing.total / 100).toFixed(2),
+        ...(split ? {
+          payment_mode: "advance",
+          advance: (split.advance / 100).toFixed(2),
+          balance_cod: (split.balance / 100).toFixed(2)
+        } : {})
+      },
+    };
+    
+    const order = await getRazorpay(req.tenant).orders.create(options);
+    const ledgerOrder = recordOrder(order, {
+      tenant: req.tenant.id,
+      storefront,
+      customer: address ? { ...customer, ...address.address } : customer,
+      cart: pricing,
+      paymentMode: split ? "advance" : "full",
+      advance: split ? {
+        totalAmount: pricing.total / 100,
+        advanceAmount: split.advance / 100,
+        balanceAmount: split.balance / 100
+      } : null
+    });
+
+    
+    res.status(200).json({
+      success: true,
+      order,
+      breakdown: pricing,
+      advance: split ? { amount: split.advance / 100, balance: split.balance / 100 } : undefined,
+      address: addressIssues,
+      notificationToken: ledgerOrder.notificationToken,
+      key: req.tenant.razorpay.keyId, // Send key_id to frontend for initialization
+    });
+  } catch (error) {
+    console.error("Order creation failed:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create order",
+      error: error.message,
+    });
+  }
+});
+
+// Verify Razorpay Payment
+// Checks the checkout signature, then confirms the payment with Razorpay itself
+// before running the fulfilment pipeline. The response reports each step.
+app.post("/verify-payment", async (req, res) => {
+  try {
+    const {
+      razorpay_order_id,
+      razorpay_payment_id,
+      razorpay_signature,
+    } = req.body;
+
+    // Verify signature with the key of the account the order was created on
+    const ledgerOrder = findOrder(razorpay_order_id);
+    const tenant = ledgerOrder ? getTenant(ledgerOrder.tenant) : req.tenant;
+    const sign = razorpay_order_id + "|" + razorpay_payment_id;
+    const expectedSignature = crypto
+      .createHmac("sha256", tenant.razorpay.keySecret)
+      .update(sign)
+      .digest("hex");
+      
+    if (!safeCompare(expectedSignature, razorpay_signature)) {
+      // Payment verification failed
+      return res.status(400).json({
+        success: false,
+        message: "Payment verification failed",
+      });
+    }
+
+    const client = getRazorpay(tenant);
+    let payment = await client.payments.fetch(razorpay_payment_id);
+    const expectedAmount = ledgerOrder
+      ? Math.round(ledgerOrder.amount * 100)
+      : (await client.orders.fetch(razorpay_order_id)).amount;
+    const problems = [];
+
+    if (payment.order_id !== razorpay_order_id) {
+      problems.push(`payment belongs to order ${payment.order_id}`);
+    }
+    if (payment.amount !== expectedAmount) {
+      problems.push(`payment amount ${payment.amount / 100} does not match order amount ${expectedAmount / 100}`);
+    }
+    if (!["authorized", "captured"].includes(payment.status)) {
+      problems.push(`payment status is ${payment.status}`);
+    }
+
+    if (problems.length > 0) {
+      console.error(`Payment ${razorpay_payment_id} failed verification:`, problems);
+      return res.status(400).json({
+        success: false,
+        message: "Payment verification failed",
+        errors: problems
+      });
+    }
+
+    // Accounts without auto-capture leave payments authorized; capture them now
+    if (payment.status === "authorized") {
+      payment = await client.payments.capture(payment.id, payment.amount, payment.currency);
+    }
+
+    try {
+      markOrderPaid(razorpay_order_id, { paymentId: razorpay_payment_id });
+    } catch (error) {
+      console.error("Could not update order ledger:", error.message);
+    }
+    const fulfilment = await fulfilOrder(razorpay_order_id);
+
+    res.status(200).json({ 
+      success: true,
+      message: "Payment verification successful",
+      orderId: razorpay_order_id,
+      paymentId: razorpay_payment_id,
+      paymentStatus: payment.status,
+      fulfilment: fulfilment || { skipped: true, reason: "Order is not in the order ledger" }
+    });
+  } catch (error) {
+    console.error("Payment verification error:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: "Internal server error during verification",
+      error: razorpayErrorMessage(error),
+    });
+  }
+});
+
+// Look up orders by receipt, customer email, status or tenant
+app.get("/orders", requireAdmin, (req, res) => {
+  const { receipt, email, status, tenant } = req.query;
+  const orders = Object.values(loadCollection("orders"))
+    .filter(order =>
+      (!receipt || order.receipt === receipt) &&
+      (!email || (order.customer && order.customer.email === email)) &&
+      (!status || order.status === status) &&
+      (!tenant || order.tenant === tenant))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  res.status(200).json({
+    success: true,
+    count: orders.length,
+    orders
+  });
+});
+
+// Get a single order by Razorpay order id
+app.get("/orders/:id", requireAdmin, (req, res) => {
+  const order = findOrder(req.params.id);
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: "Order not found"
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    order
+  });
+});
+
+// Manually move an order along its lifecycle (e.g. mark delivered or cancelled)
+app.post("/orders/:id/status", requireAdmin, (req, res) => {
+  const { status, note } = req.body;
+
+  if (!ORDER_TRANSITIONS[status]) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid status. Expected one of: ${Object.keys(ORDER_TRANSITIONS).join(", ")}`
+    });
+  }
+
+  try {
+    const order = updateOrderStatus(req.params.id, status, note ? { note } : {});
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      order
+    });
+  } catch (error) {
+    res.status(409).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Customer Order Tracking
+// Public "track my order" lookup: the customer gives their order number plus the
+// email or phone used at checkout and gets back a normalized timeline built from
+// the order ledger and the Shiprocket tracking webhook. Lookups are rate limited
+// per client IP, and failed matches per order number, so order numbers and
+// contact details can't be enumerated.
+const TRACKING_STATUS_LABELS = {
+  placed: "Order placed",
+  payment_pending: "Awaiting payment",
+  confirmed: "Order confirmed",
+  shipped: "Shipped",
+  picked_up: "Picked up by courier",
+  in_transit: "In transit",
+  out_for_delivery: "Out for delivery",
+  delivered: "Delivered",
+  returning: "Returning to seller",
+  returned: "Returned",
+  cancelled: "Cancelled"
+};
+
+// Fixed-window counters kept in memory. hit() counts a request and reports whether
+// the key is still under the limit; check() reports the same without counting.
+function createRateLimiter({ windowMs, max }) {
+  const hits = new Map();
+
+  setInterval(() => {
+    const now = Date.now();
+    hits.forEach((entry, key) => {
+      if (entry.resetAt <= now) {
+        hits.delete(key);
+      }
+    });
+  }, windowMs).unref();
+
+  return {
+    hit(key) {
+      const now = Date.now();
+      let entry = hits.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        hits.set(key, entry);
+      }
+      entry.count += 1;
+      return { allowed: entry.count <= max, retryAfter: Math.ceil((entry.resetAt - now) / 1000) };
+    },
+    check(key) {
+      const now = Date.now();
+      const entry = hits.get(key);
+      if (!entry || entry.resetAt <= now) {
+        return { allowed: true, retryAfter: 0 };
+      }
+      return { allowed: entry.count < max, retryAfter: Math.ceil((entry.resetAt - now) / 1000) };
+    }
+  };
+}
+
+const trackingLookupLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: Number(process.env.TRACKING_RATE_LIMIT || 20)
+});
+const trackingFailureLimiter = createRateLimiter({
+  windowMs: 60 * 60 * 1000,
+  max: Number(process.env.TRACKING_FAILURE_LIMIT || 5)
+});
+
+// Shiprocket reports times as "YYYY-MM-DD HH:mm:ss" in IST
+function shiprocketTimestamp(value) {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}(:\d{2})?$/.test(value) ? `${value.replace(" ", "T")}+05:30` : value);
+  return isNaN(date) ? null : date.toISOString();
+}
+
+function trackingStatusFromMilestone(milestone) {
+  return milestone === "rto" ? "returning" : milestone;
+}
+
+function buildTrackingTimeline(order, shipment) {
+  const events = [];
+
+  order.history.filter(entry => entry.status).forEach(entry => {
+    const status = { created: "placed", paid: "confirmed" }[entry.status] || entry.status;
+    events.push({
+      status,
+      label: TRACKING_STATUS_LABELS[status] || status,
+      description: null,
+      location: null,
+      timestamp: entry.at
+    });
+  });
+
+  ((shipment && shipment.scans) || []).forEach(scan => {
+    const rawStatus = scan["sr-status-label"] || scan.status || scan.activity;
+    const status = trackingStatusFromMilestone(normalizeShipmentStatus(rawStatus)) || "in_transit";
+    events.push({
+      status,
+      label: TRACKING_STATUS_LABELS[status],
+      description: scan.activity || null,
+      location: scan.location || null,
+      timestamp: shiprocketTimestamp(scan.date)
+    });
+  });
+
+  events.sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)));
+
+  let status = { created: "payment_pending", paid: "confirmed" }[order.status] || order.status;
+  if (order.status === "shipped" && shipment && shipment.milestone) {
+    status = trackingStatusFromMilestone(shipment.milestone);
+  }
+  const awb = order.awb || (shipment && shipment.awb) || null;
+  const delivered = events.find(event => event.status === "delivered");
+
+  return {
+    orderNumber: order.receipt,
+    status,
+    statusLabel: TRACKING_STATUS_LABELS[status] || status,
+    courier: (shipment && shipment.courier) || order.courier || null,
+    awb,
+    trackingUrl: awb ? `https://shiprocket.co/tracking/${awb}` : null,
+    estimatedDelivery: status === "delivered" ? null : shiprocketTimestamp(shipment && shipment.etd),
+    deliveredAt: delivered ? delivered.timestamp : null,
+    events,
+    updatedAt: (shipment && shipment.updatedAt > order.updatedAt ? shipment.updatedAt : order.updatedAt) || null
+  };
+}
+
+// Track an order by order number plus the email or phone used at checkout
+app.post("/orders/track", async (req, res) => {
+  try {
+    const ipLimit = trackingLookupLimiter.hit(req.ip);
+    if (!ipLimit.allowed) {
+      res.set("Retry-After", String(ipLimit.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: "Too many tracking requests. Please try again later."
+      });
+    }
+
+    const { orderNumber, email, phone } = req.body || {};
+
+    if (!orderNumber || (!email && !phone)) {
+      return res.status(400).json({
+        success: false,
+        message: "orderNumber and either email or phone are required"
+      });
+    }
+
+    // Once an order number has seen too many wrong guesses, even the right one is refused
+    const orderKey = String(orderNumber).trim().toLowerCase();
+    const orderLimit = trackingFailureLimiter.check(orderKey);
+    if (!orderLimit.allowed) {
+      res.set("Retry-After", String(orderLimit.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: "Too many tracking requests. Please try again later."
+      });
+    }
+
+    const order = findOrderByReceipt(String(orderNumber).trim());
+    const customer = (order && order.customer) || {};
+    const matches = order && order.tenant === req.tenant.id && (
+      (email && customer.email && customer.email.trim().toLowerCase() === String(email).trim().toLowerCase()) ||
+      (phone && customer.phone && normalizeMobileNumber(phone).length === 10 && normalizeMobileNumber(customer.phone) === normalizeMobileNumber(phone))
+    );
+
+    if (!matches) {
+      trackingFailureLimiter.hit(orderKey);
+      // Same answer whether the order doesn't exist or the contact detail is wrong
+      return res.status(404).json({
+        success: false,
+        message: "We couldn't find an order with those details"
+      });
+    }
+
+    const awb = order.awb;
+    let shipment = awb ? loadCollection("shipments")[awb] : null;
+
+    // Without tracking webhooks on record, ask Shiprocket for the latest scans
+    if (awb && !shipment) {
+      try {
+        const result = await shiprocket.get(`/courier/track/awb/${encodeURIComponent(awb)}`);
+        const tracking = (result.ok && result.data.tracking_data) || {};
+        const latest = (tracking.shipment_track && tracking.shipment_track[0]) || {};
+        shipment = {
+          awb,
+          courier: latest.courier_name || null,
+          milestone: normalizeShipmentStatus(latest.current_status),
+          etd: tracking.etd || latest.edd || null,
+          scans: tracking.shipment_track_activities || []
+        };
+      } catch (error) {
+        console.error(`Live tracking lookup for ${awb} failed:`, error.message);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      tracking: buildTrackingTimeline(order, shipment)
+    });
+  } catch (error) {
+    console.error("Error tracking order:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error tracking order",
+      error: error.message
+    });
+  }
+});
+
+// Razorpay Webhook Event Handlers
+const razorpayWebhookHandlers = {
+  "payment.captured": async (payload) => {
+    const payment = payload.payment.entity;
+    console.log(`Payment ${payment.id} captured for order ${payment.order_id} (${payment.amount / 100} ${payment.currency})`);
+    markOrderPaid(payment.order_id, { paymentId: payment.id });
+    await fulfilOrder(payment.order_id);
+    return { orderId: payment.order_id, paymentId: payment.id, status: payment.status };
+  },
+  "payment.failed": async (payload) => {
+    const payment = payload.payment.entity;
+    console.log(`Payment ${payment.id} failed for order ${payment.order_id}: ${payment.error_description || "no reason given"}`);
+    addOrderEvent(payment.order_id, {
+      event: "payment_failed",
+      paymentId: payment.id,
+      reason: payment.error_description || null
+    });
+    return { orderId: payment.order_id, paymentId: payment.id, status: payment.status };
+  },
+  "order.paid": async (payload) => {
+    const order = payload.order.entity;
+    const payment = payload.payment ? payload.payment.entity : null;
+    console.log(`Order ${order.id} (receipt ${order.receipt}) marked paid`);
+    markOrderPaid(order.id, payment ? { paymentId: payment.id } : {});
+    await fulfilOrder(order.id);
+    return { orderId: order.id, paymentId: payment ? payment.id : null, status: order.status };
+  },
+  "payment_link.paid": async (payload, tenant) => {
+    const link = payload.payment_link.entity;
+    const payment = payload.payment ? payload.payment.entity : null;
+    console.log(`Payment link ${link.id} (${link.reference_id}) paid`);
+    const record = recordPaymentLink(link, {
+      tenant: tenant.id,
+      ...(payment ? { paymentId: payment.id, paidAt: new Date().toISOString() } : {})
+    });
+    const order = recordPaidPaymentLink(record, payment);
+    return { paymentLinkId: link.id, paymentId: payment ? payment.id : null, orderId: order ? order.id : null, status: link.status };
+  },
+  "payment_link.expired": async (payload, tenant) => {
+    const link = payload.payment_link.entity;
+    console.log(`Payment link ${link.id} (${link.reference_id}) expired unpaid`);
+    recordPaymentLink(link, { tenant: tenant.id });
+    return { paymentLinkId: link.id, status: link.status };
+  },
+  "payment_link.cancelled": async (payload, tenant) => {
+    const link = payload.payment_link.entity;
+    recordPaymentLink(link, { tenant: tenant.id });
+    return { paymentLinkId: link.id, status: link.status };
+  },
+  "refund.processed": async (payload, tenant) => {
+    const refund = payload.refund.entity;
+    console.log(`Refund ${refund.id} processed for payment ${refund.payment_id} (${refund.amount / 100})`);
+    await markRefundProcessed(refund, tenant);
+    return { refundId: refund.id, paymentId: refund.payment_id, status: refund.status };
+  }
+};
+
+// Runs the handler for a stored webhook event and records the outcome
+async function processWebhookEvent(record) {
+  const events = loadCollection("webhook-events");
+  const handler = razorpayWebhookHandlers[record.event];
+  record.attempts = (record.attempts || 0) + 1;
+
+  if (!handler) {
+    record.status = "ignored";
+  } else {
+    try {
+      record.result = await handler(record.body.payload, getTenant(record.tenant));
+      record.status = "processed";
+      record.error = null;
+    } catch (error) {
+      console.error(`Error processing webhook event ${record.id}:`, error);
+      record.status = "failed";
+      record.error = error.message;
+    }
+  }
+
+  record.processedAt = new Date().toISOString();
+  events[record.id] = record;
+  saveCollection("webhook-events");
+  return record;
+}
+
+// Razorpay Webhook Receiver
+// Each tenant's Razorpay account points its webhook at /razorpay/webhook/<tenant id>;
+// the bare path is for the default account.
+app.post("/razorpay/webhook/:tenantId?", async (req, res) => {
+  try {
+    const signature = req.get("x-razorpay-signature");
+    const { tenantId } = req.params;
+
+    if (tenantId && !tenants[tenantId]) {
+      return res.status(404).json({
+        success: false,
+        message: "Unknown tenant"
+      });
+    }
+
+    const tenant = getTenant(tenantId);
+
+    if (!tenant.razorpay.webhookSecret || !req.rawBody || !signature) {
+      return res.status(400).json({
+        success: false,
+        message: "Webhook signature missing"
+      });
+    }
+
+    const expectedSignature = crypto
+      .createHmac("sha256", tenant.razorpay.webhookSecret)
+      .update(req.rawBody)
+      .digest("hex");
+
+    if (!safeCompare(expectedSignature, signature)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid webhook signature"
+      });
+    }
+
+    // Razorpay retries deliveries with the same event id, so use it to de-duplicate
+    const eventId = req.get("x-razorpay-event-id") ||
+      crypto.createHash("sha256").update(req.rawBody).digest("hex");
+    const events = loadCollection("webhook-events");
+    const existing = events[eventId];
+
+    // Failed events are run again when Razorpay redelivers them
+    if (existing && existing.status !== "failed") {
+      return res.status(200).json({
+        success: true,
+        message: "Duplicate event ignored",
+        eventId
+      });
+    }
+
+    const record = existing || {
+      id: eventId,
+      tenant: tenant.id,
+      event: req.body.event,
+      receivedAt: new Date().toISOString(),
+      status: "received",
+      attempts: 0,
+      body: req.body
+    };
+    events[eventId] = record;
+    saveCollection("webhook-events");
+
+    const processed = await processWebhookEvent(record);
+
+    // Anything but a 2xx makes Razorpay redeliver the event later
+    if (processed.status === "failed") {
+      return res.status(500).json({
+        success: false,
+        message: "Error processing webhook",
+        eventId,
+        status: processed.status,
+        error: processed.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      eventId,
+      status: processed.status
+    });
+  } catch (error) {
+    console.error("Razorpay webhook error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error processing webhook",
+      error: error.message
+    });
+  }
+});
+
+// List stored webhook events (optionally filtered by event type or status)
+app.get("/razorpay/webhook/events", requireAdmin, (req, res) => {
+  const { event, status } = req.query;
+  const events = Object.values(loadCollection("webhook-events"))
+    .filter(record => (!event || record.event === event) && (!status || record.status === status))
+    .sort((a, b) => b.receivedAt.localeCompare(a.receivedAt));
+
+  res.status(200).json({
+    success: true,
+    count: events.length,
+    events
+  });
+});
+
+// Inspect a single webhook event
+app.get("/razorpay/webhook/events/:id", requireAdmin, (req, res) => {
+  const record = loadCollection("webhook-events")[req.params.id];
+
+  if (!record) {
+    return res.status(404).json({
+      success: false,
+      message: "Webhook event not found"
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    event: record
+  });
+});
+
+// Replay a stored webhook event through its handler
+app.post("/razorpay/webhook/events/:id/replay", requireAdmin, async (req, res) => {
+  try {
+    const record = loadCollection("webhook-events")[req.params.id];
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: "Webhook event not found"
+      });
+    }
+
+    const processed = await processWebhookEvent(record);
+
+    res.status(200).json({
+      success: true,
+      event: processed
+    });
+  } catch (error) {
+    console.error("Webhook replay error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error replaying webhook event",
+      error: error.message
+    });
+  }
+});
+
+// Refunds
+// Refunds are stored in the "refunds" collection keyed by Razorpay refund id
+// and linked back to the ledger order they belong to.
+function recordRefund(refund, details = {}) {
+  const refunds = loadCollection("refunds");
+  const existing = refunds[refund.id] || {};
+
+  // Refunds raised from the Razorpay dashboard arrive here via the webhook only
+  if (!existing.id && !details.orderId) {
+    const order = findOrderByPaymentId(refund.payment_id);
+    if (order) {
+      details = {
+        tenant: order.tenant,
+        orderId: order.id,
+        receipt: order.receipt,
+        customerEmail: order.customer ? order.customer.email : null,
+        customerName: order.customer ? order.customer.firstName || order.customer.name : null,
+        ...details
+      };
+    }
+  }
+
+  refunds[refund.id] = {
+    ...existing,
+    id: refund.id,
+    paymentId: refund.payment_id,
+    amount: refund.amount / 100,
+    currency: refund.currency,
+    status: refund.status,
+    speed: refund.speed_processed || refund.speed_requested || existing.speed || null,
+    createdAt: existing.createdAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    ...details
+  };
+  saveCollection("refunds");
+
+  if (refunds[refund.id].orderId && !existing.id) {
+    addOrderEvent(refunds[refund.id].orderId, {
+      event: "refund_initiated",
+      refundId: refund.id,
+      amount: refund.amount / 100
+    });
+  }
+  return refunds[refund.id];
+}
+
+// Sends the refund-initiated / refund-processed email to the customer
+async function sendRefundEmail(refund, stage) {
+  const tenant = getTenant(refund.tenant);
+
+  if (!refund.customerEmail) {
+    console.log(`No customer email for refund ${refund.id}, skipping ${stage} email`);
+    return false;
+  }
+
+  try {
+    const entry = queueTemplateEmail(tenant, "refund", { refund, stage }, {
+      to: refund.customerEmail,
+      cc: tenant.adminEmails.join(", ") // CC to admin email
+    });
+    console.log(`Refund ${stage} email queued for ${refund.id}:`, entry.id);
+    return true;
+  } catch (error) {
+    console.error(`Error queueing refund ${stage} email:`, error);
+    return false;
+  }
+}
+
+// Sends the processed email once per refund, whichever path sees it first
+async function markRefundProcessed(refund, tenant) {
+  const record = recordRefund(refund, tenant ? { tenant: tenant.id } : {});
+
+  if (record.status === "processed" && !record.processedEmailSentAt) {
+    if (await sendRefundEmail(record, "processed")) {
+      record.processedEmailSentAt = new Date().toISOString();
+      saveCollection("refunds");
+    }
+  }
+  return record;
+}
+
+// Razorpay SDK errors carry the API description rather than a message
+function razorpayErrorMessage(error) {
+  return (error.error && error.error.description) || error.message || "Unknown Razorpay error";
+}
+
+// Create a full or partial refund
+app.post("/refunds", requireAdmin, idempotent, async (req, res) => {
+  try {
+    const { orderId, amount, reason } = req.body;
+    const order = orderId ? findOrder(orderId) : null;
+    const paymentId = req.body.paymentId || (order && order.paymentId);
+
+    if (!paymentId) {
+      return res.status(400).json({
+        success: false,
+        message: "paymentId or the orderId of a paid order is required"
+      });
+    }
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: "A refund reason is required"
+      });
+    }
+
+    const tenant = order ? getTenant(order.tenant) : req.tenant;
+    const payment = await getRazorpay(tenant).payments.fetch(paymentId);
+    const refundable = payment.amount - (payment.amount_refunded || 0);
+    // Omitting the amount refunds whatever is left on the payment
+    const refundAmount = amount !== undefined ? Math.round(Number(amount) * 100) : refundable;
+
+    if (payment.status !== "captured" && payment.status !== "refunded") {
+      return res.status(400).json({
+        success: false,
+        message: `Payment is ${payment.status} and cannot be refunded`
+      });
+    }
+    if (!(refundAmount > 0) || refundAmount > refundable) {
+      return res.status(400).json({
+        success: false,
+        message: `Refund amount must be between 0 and the refundable balance of ${refundable / 100}`
+      });
+    }
+
+    const refund = await getRazorpay(tenant).payments.refund(paymentId, {
+      amount: refundAmount,
+      notes: { reason: String(reason).slice(0, 256) }
+    });
+
+    const ledgerOrder = order || findOrder(payment.order_id);
+    const customer = (ledgerOrder && ledgerOrder.customer) || {};
+    const record = recordRefund(refund, {
+      tenant: tenant.id,
+      orderId: ledgerOrder ? ledgerOrder.id : payment.order_id,
+      receipt: ledgerOrder ? ledgerOrder.receipt : null,
+      reason,
+      partial: refundAmount < payment.amount,
+      customerEmail: req.body.customerEmail || customer.email || payment.email || null,
+      customerName: customer.firstName || customer.name || null
+    });
+
+    await sendRefundEmail(record, "initiated");
+    if (record.status === "processed") {
+      await markRefundProcessed(refund, tenant);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Refund created successfully",
+      refund: record
+    });
+  } catch (error) {
+    console.error("Refund creation failed:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: "Failed to create refund",
+      error: razorpayErrorMessage(error)
+    });
+  }
+});
+
+// Get refund status (refreshed from Razorpay)
+app.get("/refunds/:id", requireAdmin, async (req, res) => {
+  try {
+    const stored = loadCollection("refunds")[req.params.id];
+    const tenant = stored ? getTenant(stored.tenant) : req.tenant;
+    const refund = await getRazorpay(tenant).refunds.fetch(req.params.id);
+    const record = await markRefundProcessed(refund, tenant);
+
+    res.status(200).json({
+      success: true,
+      refund: record
+    });
+  } catch (error) {
+    console.error("Refund status lookup failed:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: "Failed to fetch refund",
+      error: razorpayErrorMessage(error)
+    });
+  }
+});
+
+// Returns & RTO
+// Customer returns and RTO (return-to-origin) shipments are tracked in the
+// "returns" collection. Customer returns get a reverse pickup through
+// Shiprocket's returns API; RTOs are opened from the tracking webhook. Once the
+// parcel is back the refund is worked out from the original payment under the
+// storefront's return policy (catalog.json "returns") and the customer is emailed.
+const RETURN_STATUS_ORDER = ["requested", "pickup_scheduled", "in_transit", "received"];
+
+function returnPolicy(storefront) {
+  return {
+    shippingFee: 0, // deducted from customer-initiated returns
+    refundAdvanceOnRto: false, // advances on COD orders cover the cost of an RTO by default
+    ...(catalog[storefront] && catalog[storefront].returns)
+  };
+}
+
+function findReturnByAwb(awb) {
+  return Object.values(loadCollection("returns")).find(ret => ret.awb && String(ret.awb) === String(awb)) || null;
+}
+
+function findOpenReturn(orderId) {
+  return Object.values(loadCollection("returns")).find(ret =>
+    ret.orderId === orderId && !["refunded", "closed", "cancelled"].includes(ret.status)
+  ) || null;
+}
+
+function updateReturnStatus(ret, status, details = {}) {
+  if (ret.status !== status) {
+    ret.status = status;
+    ret.history.push({ status, at: new Date().toISOString(), ...details });
+  }
+  ret.updatedAt = new Date().toISOString();
+  saveCollection("returns");
+  return ret;
+}
+
+// Maps a raw Shiprocket status label on a return or RTO shipment to a return status
+function normalizeReturnStatus(status) {
+  const label = String(status || "").toUpperCase();
+
+  if (label.includes("CANCEL")) {
+    return "cancelled";
+  }
+  if (label.includes("DELIVERED") || label.includes("ACKNOWLEDGED")) {
+    return "received";
+  }
+  if (/PICKED UP|PICKUP DONE|IN TRANSIT|SHIPPED|OUT FOR DELIVERY|OFD|RTO INITIATED|RTO_NDR/.test(label)) {
+    return "in_transit";
+  }
+  if (/PICKUP|AWB ASSIGNED|RETURN PENDING/.test(label)) {
+    return "pickup_scheduled";
+  }
+  return null;
+}
+
+// Works out the refund for a return in paise. Customer returns refund what was
+// paid for the returned items less the return shipping fee. RTOs refund what was
+// paid online, except that advance payments on COD orders are kept unless the
+// policy says otherwise. Razorpay can only refund up to what is left on the
+// payment; anything above that (cash collected on delivery) is settled offline.
+function computeReturnRefund(order, ret, payment) {
+  const policy = returnPolicy(order.storefront);
+  const isAdvance = order.paymentMode === "advance";
+  const paidOnline = Math.round(order.amount * 100);
+  const deductions = [];
+  let gross;
+
+  if (ret.type === "rto") {
+    gross = paidOnline;
+    if (isAdvance && !policy.refundAdvanceOnRto) {
+      deductions.push({ label: "Advance retained for undelivered COD order", amount: paidOnline });
+    }
+  } else {
+    gross = ret.items.reduce((sum, item) => sum + Math.round(item.amount * 100), 0);
+    if (policy.shippingFee > 0) {
+      deductions.push({ label: "Return shipping", amount: Math.round(policy.shippingFee * 100) });
+    }
+  }
+
+  const net = Math.max(0, gross - deductions.reduce((sum, item) => sum + item.amount, 0));
+  const refundable = payment ? payment.amount - (payment.amount_refunded || 0) : 0;
+  const online = Math.min(net, refundable);
+
+  return {
+    gross: gross / 100,
+    deductions: deductions.map(item => ({ ...item, amount: item.amount / 100 })),
+    amount: net / 100,
+    onlineAmount: online / 100,
+    offlineAmount: (net - online) / 100
+  };
+}
+
+// Creates the reverse shipment on Shiprocket (customer -> warehouse) and assigns
+// its AWB, which also books the pickup. Safe to call again after a failure.
+async function scheduleReversePickup(ret) {
+  const order = findOrder(ret.orderId);
+  const tenant = getTenant(ret.tenant);
+  const warehouse = tenant.shiprocket.returnAddress;
+  const customer = order.customer || {};
+
+  if (!warehouse) {
+    throw new Error(`Storefront tenant "${tenant.id}" has no shiprocket.returnAddress configured`);
+  }
+
+  if (!ret.shipmentId) {
+    const lines = ret.items.map(item => ({ sku: item.sku, quantity: item.quantity }));
+    const result = await shiprocket.post("/orders/create/return", {
+      order_id: ret.shiprocketReference,
+      order_date: new Date().toISOString().slice(0, 16).replace("T", " "),
+      pickup_customer_name: customer.firstName,
+      pickup_last_name: customer.lastName || "",
+      pickup_address: customer.address,
+      pickup_address_2: customer.apartment || "",
+      pickup_city: customer.city,
+      pickup_state: customer.state,
+      pickup_country: customer.country || "India",
+      pickup_pincode: customer.zip,
+      pickup_email: customer.email,
+      pickup_phone: customer.phone,
+      shipping_customer_name: warehouse.name,
+      shipping_address: warehouse.address,
+      shipping_city: warehouse.city,
+      shipping_state: warehouse.state,
+      shipping_country: warehouse.country || "India",
+      shipping_pincode: warehouse.pincode,
+      shipping_email: warehouse.email || tenant.branding.supportEmail,
+      shipping_phone: warehouse.phone,
+      order_items: ret.items.map(item => ({
+        name: item.name,
+        sku: item.sku,
+        units: item.quantity,
+        selling_price: Math.round(item.amount / item.quantity * 100) / 100
+      })),
+      payment_method: "PREPAID",
+      sub_total: ret.items.reduce((sum, item) => sum + item.amount, 0),
+      ...packageDimensions(order.storefront, lines)
+    });
+
+    if (!result.ok) {
+      ret.pickupError = result.data;
+      saveCollection("returns");
+      return { ok: false, message: "Failed to create return order on Shiprocket", status: result.status, error: result.data };
+    }
+
+    ret.shiprocketOrderId = result.data.order_id;
+    ret.shipmentId = result.data.shipment_id;
+    saveCollection("returns");
+  }
+
+  if (!ret.awb) {
+    const result = await shiprocket.post("/courier/assign/awb", { shipment_id: ret.shipmentId, is_return: 1 });
+    const awb = result.data.response && result.data.response.data;
+
+    if (!result.ok || result.data.awb_assign_status !== 1) {
+      ret.pickupError = result.data;
+      saveCollection("returns");
+      return { ok: false, message: "Failed to assign AWB for return pickup", status: result.status, error: result.data };
+    }
+
+    ret.awb = String(awb.awb_code);
+    ret.courier = awb.courier_name;
+  }
+
+  delete ret.pickupError;
+  updateReturnStatus(ret, "pickup_scheduled", { awb: ret.awb });
+  return { ok: true };
+}
+
+// Opens an RTO record the first time tracking reports a shipment heading back
+function openRtoReturn(order, shipment) {
+  const existing = findReturnByAwb(shipment.awb);
+  if (existing) {
+    return existing;
+  }
+
+  const returns = loadCollection("returns");
+  const now = new Date().toISOString();
+  const ret = {
+    id: `ret_${crypto.randomBytes(8).toString("hex")}`,
+    type: "rto",
+    tenant: order.tenant,
+    orderId: order.id,
+    receipt: order.receipt,
+    status: "in_transit",
+    reason: `Return to origin: ${shipment.status}`,
+    items: ((order.cart && order.cart.lines) || []).map(line => ({
+      sku: line.sku,
+      name: line.name,
+      quantity: line.quantity,
+      amount: line.total / 100
+    })),
+    awb: shipment.awb,
+    courier: shipment.courier || null,
+    refund: null,
+    history: [{ status: "in_transit", at: now, trackingStatus: shipment.status }],
+    createdAt: now,
+    updatedAt: now
+  };
+  returns[ret.id] = ret;
+  saveCollection("returns");
+  console.log(`RTO detected for order ${order.receipt} (AWB ${shipment.awb})`);
+  return ret;
+}
+
+// Moves a return forward from a tracking status; never backwards
+async function applyReturnTracking(ret, trackingStatus) {
+  const status = normalizeReturnStatus(trackingStatus);
+  ret.trackingStatus = trackingStatus || ret.trackingStatus;
+
+  if (status === "cancelled" && RETURN_STATUS_ORDER.indexOf(ret.status) < RETURN_STATUS_ORDER.indexOf("received")) {
+    return updateReturnStatus(ret, "cancelled", { trackingStatus });
+  }
+  if (!status || !RETURN_STATUS_ORDER.includes(ret.status) ||
+      RETURN_STATUS_ORDER.indexOf(status) <= RETURN_STATUS_ORDER.indexOf(ret.status)) {
+    ret.updatedAt = new Date().toISOString();
+    saveCollection("returns");
+    return ret;
+  }
+
+  updateReturnStatus(ret, status, { trackingStatus });
+  if (status === "received") {
+    await settleReturn(ret);
+  }
+  return ret;
+}
+
+// Refunds a received return and emails the customer the outcome. A return left
+// in refund_failed can be settled again from POST /returns/:id/receive.
+async function settleReturn(ret) {
+  const order = findOrder(ret.orderId);
+  const tenant = getTenant(ret.tenant);
+  let payment = null;
+
+  try {
+    payment = order.paymentId ? await getRazorpay(tenant).payments.fetch(order.paymentId) : null;
+    ret.refund = computeReturnRefund(order, ret, payment);
+
+    if (ret.refund.onlineAmount > 0) {
+      const refund = await getRazorpay(tenant).payments.refund(payment.id, {
+        amount: Math.round(ret.refund.onlineAmount * 100),
+        notes: { reason: `${ret.type === "rto" ? "RTO" : "Return"} ${ret.id}` }
+      });
+      const customer = order.customer || {};
+      const record = recordRefund(refund, {
+        tenant: tenant.id,
+        orderId: order.id,
+        receipt: order.receipt,
+        returnId: ret.id,
+        reason: ret.type === "rto" ? "Order returned to origin" : `Return: ${ret.reason}`,
+        partial: refund.amount < payment.amount,
+        customerEmail: customer.email || payment.email || null,
+        customerName: customer.firstName || customer.name || null
+      });
+      ret.refund.refundId = record.id;
+      ret.refund.status = record.status;
+      if (record.status === "processed") {
+        await markRefundProcessed(refund, tenant);
+      }
+    }
+
+    const fullReturn = ret.type === "rto" ||
+      ret.items.reduce((sum, item) => sum + item.quantity, 0) === order.cart.lines.reduce((sum, line) => sum + line.quantity, 0);
+    try {
+      if (fullReturn) {
+        updateOrderStatus(order.id, "returned", { returnId: ret.id });
+      } else {
+        addOrderEvent(order.id, { event: "partial_return", returnId: ret.id });
+      }
+    } catch (error) {
+      console.error("Could not update order ledger for return:", error.message);
+    }
+
+    updateReturnStatus(ret, ret.refund.amount > 0 ? "refunded" : "closed", { refund: ret.refund.amount });
+  } catch (error) {
+    console.error(`Refund for return ${ret.id} failed:`, error);
+    ret.refund = { ...(ret.refund || {}), error: razorpayErrorMessage(error) };
+    updateReturnStatus(ret, "refund_failed", { error: ret.refund.error });
+  }
+
+  if (order.customer && order.customer.email && !ret.outcomeEmailSentAt) {
+    try {
+      sendReturnOutcomeEmail(ret, order);
+      if (ret.status !== "refund_failed") {
+        ret.outcomeEmailSentAt = new Date().toISOString();
+        saveCollection("returns");
+      }
+    } catch (error) {
+      console.error("Error queueing return outcome email:", error);
+    }
+  }
+  return ret;
+}
+
+// Tells the customer their return (or undelivered order) is back with us and what will be refunded
+function sendReturnOutcomeEmail(ret, order) {
+  const tenant = getTenant(ret.tenant);
+  const entry = queueTemplateEmail(tenant, "return-outcome", { ret, order }, {
+    to: (order.customer || {}).email,
+    cc: tenant.adminEmails.join(", ") // CC to admin email
+  });
+  console.log(`Return outcome email queued for ${ret.id}:`, entry.id);
+  return entry;
+}
+
+// Raise a return for a delivered order and book the reverse pickup
+app.post("/returns", requireAgent, idempotent, async (req, res) => {
+  try {
+    const { orderId, receipt, reason, items } = req.body;
+    const order = orderId ? findOrder(orderId) : receipt ? findOrderByReceipt(String(receipt)) : null;
+
+    if (!order) {
+      return res.status(404).json({ success: false, message: "Order not found" });
+    }
+    if (order.status !== "delivered") {
+      return res.status(400).json({ success: false, message: `Only delivered orders can be returned; this order is ${order.status}` });
+    }
+    if (!reason) {
+      return res.status(400).json({ success: false, message: "A return reason is required" });
+    }
+    if (!order.cart || !order.cart.lines) {
+      return res.status(400).json({ success: false, message: "Order has no line items on record" });
+    }
+
+    const open = findOpenReturn(order.id);
+    if (open) {
+      return res.status(409).json({ success: false, message: "A return is already open for this order", returnId: open.id });
+    }
+
+    // Omitting items returns the whole order
+    const requested = Array.isArray(items) && items.length > 0
+      ? items
+      : order.cart.lines.map(line => ({ sku: line.sku, quantity: line.quantity }));
+    const errors = [];
+    const returnItems = requested.map(item => {
+      const line = order.cart.lines.find(l => l.sku === item.sku);
+      const quantity = Number(item.quantity);
+
+      if (!line) {
+        errors.push(`${item.sku} is not part of this order`);
+        return null;
+      }
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity > line.quantity) {
+        errors.push(`Quantity for ${item.sku} must be between 1 and ${line.quantity}`);
+        return null;
+      }
+      return {
+        sku: line.sku,
+        name: line.name,
+        quantity,
+        amount: Math.round(line.total / line.quantity * quantity) / 100
+      };
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: "Invalid return items", errors });
+    }
+
+    const returns = loadCollection("returns");
+    const previous = Object.values(returns).filter(ret => ret.orderId === order.id).length;
+    const now = new Date().toISOString();
+    const ret = {
+      id: `ret_${crypto.randomBytes(8).toString("hex")}`,
+      type: "return",
+      tenant: order.tenant,
+      orderId: order.id,
+      receipt: order.receipt,
+      // Shiprocket needs an order id of its own for the reverse shipment
+      shiprocketReference: `${order.receipt}-R${previous + 1}`,
+      status: "requested",
+      reason,
+      items: returnItems,
+      refund: null,
+      history: [{ status: "requested", at: now, reason }],
+      createdAt: now,
+      updatedAt: now
+    };
+    returns[ret.id] = ret;
+    saveCollection("returns");
+    addOrderEvent(order.id, { event: "return_requested", returnId: ret.id });
+
+    const pickup = await scheduleReversePickup(ret);
+
+    res.status(pickup.ok ? 201 : 202).json({
+      success: pickup.ok,
+      message: pickup.ok ? "Return created and pickup scheduled" : `Return created but pickup failed: ${pickup.message}`,
+      return: ret,
+      ...(pickup.ok ? {} : { error: pickup.error })
+    });
+  } catch (error) {
+    console.error("Error creating return:", error);
+    res.status(500).json({ success: false, message: "Error creating return", error: error.message });
+  }
+});
+
+// List returns and RTOs (?status=&type=return|rto&orderId=)
+app.get("/returns", requireAdmin, (req, res) => {
+  try {
+    const { status, type, orderId } = req.query;
+    const returns = Object.values(loadCollection("returns"))
+      .filter(ret => !status || ret.status === status)
+      .filter(ret => !type || ret.type === type)
+      .filter(ret => !orderId || ret.orderId === orderId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    res.status(200).json({ success: true, count: returns.length, returns });
+  } catch (error) {
+    console.error("Error listing returns:", error);
+    res.status(500).json({ success: false, message: "Error listing returns", error: error.message });
+  }
+});
+
+app.get("/returns/:id", requireAdmin, (req, res) => {
+  const ret = loadCollection("returns")[req.params.id];
+
+  if (!ret) {
+    return res.status(404).json({ success: false, message: "Return not found" });
+  }
+  res.status(200).json({ success: true, return: ret });
+});
+
+// Retry the reverse pickup after a Shiprocket failure
+app.post("/returns/:id/pickup", requireAdmin, async (req, res) => {
+  const ret = loadCollection("returns")[req.params.id];
+
+  if (!ret) {
+    return res.status(404).json({ success: false, message: "Return not found" });
+  }
+  if (ret.type !== "return" || ret.status !== "requested") {
+    return res.status(409).json({ success: false, message: `Pickup cannot be scheduled for a ${ret.type} that is ${ret.status}` });
+  }
+
+  try {
+    const pickup = await scheduleReversePickup(ret);
+
+    if (!pickup.ok) {
+      return res.status(pickup.status >= 400 ? pickup.status : 502).json({ success: false, message: pickup.message, error: pickup.error });
+    }
+    res.status(200).json({ success: true, message: "Pickup scheduled", return: ret });
+  } catch (error) {
+    console.error("Error scheduling return pickup:", error);
+    res.status(500).json({ success: false, message: "Error scheduling return pickup", error: error.message });
+  }
+});
+
+// Pull the latest tracking for a return from Shiprocket (the webhook normally does this)
+app.post("/returns/:id/sync", requireAdmin, async (req, res) => {
+  const ret = loadCollection("returns")[req.params.id];
+
+  if (!ret) {
+    return res.status(404).json({ success: false, message: "Return not found" });
+  }
+  if (!ret.awb) {
+    return res.status(409).json({ success: false, message: "Return has no AWB to track yet" });
+  }
+
+  try {
+    const result = await shiprocket.get(`/courier/track/awb/${encodeURIComponent(ret.awb)}`);
+    const tracking = result.data.tracking_data || {};
+    const latest = (tracking.shipment_track && tracking.shipment_track[0]) || {};
+
+    if (!result.ok) {
+      return res.status(result.status).json({ success: false, message: "Failed to fetch tracking", error: result.data });
+    }
+
+    await applyReturnTracking(ret, latest.current_status);
+    res.status(200).json({ success: true, return: ret });
+  } catch (error) {
+    console.error("Error syncing return tracking:", error);
+    res.status(500).json({ success: false, message: "Error syncing return", error: error.message });
+  }
+});
+
+// Mark a return as received at the warehouse (or retry a failed refund) and settle it
+app.post("/returns/:id/receive", requireAdmin, async (req, res) => {
+  const ret = loadCollection("returns")[req.params.id];
+
+  if (!ret) {
+    return res.status(404).json({ success: false, message: "Return not found" });
+  }
+  if (["refunded", "closed", "cancelled"].includes(ret.status)) {
+    return res.status(409).json({ success: false, message: `Return is already ${ret.status}`, return: ret });
+  }
+
+  try {
+    const { note } = req.body || {};
+    updateReturnStatus(ret, "received", note ? { note } : {});
+    await settleReturn(ret);
+
+    res.status(ret.status === "refund_failed" ? 502 : 200).json({
+      success: ret.status !== "refund_failed",
+      message: ret.status === "refund_failed" ? "Return received but the refund failed" : "Return settled",
+      return: ret
+    });
+  } catch (error) {
+    console.error("Error receiving return:", error);
+    res.status(500).json({ success: false, message: "Error receiving return", error: error.message });
+  }
+});
+
+// Payment Links
+// Agent-assisted orders are paid through Razorpay Payment Links. Links are kept
+// in the "payment-links" collection and updated from the payment_link.* webhooks.
+const PAYMENT_LINK_REMINDER_HOURS = Number(process.env.PAYMENT_LINK_REMINDER_HOURS || 6);
+
+function recordPaymentLink(link, details = {}) {
+  const links = loadCollection("payment-links");
+  const existing = links[link.id] || {};
+
+  links[link.id] = {
+    ...existing,
+    id: link.id,
+    shortUrl: link.short_url,
+    amount: link.amount / 100,
+    amountPaid: (link.amount_paid || 0) / 100,
+    currency: link.currency,
+    status: link.status,
+    referenceId: link.reference_id,
+    orderId: link.order_id || existing.orderId || null,
+    expireBy: link.expire_by ? new Date(link.expire_by * 1000).toISOString() : null,
+    createdAt: existing.createdAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    ...details
+  };
+  saveCollection("payment-links");
+  return links[link.id];
+}
+
+// Emails the payment link to the customer ("created") or nudges them before it expires ("reminder")
+function sendPaymentLinkEmail(link, stage) {
+  const tenant = getTenant(link.tenant);
+  const entry = queueTemplateEmail(tenant, "payment-link", { link, stage }, {
+    to: link.customerEmail,
+    cc: tenant.adminEmails.join(", ") // CC to admin email
+  });
+  console.log(`Payment link ${stage} email queued for ${link.id}:`, entry.id);
+  return entry;
+}
+
+// Sends one reminder for every unpaid link that expires within the reminder window
+async function sendPaymentLinkReminders() {
+  const links = loadCollection("payment-links");
+  const cutoff = Date.now() + PAYMENT_LINK_REMINDER_HOURS * 60 * 60 * 1000;
+
+  for (const link of Object.values(links)) {
+    const expiresAt = link.expireBy ? new Date(link.expireBy).getTime() : null;
+
+    if (!["created", "partially_paid"].includes(link.status) || link.reminderSentAt ||
+        !link.customerEmail || !expiresAt || expiresAt > cutoff || expiresAt < Date.now()) {
+      continue;
+    }
+
+    try {
+      sendPaymentLinkEmail(link, "reminder");
+      link.reminderSentAt = new Date().toISOString();
+      saveCollection("payment-links");
+    } catch (error) {
+      console.error(`Error queueing payment link reminder for ${link.id}:`, error);
+    }
+  }
+}
+
+setInterval(sendPaymentLinkReminders, 15 * 60 * 1000);
+
+// Agents work from their own app, so the Origin doesn't say which storefront is selling.
+// A tenant's storefront is its id; agents on the default tenant name the storefront.
+function agentStorefront(req) {
+  if (req.tenant !== defaultTenant) {
+    return req.tenant.id;
+  }
+  return String((req.body || {}).storefront || "").trim().toLowerCase();
+}
+
+// A paid link becomes a paid order on the ledger (keyed by the Razorpay order the
+// payment was taken against) and the customer gets a receipt, copied to the admins
+function recordPaidPaymentLink(link, payment) {
+  const orderId = (payment && payment.order_id) || link.orderId;
+
+  if (orderId && !findOrder(orderId)) {
+    recordOrder({ id: orderId, receipt: link.referenceId, amount: Math.round(link.amount * 100), currency: link.currency }, {
+      tenant: link.tenant,
+      storefront: link.storefront,
+      customer: { firstName: link.customerName, email: link.customerEmail, phone: link.customerPhone },
+      cart: link.cart
+    });
+  }
+
+  let order = null;
+  if (orderId) {
+    order = markOrderPaid(orderId, { paymentId: payment ? payment.id : null, paymentLinkId: link.id });
+    link.orderId = orderId;
+  }
+
+  if (link.customerEmail && !link.paidEmailSentAt) {
+    sendPaymentLinkEmail(link, "paid");
+    link.paidEmailSentAt = new Date().toISOString();
+  }
+  saveCollection("payment-links");
+  return order;
+}
+
+// Create a Payment Link for an agent-assisted order
+app.post("/payment-links", requireAgent, idempotent, async (req, res) => {
+  try {
+    const { amount, items, customer, description, agentReference, expiresInHours, sendEmail } = req.body;
+    const errors = [];
+
+    if (!agentReference) {
+      errors.push("agentReference is required");
+    }
+    if (!customer || !customer.name || (!customer.email && !customer.phone)) {
+      errors.push("customer.name and customer.email or customer.phone are required");
+    }
+
+    // Price from the catalog when items are given, otherwise take the agent's quoted amount
+    const storefront = agentStorefront(req);
+    let total = Math.round(Number(amount) * 100);
+    let cart = null;
+    if (items) {
+      const pricing = storefront ? priceLineItems(storefront, items) : { errors: ["storefront is required to price items"] };
+      if (pricing.errors) {
+        errors.push(...pricing.errors);
+      } else {
+        total = pricing.total;
+        cart = pricing;
+      }
+    } else if (!(total >= 100)) {
+      errors.push("amount must be at least 1");
+    }
+
+    if (errors.length > 0) {
       return res.status(400).json({
         success: false,
-        message: "Failed to verify subscription",
-        error: data.error
+        message: "Invalid payment link request",
+        errors
       });
     }
-    
-    // Check if the user is subscribed to the specified channel
-    const isSubscribed = data.items && data.items.some(
-      item => item.snippet.resourceId.channelId === channelId
-    );
-    
+
+    // Razorpay requires expiry to be at least 15 minutes out; default to 2 days
+    const hours = Math.max(Number(expiresInHours) || 48, 0.25);
+    const link = await getRazorpay(req.tenant).paymentLink.create({
+      amount: total,
+      currency: "INR",
+      description: description || `Order ${agentReference}`,
+      reference_id: `${String(agentReference).slice(0, 26)}-${Date.now()}`, // Razorpay caps this at 40 chars
+      expire_by: Math.floor(Date.now() / 1000 + hours * 60 * 60),
+      customer: {
+        name: customer.name,
+        email: customer.email,
+        contact: customer.phone
+      },
+      notify: { sms: Boolean(customer.phone), email: false },
+      notes: { agent_reference: agentReference, storefront }
+    });
+
+    const record = recordPaymentLink(link, {
+      tenant: req.tenant.id,
+      storefront: storefront || null,
+      cart,
+      agentReference,
+      description: description || `Order ${agentReference}`,
+      customerName: customer.name,
+      customerEmail: customer.email || null,
+      customerPhone: customer.phone || null
+    });
+
+    let emailSent = false;
+    let emailId = null;
+    if (record.customerEmail && sendEmail !== false) {
+      try {
+        emailId = sendPaymentLinkEmail(record, "created").id;
+        emailSent = true;
+      } catch (error) {
+        console.error("Error queueing payment link email:", error);
+      }
+    }
+
     res.status(200).json({
       success: true,
-      isSubscribed,
-      message: isSubscribed 
-        ? "Subscription verified! 10% discount applied." 
-        : "Not subscribed to the channel."
+      message: "Payment link created successfully",
+      paymentLink: record,
+      emailSent,
+      emailId
     });
   } catch (error) {
-    console.error("YouTube subscription verification error:", error);
-    res.status(500).json({
+    console.error("Payment link creation failed:", error);
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: "Failed to verify YouTube subscription",
-      error: error.message
+      message: "Failed to create payment link",
+      error: razorpayErrorMessage(error)
+    });
+  }
+});
+
+// List payment links (optionally by status or agent reference)
+app.get("/payment-links", requireAgent, (req, res) => {
+  const { status, agentReference } = req.query;
+  const links = Object.values(loadCollection("payment-links"))
+    .filter(link => (!status || link.status === status) && (!agentReference || link.agentReference === agentReference))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  res.status(200).json({
+    success: true,
+    count: links.length,
+    paymentLinks: links
+  });
+});
+
+// Get a payment link (refreshed from Razorpay)
+app.get("/payment-links/:id", requireAgent, async (req, res) => {
+  try {
+    const stored = loadCollection("payment-links")[req.params.id];
+    const link = await getRazorpay(stored ? getTenant(stored.tenant) : req.tenant).paymentLink.fetch(req.params.id);
+    const record = recordPaymentLink(link);
+
+    res.status(200).json({
+      success: true,
+      paymentLink: record
+    });
+  } catch (error) {
+    console.error("Payment link lookup failed:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: "Failed to fetch payment link",
+      error: razorpayErrorMessage(error)
     });
   }
 });
 
-// Email Sending Route
-app.post("/send-email", async (req, res) => {
-  const { to, subject, message } = req.body;
+// Abandoned Cart Reminders
+// Orders created through /create-order that are still unpaid after the first step
+// of the storefront's sequence get a series of reminder emails, e.g. after 1h, 24h
+// and 72h. Steps are minutes after the order was created, set per storefront in
+// catalog.json ("abandonedCart": { "steps": [...], "checkoutUrl": "..." }) or for
+// every storefront with ABANDONED_CART_STEPS. A sequence stops as soon as the order
+// is paid or cancelled, or the customer unsubscribes. Each email links to
+// /checkout/resume/<token>, which counts the click and sends the customer back to
+// the storefront checkout, and to /unsubscribe/<token>. Progress is kept in the
+// "abandoned-carts" collection (one entry per order) and opt-outs in "email-unsubscribes".
+const ABANDONED_CART_STEPS = (process.env.ABANDONED_CART_STEPS || "")
+  .split(",").map(Number).filter(minutes => minutes > 0);
+// A sequence whose last step is this overdue (e.g. after downtime) is dropped instead of sent late
+const ABANDONED_CART_GRACE_MINUTES = 24 * 60;
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`).replace(/\/+$/, "");
+
+function abandonedCartPolicy(storefront) {
+  const config = (catalog[storefront] && catalog[storefront].abandonedCart) || {};
+  const steps = (Array.isArray(config.steps) ? config.steps.map(Number).filter(minutes => minutes > 0) : ABANDONED_CART_STEPS)
+    .sort((a, b) => a - b);
+
+  return {
+    enabled: config.enabled !== false && steps.length > 0,
+    steps,
+    checkoutUrl: config.checkoutUrl || `https://${storefront}/`
+  };
+}
+
+function unsubscribeKey(tenantId, email) {
+  return `${tenantId}:${String(email).trim().toLowerCase()}`;
+}
+
+function isUnsubscribed(tenantId, email) {
+  return Boolean(email && loadCollection("email-unsubscribes")[unsubscribeKey(tenantId, email)]);
+}
+
+function findAbandonedCartByToken(token) {
+  return Object.values(loadCollection("abandoned-carts")).find(cart => safeCompare(cart.token, token)) || null;
+}
+
+function updateAbandonedCart(cart, status, details = {}) {
+  Object.assign(cart, { status, ...details, updatedAt: new Date().toISOString() });
+  saveCollection("abandoned-carts");
+  return cart;
+}
+
+// Queues the given step (1-based) for an order and records it on the cart
+function sendAbandonedCartReminder(cart, order, step) {
+  const tenant = getTenant(order.tenant);
+  const unsubscribeUrl = `${PUBLIC_BASE_URL}/unsubscribe/${cart.token}`;
+  const entry = queueTemplateEmail(tenant, "abandoned-cart", {
+    order,
+    step,
+    totalSteps: cart.steps.length,
+    resumeUrl: `${PUBLIC_BASE_URL}/checkout/resume/${cart.token}`,
+    unsubscribeUrl
+  }, {
+    to: cart.email,
+    headers: { "List-Unsubscribe": `<${unsubscribeUrl}>`, "List-Unsubscribe-Post": "List-Unsubscribe=One-Click" }
+  });
+
+  cart.reminders.push({ step, emailId: entry.id, sentAt: new Date().toISOString() });
+  updateAbandonedCart(cart, step === cart.steps.length ? "completed" : "active");
+  console.log(`Abandoned cart reminder ${step}/${cart.steps.length} queued for order ${order.receipt}:`, entry.id);
+  return entry;
+}
+
+// Sends the latest due step for every unpaid order; steps missed while the server
+// was down are skipped rather than sent back to back
+async function sendAbandonedCartReminders() {
+  const carts = loadCollection("abandoned-carts");
+  const now = Date.now();
+
+  for (const order of Object.values(loadCollection("orders"))) {
+    const cart = carts[order.id];
+    const email = order.customer && order.customer.email;
+
+    if (cart && cart.status !== "active") {
+      continue;
+    }
+    if (order.status !== "created") {
+      if (cart) {
+        updateAbandonedCart(cart, order.status === "cancelled" ? "cancelled" : "converted");
+      }
+      continue;
+    }
+
+    const policy = cart ? { enabled: true, steps: cart.steps } : abandonedCartPolicy(order.storefront);
+    const ageMinutes = (now - new Date(order.createdAt).getTime()) / 60000;
+    const lastStep = policy.steps[policy.steps.length - 1];
+
+    if (!email || !policy.enabled || ageMinutes < policy.steps[0]) {
+      continue;
+    }
+    if (ageMinutes > lastStep + ABANDONED_CART_GRACE_MINUTES) {
+      if (cart) {
+        updateAbandonedCart(cart, "completed");
+      }
+      continue;
+    }
+
+    const due = policy.steps.filter(minutes => ageMinutes >= minutes).length;
+    if (cart && cart.reminders.some(reminder => reminder.step >= due)) {
+      continue;
+    }
+
+    try {
+      const record = cart || (carts[order.id] = {
+        id: order.id,
+        tenant: order.tenant,
+        storefront: order.storefront,
+        receipt: order.receipt,
+        email,
+        token: crypto.randomBytes(16).toString("hex"),
+        steps: policy.steps,
+        reminders: [],
+        clicks: 0,
+        status: "active",
+        orderCreatedAt: order.createdAt,
+        createdAt: new Date().toISOString()
+      });
+
+      if (isUnsubscribed(order.tenant, email)) {
+        updateAbandonedCart(record, "unsubscribed");
+        continue;
+      }
+      sendAbandonedCartReminder(record, order, due);
+    } catch (error) {
+      console.error(`Error sending abandoned cart reminder for order ${order.id}:`, error);
+    }
+  }
+}
+
+setInterval(sendAbandonedCartReminders, 5 * 60 * 1000);
+
+if (!process.env.PUBLIC_BASE_URL && (ABANDONED_CART_STEPS.length > 0 || Object.keys(catalog).some(storefront => abandonedCartPolicy(storefront).enabled))) {
+  console.error(`PUBLIC_BASE_URL is not set; cart reminder links will point at ${PUBLIC_BASE_URL}`);
+}
+
+// Called when an order is paid; it counts as recovered if a reminder went out first
+function recordAbandonedCartConversion(order) {
+  const cart = loadCollection("abandoned-carts")[order.id];
+
+  if (!cart || cart.convertedAt || cart.reminders.length === 0) {
+    return null;
+  }
+
+  return updateAbandonedCart(cart, "converted", {
+    convertedAt: new Date().toISOString(),
+    convertedAfterStep: cart.reminders[cart.reminders.length - 1].step,
+    recoveredAmount: order.totalAmount || order.amount
+  });
+}
+
+// Resume checkout: counts the click and redirects to the storefront with the
+// Razorpay order id and cart so it can reopen the payment
+app.get("/checkout/resume/:token", (req, res) => {
+  const cart = findAbandonedCartByToken(req.params.token);
+  const order = cart ? findOrder(cart.id) : null;
+
+  if (!cart || !order) {
+    return res.status(404).json({ success: false, message: "Checkout link not found" });
+  }
+
+  cart.clicks += 1;
+  cart.lastClickedAt = new Date().toISOString();
+  saveCollection("abandoned-carts");
+
+  const url = new URL(abandonedCartPolicy(cart.storefront).checkoutUrl);
+  if (order.status === "created") {
+    url.searchParams.set("order_id", order.id);
+    url.searchParams.set("receipt", order.receipt);
+    url.searchParams.set("items", ((order.cart && order.cart.lines) || []).map(line => `${line.sku}:${line.quantity}`).join(","));
+  }
+  res.redirect(302, url.toString());
+});
+
+// Unsubscribe. GET shows a confirmation button (so link scanners can't opt people
+// out); POST, also used by mail clients' one-click List-Unsubscribe, records it.
+function unsubscribePage(tenant, message, form) {
+  const branding = resolveBranding(tenant);
+  const name = escapeHtml(branding.name);
+  return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"><title>${name}</title></head>
+<body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f8f9fa; text-align: center; padding: 60px 20px;">
+    <h2 style="color: ${branding.primaryColor};">${name}</h2>
+    <p style="color: #5a6c7d; font-size: 16px;">${escapeHtml(message)}</p>
+    ${form ? `<form method="POST"><button type="submit" style="background: ${branding.primaryColor}; color: white; border: 0; padding: 12px 30px; border-radius: 25px; font-size: 16px; cursor: pointer;">Unsubscribe</button></form>` : ""}
+</body>
+</html>`;
+}
 
-  const mailOptions = {
-    from: process.env.EMAIL_USER,
-    to,
-    subject,
-    text: message,
-  };
+app.get("/unsubscribe/:token", (req, res) => {
+  const cart = findAbandonedCartByToken(req.params.token);
 
-  try {
-    await transporter.sendMail(mailOptions);
-    res.status(200).json({ success: true, message: "Email sent successfully!" });
-  } catch (error) {
-    res.status(500).json({ success: false, message: "Email sending failed!", error });
+  if (!cart) {
+    return res.status(404).type("html").send(unsubscribePage(defaultTenant, "This unsubscribe link is not valid.", false));
   }
+
+  const tenant = getTenant(cart.tenant);
+  if (isUnsubscribed(cart.tenant, cart.email)) {
+    return res.status(200).type("html").send(unsubscribePage(tenant, `${cart.email} is already unsubscribed from cart reminders.`, false));
+  }
+  res.status(200).type("html").send(unsubscribePage(tenant, `Stop sending cart reminder emails to ${cart.email}?`, true));
 });
 
-// Order Confirmation Email Route
-app.post("/send-order-confirmation", async (req, res) => {
-  const { customerEmail, orderDetails, customerDetails } = req.body;
-  
-  // Log the incoming request data
-  console.log("Received order confirmation request:", { 
-    customerEmail, 
-    orderDetails: JSON.stringify(orderDetails),
-    customerDetails: JSON.stringify(customerDetails) 
-  });
-  
-  if (!customerEmail) {
-    return res.status(400).json({
-      success: false,
-      message: "Customer email is required"
-    });
+app.post("/unsubscribe/:token", (req, res) => {
+  const cart = findAbandonedCartByToken(req.params.token);
+
+  if (!cart) {
+    return res.status(404).type("html").send(unsubscribePage(defaultTenant, "This unsubscribe link is not valid.", false));
   }
-  
-  // Format the email content
-  const emailSubject = `Order Confirmation #${orderDetails.orderNumber}`;
-  
-  // Check if orderDetails.products is an array for multiple products
-  const hasMultipleProducts = Array.isArray(orderDetails.products) && orderDetails.products.length > 0;
-  
-  // Generate product table content
-  let productsContent = '';
-  
-  if (hasMultipleProducts) {
-    // Create a table for multiple products
-    productsContent = `Products:
-  +${'-'.repeat(40)}+${'-'.repeat(10)}+${'-'.repeat(15)}+
-  | Product Name                            | Quantity | Price        |
-  +${'-'.repeat(40)}+${'-'.repeat(10)}+${'-'.repeat(15)}+
-  `;
-
-    // Add each product as a row in the table
-    orderDetails.products.forEach(product => {
-      const name = (product.name || '').padEnd(40).substring(0, 40);
-      const quantity = (product.quantity?.toString() || '').padEnd(10).substring(0, 10);
-      const price = ((orderDetails.currency || '₹') + ' ' + (product.price || '')).padEnd(15).substring(0, 15);
-      
-      productsContent += `| ${name} | ${quantity} | ${price} |
-  `;
-    });
-    
-    productsContent += `+${'-'.repeat(40)}+${'-'.repeat(10)}+${'-'.repeat(15)}+`;
-  } else {
-    // Single product format
-    productsContent = `Product: ${orderDetails.productName || 'N/A'}
-  Quantity: ${orderDetails.quantity || '1'}`;
+
+  const unsubscribes = loadCollection("email-unsubscribes");
+  const key = unsubscribeKey(cart.tenant, cart.email);
+  if (!unsubscribes[key]) {
+    unsubscribes[key] = { tenant: cart.tenant, email: cart.email, source: cart.id, unsubscribedAt: new Date().toISOString() };
+    saveCollection("email-unsubscribes");
   }
-  
-  // Add HTML version of the email
-  const htmlContent = `
-    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-      <h2>Order Confirmation</h2>
-      <p>Dear ${customerDetails.firstName} ${customerDetails.lastName},</p>
-      
-      <p>Thank you for your order! We're pleased to confirm that your order has been successfully placed.</p>
-      
-      <h3>Order Details:</h3>
-      <p><strong>Order Number:</strong> ${orderDetails.orderNumber}</p>
-      
-      ${hasMultipleProducts ? 
-        `<table style="width: 100%; border-collapse: collapse; margin-bottom: 20px;">
-          <tr style="background-color: #f2f2f2;">
-            <th style="text-align: left; padding: 8px; border: 1px solid #ddd;">Product Name</th>
-            <th style="text-align: center; padding: 8px; border: 1px solid #ddd;">Quantity</th>
-            <th style="text-align: right; padding: 8px; border: 1px solid #ddd;">Price</th>
-          </tr>
-          ${orderDetails.products.map(product => 
-            `<tr>
-              <td style="padding: 8px; border: 1px solid #ddd;">${product.name || ''}</td>
-              <td style="text-align: center; padding: 8px; border: 1px solid #ddd;">${product.quantity || ''}</td>
-              <td style="text-align: right; padding: 8px; border: 1px solid #ddd;">${orderDetails.currency || '₹'} ${product.price || ''}</td>
-            </tr>`
-          ).join('')}
-        </table>` 
-        : 
-        `<p><strong>Product:</strong> ${orderDetails.productName || 'N/A'}<br>
-        <strong>Quantity:</strong> ${orderDetails.quantity || '1'}</p>`
+
+  // Stop every running sequence for this address, not just the one that was clicked
+  Object.values(loadCollection("abandoned-carts"))
+    .filter(other => other.status === "active" && unsubscribeKey(other.tenant, other.email) === key)
+    .forEach(other => updateAbandonedCart(other, "unsubscribed"));
+
+  console.log(`${cart.email} unsubscribed from cart reminders for ${cart.tenant}`);
+  res.status(200).type("html").send(unsubscribePage(getTenant(cart.tenant), `${cart.email} has been unsubscribed from cart reminders.`, false));
+});
+
+// List reminder sequences (?status=active|completed|converted|unsubscribed|cancelled&storefront=)
+app.get("/abandoned-carts", requireAdmin, (req, res) => {
+  const carts = Object.values(loadCollection("abandoned-carts"))
+    .filter(cart =>
+      (!req.query.status || cart.status === req.query.status) &&
+      (!req.query.storefront || cart.storefront === req.query.storefront))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(({ token, ...cart }) => cart);
+
+  res.status(200).json({ success: true, count: carts.length, carts });
+});
+
+// Sends and conversions per storefront for sequences started between from and to (YYYY-MM-DD, inclusive)
+app.get("/abandoned-carts/stats", requireAdmin, (req, res) => {
+  const { from, to } = req.query;
+  const stats = {};
+
+  Object.values(loadCollection("abandoned-carts"))
+    .filter(cart =>
+      (!from || cart.createdAt.slice(0, 10) >= from) &&
+      (!to || cart.createdAt.slice(0, 10) <= to) &&
+      (!req.query.storefront || cart.storefront === req.query.storefront))
+    .forEach(cart => {
+      const entry = stats[cart.storefront] = stats[cart.storefront] || {
+        carts: 0, emailsSent: 0, sentByStep: {}, clicks: 0, conversions: 0, convertedByStep: {}, recoveredAmount: 0, unsubscribed: 0
+      };
+
+      entry.carts += 1;
+      entry.emailsSent += cart.reminders.length;
+      cart.reminders.forEach(({ step }) => {
+        entry.sentByStep[step] = (entry.sentByStep[step] || 0) + 1;
+      });
+      entry.clicks += cart.clicks;
+      if (cart.convertedAt) {
+        entry.conversions += 1;
+        entry.convertedByStep[cart.convertedAfterStep] = (entry.convertedByStep[cart.convertedAfterStep] || 0) + 1;
+        entry.recoveredAmount += cart.recoveredAmount || 0;
       }
-      
-      <p><strong>Total Amount:</strong> ${orderDetails.currency || '₹'} ${orderDetails.totalAmount}<br>
-      <strong>Payment Method:</strong> ${orderDetails.paymentMethod}<br>
-      <strong>Payment ID:</strong> ${orderDetails.paymentId || 'N/A'}</p>
-      
-      <h3>Customer Details:</h3>
-      <p>
-        <strong>Name:</strong> ${customerDetails.firstName} ${customerDetails.lastName}<br>
-        <strong>Email:</strong> ${customerEmail}<br>
-        <strong>Phone:</strong> ${customerDetails.phone || 'Not provided'}
-      </p>
-      
-      <h3>Shipping Address:</h3>
-      <p>
-        ${customerDetails.address || ''}<br>
-        ${customerDetails.apartment ? customerDetails.apartment + '<br>' : ''}
-        ${customerDetails.city || ''}${customerDetails.city && customerDetails.state ? ', ' : ''}${customerDetails.state || ''}${(customerDetails.city || customerDetails.state) && customerDetails.zip ? ' - ' : ''}${customerDetails.zip || ''}<br>
-        ${customerDetails.country || ''}
-      </p>
-      
-      <p>We will process your order shortly. You will receive another email once your order ships.</p>
-      
-      <p>If you have any questions, please contact our customer service.</p>
-      
-      <p>Thank you for shopping with us!</p>
-      <p>Best regards,<br></p>
-    </div>
-  `;
-  
-  const mailOptions = {
-    from: process.env.EMAIL_USER,
-    to: customerEmail,
-    cc: process.env.EMAIL_USER, // CC to admin email
-    subject: emailSubject,
-    html: htmlContent // Add HTML version for better formatting
-  };
+      if (cart.status === "unsubscribed") {
+        entry.unsubscribed += 1;
+      }
+    });
 
-  try {
-    console.log("Attempting to send email to:", customerEmail);
-    const info = await transporter.sendMail(mailOptions);
-    console.log("Email sent successfully:", info.messageId);
-    res.status(200).json({ success: true, message: "Confirmation email sent successfully!" });
-  } catch (error) {
-    console.error("Error sending confirmation email:", error);
-    res.status(500).json({ success: false, message: "Failed to send confirmation email", error: error.message });
-  }
+  Object.values(stats).forEach(entry => {
+    entry.conversionRate = entry.carts ? Math.round(entry.conversions / entry.carts * 1000) / 10 : 0;
+    entry.recoveredAmount = Math.round(entry.recoveredAmount * 100) / 100;
   });
 
-// Abandoned Order Follow-up Email Route
+  res.status(200).json({ success: true, from: from || null, to: to || null, storefronts: stats });
+});
 
-app.post("/send-abandoned-order-email", async (req, res) => {
-  const { customerEmail, orderDetails, customerDetails } = req.body;
-  
-  console.log("Received abandoned order follow-up request:", { 
-    customerEmail, 
-    orderDetails: JSON.stringify(orderDetails),
-    customerDetails: JSON.stringify(customerDetails) 
-  });
-  
-  if (!customerEmail) {
-    return res.status(400).json({
-      success: false,
-      message: "Customer email is required"
-    });
+// Payment Reconciliation
+// Compares our order ledger with Razorpay payments and settlements for a date
+// range (IST calendar days) and flags anything finance should look at.
+const RECONCILIATION_FLAGS = {
+  captured_unfulfilled: "Payment captured but the order has not shipped",
+  paid_unknown: "Payment captured for an order we have no record of",
+  refunded: "Payment has been fully or partially refunded",
+  amount_mismatch: "Captured amount differs from the order amount",
+  unsettled: "Captured payment has not been settled yet"
+};
+const SETTLEMENT_GRACE_DAYS = Number(process.env.SETTLEMENT_GRACE_DAYS || 3);
+
+// Pages through a Razorpay list endpoint (max 100 items per call)
+async function fetchAllPages(fetchPage) {
+  const items = [];
+  for (let skip = 0; ; skip += 100) {
+    const page = await fetchPage({ count: 100, skip });
+    items.push(...page.items);
+    if (page.items.length < 100) {
+      return items;
+    }
   }
-  
-  // Format the email content
-  const emailSubject = `We noticed you didn't complete your order #${orderDetails.orderNumber}`;
-  
-  // Check if orderDetails.products is an array for multiple products
-  const hasMultipleProducts = Array.isArray(orderDetails.products) && orderDetails.products.length > 0;
-  
-  // Generate product table content
-  let productsContent = '';
-  
-  if (hasMultipleProducts) {
-    // Create a table for multiple products
-    productsContent = `Products:
-  +${'-'.repeat(40)}+${'-'.repeat(10)}+${'-'.repeat(15)}+
-  | Product Name                            | Quantity | Price        |
-  +${'-'.repeat(40)}+${'-'.repeat(10)}+${'-'.repeat(15)}+
-  `;
-
-    // Add each product as a row in the table
-    orderDetails.products.forEach(product => {
-      const name = (product.name || '').padEnd(40).substring(0, 40);
-      const quantity = (product.quantity?.toString() || '').padEnd(10).substring(0, 10);
-      const price = ((orderDetails.currency || '₹') + ' ' + (product.price || '')).padEnd(15).substring(0, 15);
-      
-      productsContent += `| ${name} | ${quantity} | ${price} |
-  `;
+}
+
+async function runReconciliation(tenant, from, to) {
+  const client = getRazorpay(tenant);
+  const fromTime = Date.parse(`${from}T00:00:00+05:30`) / 1000;
+  const toTime = Date.parse(`${to}T23:59:59+05:30`) / 1000;
+
+  const payments = await fetchAllPages(page => client.payments.all({ from: fromTime, to: toTime, ...page }));
+
+  // Settlement recon is per day; collect which payments have been settled
+  const settled = {};
+  let settlementTotal = 0;
+  for (let day = new Date(`${from}T00:00:00Z`); day <= new Date(`${to}T00:00:00Z`); day.setUTCDate(day.getUTCDate() + 1)) {
+    const entries = await fetchAllPages(page => client.settlements.reports({
+      year: day.getUTCFullYear(),
+      month: day.getUTCMonth() + 1,
+      day: day.getUTCDate(),
+      ...page
+    }));
+    entries.forEach(entry => {
+      if (entry.type === "payment" && entry.settled && !settled[entry.entity_id]) {
+        settled[entry.entity_id] = entry.settlement_id;
+        settlementTotal += entry.amount;
+      }
     });
-    
-    productsContent += `+${'-'.repeat(40)}+${'-'.repeat(10)}+${'-'.repeat(15)}+`;
-  } else {
-    // Single product format
-    productsContent = `Product: ${orderDetails.productName || 'N/A'}
-  Quantity: ${orderDetails.quantity || '1'}`;
   }
-  
-  // Enhanced email template with better formatting for customer details
-  const emailContent = `
-    Dear ${customerDetails.firstName} ${customerDetails.lastName},
-    
-    We noticed that you recently started an order on our website but didn't complete the checkout process.
-    
-    Customer Details:
-    - Name: ${customerDetails.firstName} ${customerDetails.lastName}
-    - Email: ${customerDetails.email}
-    - Phone: ${customerDetails.phone || 'Not provided'}
-    
-    Address Information:
-    ${customerDetails.address || 'Address not provided'}
-    ${customerDetails.apartment ? customerDetails.apartment + '\n' : ''}
-    ${customerDetails.city || ''}${customerDetails.city && customerDetails.state ? ', ' : ''}${customerDetails.state || ''}${(customerDetails.city || customerDetails.state) && customerDetails.zip ? ' - ' : ''}${customerDetails.zip || ''}
-    ${customerDetails.country || ''}
-    
-    Order Details:
-    - Order ID: ${orderDetails.orderNumber}
-    ${productsContent}
-    - Total Amount: ${orderDetails.currency || '₹'} ${orderDetails.totalAmount}
-    
-    We'd love to know if you experienced any issues during checkout or if you have any questions about our product.
-    You can simply reply to this email, and we'll be happy to assist you.
-    
-    If you'd like to complete your purchase, you can return to our website and try again.
-    
-    Thank you for considering our products!
-    Best regards,
-    
-  `;
-  
-  // Add HTML version of the email
-  const htmlContent = `
-    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-      <h2>Your Shopping Cart is Waiting</h2>
-      <p>Dear ${customerDetails.firstName} ${customerDetails.lastName},</p>
-      
-      <p>We noticed that you recently started an order on our website but didn't complete the checkout process.</p>
-      
-      <h3>Order Details:</h3>
-      <p><strong>Order Number:</strong> ${orderDetails.orderNumber}</p>
-      
-      ${hasMultipleProducts ? 
-        `<table style="width: 100%; border-collapse: collapse; margin-bottom: 20px;">
-          <tr style="background-color: #f2f2f2;">
-            <th style="text-align: left; padding: 8px; border: 1px solid #ddd;">Product Name</th>
-            <th style="text-align: center; padding: 8px; border: 1px solid #ddd;">Quantity</th>
-            <th style="text-align: right; padding: 8px; border: 1px solid #ddd;">Price</th>
-          </tr>
-          ${orderDetails.products.map(product => 
-            `<tr>
-              <td style="padding: 8px; border: 1px solid #ddd;">${product.name || ''}</td>
-              <td style="text-align: center; padding: 8px; border: 1px solid #ddd;">${product.quantity || ''}</td>
-              <td style="text-align: right; padding: 8px; border: 1px solid #ddd;">${orderDetails.currency || '₹'} ${product.price || ''}</td>
-            </tr>`
-          ).join('')}
-        </table>` 
-        : 
-        `<p><strong>Product:</strong> ${orderDetails.productName || 'N/A'}<br>
-        <strong>Quantity:</strong> ${orderDetails.quantity || '1'}</p>`
-      }
-      
-      <p><strong>Total Amount:</strong> ${orderDetails.currency || '₹'} ${orderDetails.totalAmount}</p>
-      
-      <h3>Customer Details:</h3>
-      <p>
-        <strong>Name:</strong> ${customerDetails.firstName} ${customerDetails.lastName}<br>
-        <strong>Email:</strong> ${customerDetails.email}<br>
-        <strong>Phone:</strong> ${customerDetails.phone || 'Not provided'}
-      </p>
-      
-      <h3>Shipping Address:</h3>
-      <p>
-        ${customerDetails.address || ''}<br>
-        ${customerDetails.apartment ? customerDetails.apartment + '<br>' : ''}
-        ${customerDetails.city || ''}${customerDetails.city && customerDetails.state ? ', ' : ''}${customerDetails.state || ''}${(customerDetails.city || customerDetails.state) && customerDetails.zip ? ' - ' : ''}${customerDetails.zip || ''}<br>
-        ${customerDetails.country || ''}
-      </p>
-      
-      <p>We'd love to know if you experienced any issues during checkout or if you have any questions about our product.</p>
-      <p>You can simply reply to this email, and we'll be happy to assist you.</p>
-      
-      <p>If you'd like to complete your purchase, you can return to our website and try again.</p>
-      
-      <p>Thank you for considering our products!</p>
-      
-      <p>Best regards,<br></p>
-    </div>
-  `;
-  
+
+  const orders = Object.values(loadCollection("orders")).filter(order => order.tenant === tenant.id);
+  const flags = [];
+  const flag = (type, payment, order, details) => flags.push({
+    type,
+    description: RECONCILIATION_FLAGS[type],
+    paymentId: payment.id,
+    orderId: payment.order_id || null,
+    receipt: order ? order.receipt : null,
+    amount: payment.amount / 100,
+    paymentStatus: payment.status,
+    orderStatus: order ? order.status : null,
+    details: details || ""
+  });
+
+  payments.forEach(payment => {
+    const order = orders.find(o => o.id === payment.order_id);
+
+    if (payment.amount_refunded > 0) {
+      flag("refunded", payment, order, `Refunded ${payment.amount_refunded / 100} of ${payment.amount / 100}`);
+    }
+    if (payment.status !== "captured") {
+      return;
+    }
+    if (!order) {
+      flag("paid_unknown", payment, null, payment.email ? `Customer ${payment.email}` : "");
+      return;
+    }
+    if (Math.round(order.amount * 100) !== payment.amount) {
+      flag("amount_mismatch", payment, order, `Order amount ${order.amount}, captured ${payment.amount / 100}`);
+    }
+    if (!["shipped", "delivered", "returned"].includes(order.status)) {
+      flag("captured_unfulfilled", payment, order);
+    }
+    const ageInDays = (Date.now() / 1000 - payment.created_at) / 86400;
+    if (!settled[payment.id] && ageInDays > SETTLEMENT_GRACE_DAYS) {
+      flag("unsettled", payment, order, `Captured ${Math.floor(ageInDays)} days ago`);
+    }
+  });
+
+  const captured = payments.filter(payment => payment.status === "captured");
+  const report = {
+    id: `${tenant.id}:${from}:${to}`,
+    tenant: tenant.id,
+    from,
+    to,
+    generatedAt: new Date().toISOString(),
+    summary: {
+      payments: payments.length,
+      captured: captured.length,
+      capturedAmount: captured.reduce((sum, payment) => sum + payment.amount, 0) / 100,
+      settledPayments: Object.keys(settled).length,
+      settledAmount: settlementTotal / 100,
+      flagged: Object.keys(RECONCILIATION_FLAGS).reduce((counts, type) => {
+        counts[type] = flags.filter(f => f.type === type).length;
+        return counts;
+      }, {})
+    },
+    flags
+  };
+
+  loadCollection("reconciliation-reports")[report.id] = report;
+  saveCollection("reconciliation-reports");
+  return report;
+}
+
+function reconciliationCsv(report) {
+  return toCsv(["type", "paymentId", "orderId", "receipt", "amount", "paymentStatus", "orderStatus", "details"], report.flags);
+}
+
+function sendReconciliationEmail(tenant, report) {
+  const summary = report.summary;
+  const flagLines = Object.entries(summary.flagged)
+    .map(([type, count]) => `${RECONCILIATION_FLAGS[type]}: ${count}`)
+    .join("\n");
+  const text = `Payment reconciliation for ${tenant.name} (${report.from} to ${report.to})\n\n` +
+    `Payments: ${summary.payments}\nCaptured: ${summary.captured} (₹ ${summary.capturedAmount})\n` +
+    `Settled: ${summary.settledPayments} (₹ ${summary.settledAmount})\n\n${flagLines}\n\n` +
+    `The full list of flagged payments is attached.`;
+
   const mailOptions = {
-    from: process.env.EMAIL_USER,
-    to: customerEmail,
-    cc: process.env.EMAIL_USER, // CC to admin email
-    subject: emailSubject,
-    html: htmlContent // Add HTML version for better formatting
+    to: tenant.adminEmails.join(", "),
+    subject: `Payment reconciliation ${report.from}${report.from !== report.to ? ` to ${report.to}` : ""}: ${report.flags.length} item(s) flagged`,
+    text,
+    html: `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;"><h2>Payment Reconciliation</h2><pre style="background-color: #f8f9fa; padding: 15px; border-radius: 5px;">${text}</pre></div>`,
+    attachments: [{
+      filename: `reconciliation-${tenant.id}-${report.from}-${report.to}.csv`,
+      content: reconciliationCsv(report)
+    }]
   };
 
-  try {
-    console.log("Attempting to send abandoned order follow-up email to:", customerEmail);
-    const info = await transporter.sendMail(mailOptions);
-    console.log("Abandoned order follow-up email sent successfully:", info.messageId);
-    res.status(200).json({ success: true, message: "Abandoned order follow-up email sent successfully!" });
-  } catch (error) {
-    console.error("Error sending abandoned order follow-up email:", error);
-    res.status(500).json({ success: false, message: "Failed to send abandoned order follow-up email", error: error.message });
+  const entry = queueEmail(tenant, mailOptions, { template: "reconciliation" });
+  console.log(`Reconciliation report for ${tenant.id} (${report.from} to ${report.to}) queued:`, entry.id);
+  return entry;
+}
+
+// Dates default to yesterday (IST); returns null when they aren't valid
+function reconciliationRange(params) {
+  const yesterday = new Date(Date.now() + 5.5 * 60 * 60 * 1000 - 86400000).toISOString().slice(0, 10);
+  const from = params.from || yesterday;
+  const to = params.to || from;
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(from) || !/^\d{4}-\d{2}-\d{2}$/.test(to) || from > to) {
+    return null;
   }
-});
+  return { from, to };
+}
 
-// Create Razorpay Order
-app.post("/create-order", async (req, res) => {
+function sendReconciliationError(res, error) {
+  console.error("Reconciliation failed:", error);
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: "Reconciliation failed",
+    error: razorpayErrorMessage(error)
+  });
+}
+
+// Run a reconciliation for the requesting tenant (?from=&to=&tenant=&format=csv)
+app.get("/reconciliation", requireAdmin, async (req, res) => {
   try {
-    const { amount, currency, receipt, notes } = req.body;
-    
-    const options = {
-      amount: amount * 100, // Convert to paise (Razorpay requires amount in smallest currency unit)
-      currency: currency || "INR",
-      receipt: receipt || `receipt_${Date.now()}`,
-      notes: notes || {},
-    };
-    
-    const order = await razorpay.orders.create(options);
-    
+    const range = reconciliationRange(req.query);
+    const tenant = req.query.tenant ? getTenant(req.query.tenant) : req.tenant;
+
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        message: "from and to must be dates in YYYY-MM-DD format with from <= to"
+      });
+    }
+
+    const report = await runReconciliation(tenant, range.from, range.to);
+
+    if (req.query.format === "csv") {
+      res.set("Content-Type", "text/csv");
+      res.set("Content-Disposition", `attachment; filename="reconciliation-${tenant.id}-${range.from}-${range.to}.csv"`);
+      return res.status(200).send(reconciliationCsv(report));
+    }
+
     res.status(200).json({
       success: true,
-      order,
-      key: process.env.RAZORPAY_KEY_ID, // Send key_id to frontend for initialization
+      report
     });
   } catch (error) {
-    console.error("Order creation failed:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to create order",
-      error: error.message,
-    });
+    sendReconciliationError(res, error);
   }
 });
 
-// Verify Razorpay Payment
-app.post("/verify-payment", async (req, res) => {
+// Run a reconciliation and email it to the tenant's admins ({ from, to, tenant })
+app.post("/reconciliation/email", requireAdmin, async (req, res) => {
   try {
-    const {
-      razorpay_order_id,
-      razorpay_payment_id,
-      razorpay_signature,
-    } = req.body;
+    const body = req.body || {};
+    const range = reconciliationRange(body);
+    const tenant = body.tenant ? getTenant(body.tenant) : req.tenant;
 
-    // Verify signature
-    const sign = razorpay_order_id + "|" + razorpay_payment_id;
-    const expectedSignature = crypto
-      .createHmac("sha256", process.env.RAZORPAY_KEY_SECRET)
-      .update(sign)
-      .digest("hex");
-      
-    const isAuthentic = expectedSignature === razorpay_signature;
-    
-    if (isAuthentic) {
-      // Payment verification successful
-      res.status(200).json({ 
-        success: true,
-        message: "Payment verification successful",
-        orderId: razorpay_order_id,
-        paymentId: razorpay_payment_id
-      });
-    } else {
-      // Payment verification failed
-      res.status(400).json({
+    if (!range) {
+      return res.status(400).json({
         success: false,
-        message: "Payment verification failed",
+        message: "from and to must be dates in YYYY-MM-DD format with from <= to"
       });
     }
-  } catch (error) {
-    console.error("Payment verification error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Internal server error during verification",
-      error: error.message,
+
+    const report = await runReconciliation(tenant, range.from, range.to);
+    const entry = sendReconciliationEmail(tenant, report);
+
+    res.status(202).json({
+      ...queuedEmailResponse(entry, "Reconciliation report queued for delivery"),
+      report
     });
+  } catch (error) {
+    sendReconciliationError(res, error);
   }
 });
 
+// Daily reconciliation: when RECONCILIATION_HOUR (IST, 0-23) is set, yesterday's
+// report is generated and emailed to each tenant's admins once that hour arrives
+async function runScheduledReconciliation() {
+  const nowIst = new Date(Date.now() + 5.5 * 60 * 60 * 1000);
+  if (nowIst.getUTCHours() < Number(process.env.RECONCILIATION_HOUR)) {
+    return;
+  }
+
+  const yesterday = new Date(nowIst.getTime() - 86400000).toISOString().slice(0, 10);
+  const reports = loadCollection("reconciliation-reports");
+
+  for (const tenant of [defaultTenant, ...Object.values(tenants)]) {
+    if (reports[`${tenant.id}:${yesterday}:${yesterday}`]) {
+      continue;
+    }
+    try {
+      const report = await runReconciliation(tenant, yesterday, yesterday);
+      sendReconciliationEmail(tenant, report);
+    } catch (error) {
+      console.error(`Scheduled reconciliation failed for ${tenant.id}:`, error);
+    }
+  }
+}
+
+if (process.env.RECONCILIATION_HOUR) {
+  setInterval(runScheduledReconciliation, 30 * 60 * 1000);
+}
+
 // Order Confirmation Email Route
-app.post("/agent_to_customer", async (req, res) => {
+app.post("/agent_to_customer", idempotent, normalizeCustomerDetails, async (req, res) => {
   const { customerEmail, orderDetails, customerDetails, productName } = req.body;
   
   // Log the incoming request data
@@ -751,263 +5309,33 @@ app.post("/agent_to_customer", async (req, res) => {
     });
   }
   
-  // Format the email content
-  const emailSubject = `Order Confirmation #${orderDetails.orderNumber}`;
-  
-  // Check if orderDetails.products is an array for multiple products
-  const hasMultipleProducts = Array.isArray(orderDetails.products) && orderDetails.products.length > 0;
-  
-  // Generate product table content
-  let productsContent = '';
-  
-  if (hasMultipleProducts) {
-    // Create a table for multiple products
-    productsContent = `Products:
-    +${'-'.repeat(40)}+${'-'.repeat(10)}+${'-'.repeat(15)}+
-    | Product Name                            | Quantity | Price        |
-    +${'-'.repeat(40)}+${'-'.repeat(10)}+${'-'.repeat(15)}+`;
-
-    // Add each product as a row in the table
-    orderDetails.products.forEach(product => {
-      const name = (product.name || '').padEnd(40).substring(0, 40);
-      const quantity = (product.quantity?.toString() || '').padEnd(10).substring(0, 10);
-      const price = ((orderDetails.currency || '₹') + ' ' + (product.price || '')).padEnd(15).substring(0, 15);
-      
-      productsContent += `| ${name} | ${quantity} | ${price} |`;
+  try {
+    console.log("Attempting to send email to:", customerEmail);
+    const entry = queueTemplateEmail(req.tenant, "agent-order-confirmation", { orderDetails, customerDetails, customerEmail, productName }, {
+      to: customerEmail,
+      cc: req.tenant.adminEmails.join(", ") // CC to admin email
     });
-    
-    productsContent += `+${'-'.repeat(40)}+${'-'.repeat(10)}+${'-'.repeat(15)}+`;
-  } else {
-    // Single product format
-    productsContent = `Product: ${orderDetails.productName || 'N/A'}
-    Quantity: ${orderDetails.quantity || '1'}`;
+    console.log("Email queued:", entry.id);
+    res.status(202).json(queuedEmailResponse(entry, "Confirmation email queued for delivery"));
+  } catch (error) {
+    console.error("Error queueing confirmation email:", error);
+    res.status(500).json({ success: false, message: "Failed to send confirmation email", error: error.message });
   }
-  
-  // Add HTML version of the email
-  const htmlContent = `
-    <!DOCTYPE html>
-    <html lang="en">
-    <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Order Confirmation</title>
-    </head>
-    <body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f8f9fa;">
-        <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="background-color: #f8f9fa;">
-            <tr>
-                <td align="center" style="padding: 20px 0;">
-                    <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="600" style="max-width: 600px; background-color: #ffffff; border-radius: 12px; box-shadow: 0 4px 20px rgba(0,0,0,0.1); overflow: hidden;">
-                        
-                        <!-- Header with Brand -->
-                        <tr>
-                            <td style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px 30px; text-align: center;">
-                                <div style="background-color: white; width: 80px; height: 80px; border-radius: 50%; margin: 0 auto 20px; display: flex; align-items: center; justify-content: center; box-shadow: 0 4px 15px rgba(0,0,0,0.2);">
-                                    <img src="https://cdn-icons-png.flaticon.com/512/2331/2331970.png" alt="Order Confirmed" style="width: 50px; height: 50px;">
-                                </div>
-                                <h1 style="color: white; margin: 0; font-size: 28px; font-weight: 700; text-shadow: 0 2px 4px rgba(0,0,0,0.3);">Order Confirmed!</h1>
-                                <p style="color: rgba(255,255,255,0.9); margin: 10px 0 0; font-size: 16px;">Thank you for your purchase</p>
-                            </td>
-                        </tr>
-                        
-                        <!-- Main Content -->
-                        <tr>
-                            <td style="padding: 40px 30px;">
-                                
-                                <!-- Greeting -->
-                                <div style="margin-bottom: 30px;">
-                                    <h2 style="color: #2c3e50; margin: 0 0 15px; font-size: 24px; font-weight: 600;">Hello ${customerDetails.firstName}! 👋</h2>
-                                    <p style="color: #5a6c7d; line-height: 1.6; margin: 0; font-size: 16px;">
-                                        We're excited to confirm that your order has been successfully placed and is being processed. Here are the details:
-                                    </p>
-                                </div>
-                                
-                                <!-- Order Summary Card -->
-                                <div style="background: linear-gradient(145deg, #f8f9ff 0%, #e8f2ff 100%); border-radius: 12px; padding: 25px; margin-bottom: 30px; border: 1px solid #e3f2fd;">
-                                    <div style="display: flex; align-items: center; margin-bottom: 20px;">
-                                        <img src="https://cdn-icons-png.flaticon.com/512/3081/3081559.png" alt="Order" style="width: 24px; height: 24px; margin-right: 10px;">
-                                        <h3 style="color: #2c3e50; margin: 0; font-size: 20px; font-weight: 600;">Order Summary</h3>
-                                    </div>
-                                    
-                                    <table style="width: 100%; border-collapse: collapse;">
-                                        <tr>
-                                            <td style="padding: 8px 0; color: #5a6c7d; font-weight: 500;">Order Number:</td>
-                                            <td style="padding: 8px 0; color: #2c3e50; font-weight: 700; text-align: right;">#${orderDetails.orderNumber}</td>
-                                        </tr>
-                                        <tr>
-                                            <td style="padding: 8px 0; color: #5a6c7d; font-weight: 500;">Total Amount:</td>
-                                            <td style="padding: 8px 0; color: #27ae60; font-weight: 700; text-align: right; font-size: 18px;">${orderDetails.currency || '₹'} ${orderDetails.totalAmount}</td>
-                                        </tr>
-                                        <tr>
-                                            <td style="padding: 8px 0; color: #5a6c7d; font-weight: 500;">Advance Paid:</td>
-                                            <td style="padding: 8px 0; color: #e67e22; font-weight: 700; text-align: right;">${orderDetails.currency || '₹'} ${orderDetails.Advance_Amount}</td>
-                                        </tr>
-                                        <tr>
-                                            <td style="padding: 8px 0; color: #5a6c7d; font-weight: 500;">Payment Method:</td>
-                                            <td style="padding: 8px 0; color: #2c3e50; font-weight: 600; text-align: right;">${orderDetails.paymentMethod}</td>
-                                        </tr>
-                                    </table>
-                                </div>
-                                
-                                <!-- Products Section -->
-                                <div style="margin-bottom: 30px;">
-                                    <div style="display: flex; align-items: center; margin-bottom: 20px;">
-                                        <img src="https://cdn-icons-png.flaticon.com/512/3514/3514491.png" alt="Products" style="width: 24px; height: 24px; margin-right: 10px;">
-                                        <h3 style="color: #2c3e50; margin: 0; font-size: 20px; font-weight: 600;">Products Ordered</h3>
-                                    </div>
-                                    
-                                    ${hasMultipleProducts ? 
-                                        `<div style="border: 1px solid #e3f2fd; border-radius: 8px; overflow: hidden;">
-                                            <table style="width: 100%; border-collapse: collapse;">
-                                                <thead>
-                                                    <tr style="background: linear-gradient(90deg, #667eea 0%, #764ba2 100%);">
-                                                        <th style="text-align: left; padding: 15px; color: white; font-weight: 600;">Product</th>
-                                                        <th style="text-align: center; padding: 15px; color: white; font-weight: 600;">Qty</th>
-                                                        <th style="text-align: right; padding: 15px; color: white; font-weight: 600;">Price</th>
-                                                    </tr>
-                                                </thead>
-                                                <tbody>
-                                                    ${orderDetails.products.map((product, index) => 
-                                                        `<tr style="background-color: ${index % 2 === 0 ? '#f8f9ff' : '#ffffff'};">
-                                                            <td style="padding: 15px; color: #2c3e50; font-weight: 500; border-bottom: 1px solid #e9ecef;">${product.name || 'N/A'}</td>
-                                                            <td style="text-align: center; padding: 15px; color: #5a6c7d; font-weight: 600; border-bottom: 1px solid #e9ecef;">${product.quantity || '1'}</td>
-                                                            <td style="text-align: right; padding: 15px; color: #27ae60; font-weight: 700; border-bottom: 1px solid #e9ecef;">${orderDetails.currency || '₹'} ${product.price || '0'}</td>
-                                                        </tr>`
-                                                    ).join('')}
-                                                </tbody>
-                                            </table>
-                                        </div>` 
-                                        : 
-                                        `<div style="background-color: #f8f9ff; border: 1px solid #e3f2fd; border-radius: 8px; padding: 20px;">
-                                            <div style="display: flex; align-items: center; justify-content: between;">
-                                                <div>
-                                                    <h4 style="color: #2c3e50; margin: 0 0 5px; font-size: 18px; font-weight: 600;">${orderDetails.productName || productName || 'N/A'}</h4>
-                                                    <p style="color: #5a6c7d; margin: 0; font-size: 14px;">Quantity: ${orderDetails.quantity || '1'}</p>
-                                                </div>
-                                                <div style="text-align: right;">
-                                                    <p style="color: #27ae60; margin: 0; font-size: 18px; font-weight: 700;">${orderDetails.currency || '₹'} ${orderDetails.totalAmount}</p>
-                                                </div>
-                                            </div>
-                                        </div>`
-                                    }
-                                </div>
-                                
-                                <!-- Customer & Shipping Info -->
-                                <div style="display: flex; gap: 20px; margin-bottom: 30px;">
-                                    <!-- Customer Details -->
-                                    <div style="flex: 1; background-color: #f8f9ff; border: 1px solid #e3f2fd; border-radius: 8px; padding: 20px;">
-                                        <div style="display: flex; align-items: center; margin-bottom: 15px;">
-                                            <img src="https://cdn-icons-png.flaticon.com/512/3135/3135715.png" alt="Customer" style="width: 20px; height: 20px; margin-right: 8px;">
-                                            <h4 style="color: #2c3e50; margin: 0; font-size: 16px; font-weight: 600;">Customer Details</h4>
-                                        </div>
-                                        <p style="color: #2c3e50; margin: 0 0 8px; font-weight: 600;">${customerDetails.firstName} ${customerDetails.lastName}</p>
-                                        <p style="color: #5a6c7d; margin: 0 0 5px; font-size: 14px;">${customerEmail}</p>
-                                        <p style="color: #5a6c7d; margin: 0; font-size: 14px;">${customerDetails.phone || 'Phone not provided'}</p>
-                                    </div>
-                                    
-                                    <!-- Shipping Address -->
-                                    <div style="flex: 1; background-color: #f8f9ff; border: 1px solid #e3f2fd; border-radius: 8px; padding: 20px;">
-                                        <div style="display: flex; align-items: center; margin-bottom: 15px;">
-                                            <img src="https://cdn-icons-png.flaticon.com/512/854/854929.png" alt="Shipping" style="width: 20px; height: 20px; margin-right: 8px;">
-                                            <h4 style="color: #2c3e50; margin: 0; font-size: 16px; font-weight: 600;">Shipping Address</h4>
-                                        </div>
-                                        <div style="color: #5a6c7d; font-size: 14px; line-height: 1.5;">
-                                            ${customerDetails.address || ''}<br>
-                                            ${customerDetails.apartment ? customerDetails.apartment + '<br>' : ''}
-                                            ${customerDetails.city || ''}${customerDetails.city && customerDetails.state ? ', ' : ''}${customerDetails.state || ''}${(customerDetails.city || customerDetails.state) && customerDetails.zip ? ' - ' : ''}${customerDetails.zip || ''}<br>
-                                            ${customerDetails.country || ''}
-                                        </div>
-                                    </div>
-                                </div>
-                                
-                                <!-- Status Timeline -->
-                                <div style="background: linear-gradient(145deg, #e8f5e8 0%, #f0f8f0 100%); border: 1px solid #c8e6c9; border-radius: 12px; padding: 25px; margin-bottom: 30px;">
-                                    <div style="display: flex; align-items: center; margin-bottom: 20px;">
-                                        <img src="https://cdn-icons-png.flaticon.com/512/2143/2143150.png" alt="Timeline" style="width: 24px; height: 24px; margin-right: 10px;">
-                                        <h3 style="color: #2c3e50; margin: 0; font-size: 20px; font-weight: 600;">What's Next?</h3>
-                                    </div>
-                                    
-                                    <div style="display: flex; align-items: center; margin-bottom: 15px;">
-                                        <div style="width: 12px; height: 12px; background-color: #27ae60; border-radius: 50%; margin-right: 15px;"></div>
-                                        <div>
-                                            <p style="color: #27ae60; margin: 0; font-weight: 600; font-size: 14px;">✓ Order Confirmed</p>
-                                            <p style="color: #5a6c7d; margin: 0; font-size: 12px;">We've received your order and payment</p>
-                                        </div>
-                                    </div>
-                                    
-                                    <div style="display: flex; align-items: center; margin-bottom: 15px;">
-                                        <div style="width: 12px; height: 12px; background-color: #f39c12; border-radius: 50%; margin-right: 15px;"></div>
-                                        <div>
-                                            <p style="color: #f39c12; margin: 0; font-weight: 600; font-size: 14px;">⏳ Processing</p>
-                                            <p style="color: #5a6c7d; margin: 0; font-size: 12px;">We're preparing your order for shipment</p>
-                                        </div>
-                                    </div>
-                                    
-                                    <div style="display: flex; align-items: center;">
-                                        <div style="width: 12px; height: 12px; background-color: #bdc3c7; border-radius: 50%; margin-right: 15px;"></div>
-                                        <div>
-                                            <p style="color: #5a6c7d; margin: 0; font-weight: 600; font-size: 14px;">📦 Shipping</p>
-                                            <p style="color: #5a6c7d; margin: 0; font-size: 12px;">You'll receive tracking details once shipped</p>
-                                        </div>
-                                    </div>
-                                </div>
-                                
-                                <!-- Call to Action -->
-                                <div style="text-align: center; margin-bottom: 30px;">
-                                    <p style="color: #5a6c7d; margin: 0 0 20px; font-size: 16px;">Need help with your order?</p>
-                                    <a href="mailto:israelitesshopping171@gmail.com" style="display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-decoration: none; padding: 12px 30px; border-radius: 25px; font-weight: 600; font-size: 16px; box-shadow: 0 4px 15px rgba(102, 126, 234, 0.4);">Contact Support</a>
-                                </div>
-                                
-                            </td>
-                        </tr>
-                        
-                        <!-- Footer -->
-                        <tr>
-                            <td style="background-color: #2c3e50; padding: 30px; text-align: center;">
-                                <div style="margin-bottom: 20px;">
-                                    <img src="https://cdn-icons-png.flaticon.com/512/3176/3176363.png" alt="Store Logo" style="width: 60px; height: 60px; opacity: 0.8;">
-                                </div>
-                                <p style="color: white; margin: 0 0 10px; font-size: 18px; font-weight: 600;">Thank you for choosing us!</p>
-                                <p style="color: rgba(255,255,255,0.8); margin: 0 0 20px; font-size: 14px;">We appreciate your business and look forward to serving you again.</p>
-                                
-                                <p style="color: rgba(255,255,255,0.6); margin: 0; font-size: 12px;">
-                                    © 2025 ${orderDetails.productName || productName || 'N/A'}. All rights reserved.<br>
-                                    This email was sent to ${customerEmail}
-                                </p>
-                            </td>
-                        </tr>
-                        
-                    </table>
-                </td>
-            </tr>
-        </table>
-    </body>
-    </html>
-  `;
-  
-  const mailOptions = {
-    from: process.env.EMAIL_USER,
-    to: customerEmail,
-    cc: process.env.EMAIL_USER, // CC to admin email
-    subject: emailSubject,
-    html: htmlContent // Add HTML version for better formatting
-  };
-
-    try {
-      console.log("Attempting to send email to:", customerEmail);
-      const info = await transporter.sendMail(mailOptions);
-      console.log("Email sent successfully:", info.messageId);
-      res.status(200).json({ success: true, message: "Confirmation email sent successfully!" });
-    } catch (error) {
-      console.error("Error sending confirmation email:", error);
-      res.status(500).json({ success: false, message: "Failed to send confirmation email", error: error.message });
-    }
-  });
+});
 
 // Advance Payment Order Confirmation Email Route
+function sendAdvancePaymentEmail({ tenant = defaultTenant, customerEmail, orderDetails, customerDetails, productName }) {
+  console.log("Attempting to send advance payment confirmation email to:", customerEmail);
+  const entry = queueTemplateEmail(tenant, "advance-payment-confirmation", { orderDetails, customerDetails, customerEmail, productName }, {
+    to: customerEmail,
+    cc: tenant.adminEmails.join(", ") // CC to admin email
+  });
+  console.log("Advance payment confirmation email queued:", entry.id);
+  return entry;
+}
 
-
-app.post("/send-advance-payment-confirmation", async (req, res) => {
-  const { customerEmail, orderDetails, customerDetails, productName } = req.body;
+app.post("/send-advance-payment-confirmation", idempotent, normalizeCustomerDetails, async (req, res) => {
+  const { customerEmail, orderDetails, customerDetails, productName } = req.body || {};
   
   // Log the incoming request data
   console.log("Received advance payment confirmation request:", { 
@@ -1023,259 +5351,26 @@ app.post("/send-advance-payment-confirmation", async (req, res) => {
       message: "Customer email is required"
     });
   }
-  
-  // Format the email content
-  const emailSubject = `Advance Payment Confirmed - Order #${orderDetails.orderNumber}`;
-  
-  // Check if orderDetails.products is an array for multiple products
-  const hasMultipleProducts = Array.isArray(orderDetails.products) && orderDetails.products.length > 0;
-  
-  // Generate product table content
-  let productsContent = '';
-  
-  if (hasMultipleProducts) {
-    // Create a table for multiple products
-    productsContent = `Products:
-    +${'-'.repeat(40)}+${'-'.repeat(10)}+${'-'.repeat(15)}+
-    | Product Name                            | Quantity | Price        |
-    +${'-'.repeat(40)}+${'-'.repeat(10)}+${'-'.repeat(15)}+`;
-
-    // Add each product as a row in the table
-    orderDetails.products.forEach(product => {
-      const name = (product.name || '').padEnd(40).substring(0, 40);
-      const quantity = (product.quantity?.toString() || '').padEnd(10).substring(0, 10);
-      const price = ((orderDetails.currency || '₹') + ' ' + (product.price || '')).padEnd(15).substring(0, 15);
-      
-      productsContent += `| ${name} | ${quantity} | ${price} |`;
+
+  if (!orderDetails || !orderDetails.orderNumber) {
+    return res.status(400).json({
+      success: false,
+      message: "Order details with an order number are required"
     });
-    
-    productsContent += `+${'-'.repeat(40)}+${'-'.repeat(10)}+${'-'.repeat(15)}+`;
-  } else {
-    // Single product format
-    productsContent = `Product: ${orderDetails.productName || 'N/A'}
-    Quantity: ${orderDetails.quantity || '1'}`;
   }
-  
-  // Add HTML version of the email with advance payment focus
-  const htmlContent = `
-    <!DOCTYPE html>
-    <html lang="en">
-    <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Advance Payment Confirmed</title>
-    </head>
-    <body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f8f9fa;">
-        <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="background-color: #f8f9fa;">
-            <tr>
-                <td align="center" style="padding: 20px 0;">
-                    <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="600" style="max-width: 600px; background-color: #ffffff; border-radius: 12px; box-shadow: 0 4px 20px rgba(0,0,0,0.1); overflow: hidden;">
-                        
-                        <!-- Header with Advance Payment Focus -->
-                        <tr>
-                            <td style="background: linear-gradient(135deg, #ff9800 0%, #f57c00 100%); padding: 40px 30px; text-align: center;">
-                                <div style="background-color: white; width: 80px; height: 80px; border-radius: 50%; margin: 0 auto 20px; display: flex; align-items: center; justify-content: center; box-shadow: 0 4px 15px rgba(0,0,0,0.2);">
-                                    <img src="https://cdn-icons-png.flaticon.com/512/3135/3135706.png" alt="Advance Payment" style="width: 50px; height: 50px;">
-                                </div>
-                                <h1 style="color: white; margin: 0; font-size: 28px; font-weight: 700; text-shadow: 0 2px 4px rgba(0,0,0,0.3);">Advance Payment Received!</h1>
-                                <p style="color: rgba(255,255,255,0.9); margin: 10px 0 0; font-size: 16px;">Your order is confirmed with partial payment</p>
-                            </td>
-                        </tr>
-                        
-                        <!-- Main Content -->
-                        <tr>
-                            <td style="padding: 40px 30px;">
-                                
-                                <!-- Greeting -->
-                                <div style="margin-bottom: 30px;">
-                                    <h2 style="color: #2c3e50; margin: 0 0 15px; font-size: 24px; font-weight: 600;">Hello ${customerDetails.firstName}! 👋</h2>
-                                    <p style="color: #5a6c7d; line-height: 1.6; margin: 0; font-size: 16px;">
-                                        Great news! We've successfully received your advance payment and your order is now confirmed. Here are the complete details:
-                                    </p>
-                                </div>
-                                
-                                <!-- Payment Status Card -->
-                                <div style="background: linear-gradient(145deg, #fff3e0 0%, #ffe0b2 100%); border-radius: 12px; padding: 25px; margin-bottom: 30px; border: 2px solid #ff9800;">
-                                    <div style="display: flex; align-items: center; margin-bottom: 20px;">
-                                        <img src="https://cdn-icons-png.flaticon.com/512/3135/3135706.png" alt="Payment" style="width: 24px; height: 24px; margin-right: 10px;">
-                                        <h3 style="color: #e65100; margin: 0; font-size: 20px; font-weight: 600;">💰 Payment Summary</h3>
-                                    </div>
-                                    
-                                    <table style="width: 100%; border-collapse: collapse;">
-                                        <tr>
-                                            <td style="padding: 8px 0; color: #5a6c7d; font-weight: 500;">Order Total:</td>
-                                            <td style="padding: 8px 0; color: #2c3e50; font-weight: 700, text-align: right; font-size: 18px;">${orderDetails.currency || '₹'} ${orderDetails.totalAmount}</td>
-                                        </tr>
-                                        <tr style="background-color: rgba(76, 175, 80, 0.1);">
-                                            <td style="padding: 12px 8px; color: #2e7d32; font-weight: 600; border-radius: 8px;">✅ Advance Paid:</td>
-                                            <td style="padding: 12px 8px; color: #2e7d32; font-weight: 800; text-align: right; font-size: 20px; border-radius: 8px;">${orderDetails.currency || '₹'} ${orderDetails.advanceAmount || orderDetails.paidAmount}</td>
-                                        </tr>
-                                        <tr style="background-color: rgba(255, 152, 0, 0.1);">
-                                            <td style="padding: 12px 8px; color: #f57c00; font-weight: 600; border-radius: 8px;">⏳ Balance Due on Delivery:</td>
-                                            <td style="padding: 12px 8px; color: #f57c00; font-weight: 800; text-align: right; font-size: 20px; border-radius: 8px;">${orderDetails.currency || '₹'} ${orderDetails.balanceAmount || (orderDetails.totalAmount - (orderDetails.advanceAmount || orderDetails.paidAmount))}</td>
-                                        </tr>
-                                        <tr>
-                                            <td style="padding: 8px 0; color: #5a6c7d; font-weight: 500;">Payment Method:</td>
-                                            <td style="padding: 8px 0; color: #2c3e50; font-weight: 600; text-align: right;">${orderDetails.paymentMethod} (Advance)</td>
-                                        </tr>
-                                        <tr>
-                                            <td style="padding: 8px 0; color: #5a6c7d; font-weight: 500;">Payment ID:</td>
-                                            <td style="padding: 8px 0; color: #2c3e50; font-weight: 600; text-align: right; font-size: 12px;">${orderDetails.paymentId || 'N/A'}</td>
-                                        </tr>
-                                    </table>
-                                </div>
-                                
-                                <!-- Order Summary Card -->
-                                <div style="background: linear-gradient(145deg, #f8f9ff 0%, #e8f2ff 100%); border-radius: 12px; padding: 25px; margin-bottom: 30px; border: 1px solid #e3f2fd;">
-                                    <div style="display: flex; align-items: center; margin-bottom: 20px;">
-                                        <img src="https://cdn-icons-png.flaticon.com/512/3081/3081559.png" alt="Order" style="width: 24px; height: 24px; margin-right: 10px;">
-                                        <h3 style="color: #2c3e50; margin: 0; font-size: 20px; font-weight: 600;">📦 Order Details</h3>
-                                    </div>
-                                    
-                                    <table style="width: 100%; border-collapse: collapse;">
-                                        <tr>
-                                            <td style="padding: 8px 0; color: #5a6c7d; font-weight: 500;">Order Number:</td>
-                                            <td style="padding: 8px 0; color: #2c3e50; font-weight: 700; text-align: right;">#${orderDetails.orderNumber}</td>
-                                        </tr>
-                                        <tr>
-                                            <td style="padding: 8px 0; color: #5a6c7d; font-weight: 500;">Product:</td>
-                                            <td style="padding: 8px 0; color: #2c3e50; font-weight: 600; text-align: right;">${orderDetails.productName || productName || 'N/A'}</td>
-                                        </tr>
-                                        <tr>
-                                            <td style="padding: 8px 0; color: #5a6c7d; font-weight: 500;">Quantity:</td>
-                                            <td style="padding: 8px 0; color: #2c3e50; font-weight: 600; text-align: right;">${orderDetails.quantity || '1'}</td>
-                                        </tr>
-                                    </table>
-                                </div>
-                                
-                                <!-- Important Notice for COD Balance -->
-                                <div style="background: linear-gradient(145deg, #fff8e1 0%, #ffecb3 100%); border: 2px solid #ffc107; border-radius: 12px; padding: 25px; margin-bottom: 30px;">
-                                    <div style="display: flex; align-items: center; margin-bottom: 15px;">
-                                        <img src="https://cdn-icons-png.flaticon.com/512/1828/1828843.png" alt="Important" style="width: 24px; height: 24px; margin-right: 10px;">
-                                        <h3 style="color: #f57c00; margin: 0; font-size: 18px; font-weight: 600;">🚨 Important: Balance Payment on Delivery</h3>
-                                    </div>
-                                    <div style="color: #ef6c00; font-size: 16px; line-height: 1.6;">
-                                        <p style="margin: 0 0 10px;"><strong>Please keep ready:</strong> ${orderDetails.currency || '₹'} ${orderDetails.balanceAmount || (orderDetails.totalAmount - (orderDetails.advanceAmount || orderDetails.paidAmount))} for cash payment when your order arrives.</p>
-                                        <p style="margin: 0; font-size: 14px; color: #8d4e00;">Our delivery partner will collect the remaining balance amount in cash upon delivery. Please ensure you have the exact amount ready.</p>
-                                    </div>
-                                </div>
-                                
-                                <!-- Customer & Shipping Info -->
-                                <div style="display: flex; gap: 20px; margin-bottom: 30px;">
-                                    <!-- Customer Details -->
-                                    <div style="flex: 1; background-color: #f8f9ff; border: 1px solid #e3f2fd; border-radius: 8px; padding: 20px;">
-                                        <div style="display: flex; align-items: center; margin-bottom: 15px;">
-                                            <img src="https://cdn-icons-png.flaticon.com/512/3135/3135715.png" alt="Customer" style="width: 20px; height: 20px; margin-right: 8px;">
-                                            <h4 style="color: #2c3e50; margin: 0; font-size: 16px; font-weight: 600;">Customer Details</h4>
-                                        </div>
-                                        <p style="color: #2c3e50; margin: 0 0 8px; font-weight: 600;">${customerDetails.firstName} ${customerDetails.lastName}</p>
-                                        <p style="color: #5a6c7d; margin: 0 0 5px; font-size: 14px;">${customerEmail}</p>
-                                        <p style="color: #5a6c7d; margin: 0; font-size: 14px;">${customerDetails.phone || 'Phone not provided'}</p>
-                                    </div>
-                                    
-                                    <!-- Shipping Address -->
-                                    <div style="flex: 1; background-color: #f8f9ff; border: 1px solid #e3f2fd; border-radius: 8px; padding: 20px;">
-                                        <div style="display: flex; align-items: center; margin-bottom: 15px;">
-                                            <img src="https://cdn-icons-png.flaticon.com/512/854/854929.png" alt="Shipping" style="width: 20px; height: 20px; margin-right: 8px;">
-                                            <h4 style="color: #2c3e50; margin: 0; font-size: 16px; font-weight: 600;">Delivery Address</h4>
-                                        </div>
-                                        <div style="color: #5a6c7d; font-size: 14px; line-height: 1.5;">
-                                            ${customerDetails.address || ''}<br>
-                                            ${customerDetails.apartment ? customerDetails.apartment + '<br>' : ''}
-                                            ${customerDetails.city || ''}${customerDetails.city && customerDetails.state ? ', ' : ''}${customerDetails.state || ''}${(customerDetails.city || customerDetails.state) && customerDetails.zip ? ' - ' : ''}${customerDetails.zip || ''}<br>
-                                            ${customerDetails.country || ''}
-                                        </div>
-                                    </div>
-                                </div>
-                                
-                                <!-- Status Timeline for Advance Payment -->
-                                <div style="background: linear-gradient(145deg, #e8f5e8 0%, #f0f8f0 100%); border: 1px solid #c8e6c9; border-radius: 12px; padding: 25px; margin-bottom: 30px;">
-                                    <div style="display: flex; align-items: center; margin-bottom: 20px;">
-                                        <img src="https://cdn-icons-png.flaticon.com/512/2143/2143150.png" alt="Timeline" style="width: 24px; height: 24px; margin-right: 10px;">
-                                        <h3 style="color: #2c3e50; margin: 0; font-size: 20px; font-weight: 600;">📋 Order Progress</h3>
-                                    </div>
-                                    
-                                    <div style="display: flex; align-items: center; margin-bottom: 15px;">
-                                        <div style="width: 12px; height: 12px; background-color: #27ae60; border-radius: 50%; margin-right: 15px;"></div>
-                                        <div>
-                                            <p style="color: #27ae60; margin: 0; font-weight: 600; font-size: 14px;">✓ Advance Payment Received</p>
-                                            <p style="color: #5a6c7d; margin: 0; font-size: 12px;">${orderDetails.currency || '₹'} ${orderDetails.advanceAmount || orderDetails.paidAmount} paid successfully</p>
-                                        </div>
-                                    </div>
-                                    
-                                    <div style="display: flex; align-items: center; margin-bottom: 15px;">
-                                        <div style="width: 12px; height: 12px; background-color: #f39c12; border-radius: 50%; margin-right: 15px;"></div>
-                                        <div>
-                                            <p style="color: #f39c12; margin: 0; font-weight: 600; font-size: 14px;">⏳ Processing Your Order</p>
-                                            <p style="color: #5a6c7d; margin: 0; font-size: 12px;">We're preparing your order for shipment</p>
-                                        </div>
-                                    </div>
-                                    
-                                    <div style="display: flex; align-items: center; margin-bottom: 15px;">
-                                        <div style="width: 12px; height: 12px; background-color: #bdc3c7; border-radius: 50%; margin-right: 15px;"></div>
-                                        <div>
-                                            <p style="color: #5a6c7d; margin: 0; font-weight: 600; font-size: 14px;">📦 Out for Delivery</p>
-                                            <p style="color: #5a6c7d; margin: 0; font-size: 12px;">You'll receive tracking details once shipped</p>
-                                        </div>
-                                    </div>
-                                    
-                                    <div style="display: flex; align-items: center;">
-                                        <div style="width: 12px; height: 12px; background-color: #bdc3c7; border-radius: 50%; margin-right: 15px;"></div>
-                                        <div>
-                                            <p style="color: #5a6c7d; margin: 0; font-weight: 600; font-size: 14px;">💰 Balance Payment & Delivery</p>
-                                            <p style="color: #5a6c7d; margin: 0; font-size: 12px;">Pay ${orderDetails.currency || '₹'} ${orderDetails.balanceAmount || (orderDetails.totalAmount - (orderDetails.advanceAmount || orderDetails.paidAmount))} in cash upon delivery</p>
-                                        </div>
-                                    </div>
-                                </div>
-                                
-                                <!-- Call to Action -->
-                                <div style="text-align: center; margin-bottom: 30px;">
-                                    <p style="color: #5a6c7d; margin: 0 0 20px; font-size: 16px;">Questions about your advance payment order?</p>
-                                    <a href="mailto:israelitesshopping171@gmail.com" style="display: inline-block; background: linear-gradient(135deg, #ff9800 0%, #f57c00 100%); color: white; text-decoration: none; padding: 12px 30px; border-radius: 25px; font-weight: 600; font-size: 16px; box-shadow: 0 4px 15px rgba(255, 152, 0, 0.4);">Contact Support</a>
-                                </div>
-                                
-                            </td>
-                        </tr>
-                        
-                        <!-- Footer -->
-                        <tr>
-                            <td style="background-color: #2c3e50; padding: 30px; text-align: center;">
-                                <div style="margin-bottom: 20px;">
-                                    <img src="https://cdn-icons-png.flaticon.com/512/3176/3176363.png" alt="Store Logo" style="width: 60px; height: 60px; opacity: 0.8;">
-                                </div>
-                                <p style="color: white; margin: 0 0 10px; font-size: 18px; font-weight: 600;">Thank you for your advance payment!</p>
-                                <p style="color: rgba(255,255,255,0.8); margin: 0 0 20px; font-size: 14px;">Your order is confirmed and will be delivered soon. Don't forget the balance payment!</p>
-                                
-                                <p style="color: rgba(255,255,255,0.6); margin: 0; font-size: 12px;">
-                                    © 2025 ${orderDetails.productName || productName || 'Our Store'}. All rights reserved.<br>
-                                    This email was sent to ${customerEmail}
-                                </p>
-                            </td>
-                        </tr>
-                        
-                    </table>
-                </td>
-            </tr>
-        </table>
-    </body>
-    </html>
-  `;
-  
-  const mailOptions = {
-    from: process.env.EMAIL_USER,
-    to: customerEmail,
-    cc: process.env.EMAIL_USER, // CC to admin email
-    subject: emailSubject,
-    html: htmlContent // Add HTML version for better formatting
-  };
 
   try {
-    console.log("Attempting to send advance payment confirmation email to:", customerEmail);
-    const info = await transporter.sendMail(mailOptions);
-    console.log("Advance payment confirmation email sent successfully:", info.messageId);
-    res.status(200).json({ success: true, message: "Advance payment confirmation email sent successfully!" });
+    // Advance orders created through /create-order carry their own figures;
+    // never let the client restate how much was paid or is still due
+    const ledgerOrder = findOrderByReceipt(String(orderDetails.orderNumber));
+    const details = ledgerOrder && ledgerOrder.paymentMode === "advance"
+      ? { ...orderDetails, ...advanceOrderDetails(ledgerOrder) }
+      : orderDetails;
+
+    const entry = sendAdvancePaymentEmail({ tenant: req.tenant, customerEmail, orderDetails: details, customerDetails, productName });
+    res.status(202).json(queuedEmailResponse(entry, "Advance payment confirmation email queued for delivery"));
   } catch (error) {
-    console.error("Error sending advance payment confirmation email:", error);
+    console.error("Error queueing advance payment confirmation email:", error);
     res.status(500).json({ success: false, message: "Failed to send advance payment confirmation email", error: error.message });
   }
 });
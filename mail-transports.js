@@ -0,0 +1,258 @@
+// Mail Transports
+// Every email leaves through a transport chosen by the tenant's "email" config, so
+// each storefront (or the whole environment) can use a different provider:
+//   service   - a nodemailer well-known service such as "gmail" (the default)
+//   smtp      - any SMTP server (host, port, secure, user, pass)
+//   ses       - Amazon SES v2 HTTP API, signed with AWS Signature V4 (region,
+//               accessKeyId, secretAccessKey, sessionToken)
+//   sendgrid  - SendGrid's v3 mail/send API or anything that speaks it (apiKey, baseUrl)
+//   capture   - writes each message to a directory instead of sending it, for
+//               local development and tests
+// All transports expose nodemailer's sendMail(message) -> { messageId }. HTTP
+// providers throw MailTransportError carrying the provider's status as responseCode;
+// rejections that won't succeed on a retry are flagged permanent.
+const crypto = require("crypto");
+const nodemailer = require("nodemailer");
+const MailComposer = require("nodemailer/lib/mail-composer");
+const addressparser = require("nodemailer/lib/addressparser");
+const { requestJson, isPermanentHttpFailure } = require("./http-client");
+const { captureMessage } = require("./message-capture");
+
+class MailTransportError extends Error {
+  constructor(message, { responseCode = null, response = null, code = null, permanent = false } = {}) {
+    super(message);
+    this.name = "MailTransportError";
+    this.responseCode = responseCode;
+    this.response = response;
+    this.code = code;
+    this.permanent = permanent;
+  }
+}
+
+// Accepts the address forms nodemailer does: "a@b.c, Name <d@e.f>", arrays and { name, address }
+function parseAddresses(value) {
+  return [].concat(value || [])
+    .flatMap(item => typeof item === "string" ? addressparser(item, { flatten: true }) : [item])
+    .filter(item => item && item.address)
+    .map(item => ({ email: item.address, ...(item.name ? { name: item.name } : {}) }));
+}
+
+// Raw RFC 822 message, as SES and the capture transport store it
+async function buildMime(message) {
+  const mail = new MailComposer(message).compile();
+  const raw = await mail.build();
+  return { raw, messageId: mail.messageId() };
+}
+
+// Connection failures become retryable MailTransportErrors
+function requestMailApi(url, options, timeoutMs) {
+  return requestJson(url, options, {
+    timeoutMs,
+    label: "Mail API",
+    createError: (message, details) => new MailTransportError(message, details)
+  });
+}
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+function hmac(key, value) {
+  return crypto.createHmac("sha256", key).update(value).digest();
+}
+
+// AWS Signature Version 4 headers for a request without a query string
+function signAwsRequest({ method, host, path: requestPath, body = "", region, service, accessKeyId, secretAccessKey, sessionToken, date = new Date() }) {
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, "");
+  const dateStamp = amzDate.slice(0, 8);
+  const headers = { host, "x-amz-date": amzDate, ...(sessionToken ? { "x-amz-security-token": sessionToken } : {}) };
+  const signedHeaders = Object.keys(headers).sort().join(";");
+  const canonicalRequest = [
+    method,
+    requestPath,
+    "",
+    ...Object.keys(headers).sort().map(name => `${name}:${headers[name]}`),
+    "",
+    signedHeaders,
+    sha256(body)
+  ].join("\n");
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256(canonicalRequest)].join("\n");
+  const signingKey = [dateStamp, region, service, "aws4_request"].reduce((key, part) => hmac(key, part), `AWS4${secretAccessKey}`);
+  const signature = crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+
+  return {
+    ...headers,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+}
+
+class SesTransport {
+  constructor({ region, accessKeyId, secretAccessKey, sessionToken, endpoint, timeoutMs } = {}) {
+    this.region = region || "us-east-1";
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.sessionToken = sessionToken || null;
+    this.endpoint = (endpoint || `https://email.${this.region}.amazonaws.com`).replace(/\/+$/, "");
+    this.timeoutMs = Number(timeoutMs) || 15000;
+  }
+
+  async sendMail(message) {
+    const { raw } = await buildMime(message);
+    const [from] = parseAddresses(message.from);
+    const url = new URL(`${this.endpoint}/v2/email/outbound-emails`);
+    const body = JSON.stringify({
+      FromEmailAddress: from && from.email,
+      Destination: {
+        ToAddresses: parseAddresses(message.to).map(item => item.email),
+        CcAddresses: parseAddresses(message.cc).map(item => item.email),
+        BccAddresses: parseAddresses(message.bcc).map(item => item.email)
+      },
+      Content: { Raw: { Data: raw.toString("base64") } }
+    });
+    const headers = signAwsRequest({
+      method: "POST",
+      host: url.host,
+      path: url.pathname,
+      body,
+      region: this.region,
+      service: "ses",
+      accessKeyId: this.accessKeyId,
+      secretAccessKey: this.secretAccessKey,
+      sessionToken: this.sessionToken
+    });
+
+    const { response, data } = await requestMailApi(url, {
+      method: "POST",
+      headers: { ...headers, "Content-Type": "application/json" },
+      body
+    }, this.timeoutMs);
+
+    if (!response.ok) {
+      const detail = (data && data.message) || (typeof data === "string" ? data : response.statusText);
+      throw new MailTransportError(`SES rejected the message (${response.status}): ${detail}`, {
+        responseCode: response.status,
+        response: detail,
+        permanent: isPermanentHttpFailure(response.status)
+      });
+    }
+    return { messageId: data && data.MessageId };
+  }
+}
+
+class SendGridTransport {
+  constructor({ apiKey, baseUrl, timeoutMs } = {}) {
+    this.apiKey = apiKey;
+    this.baseUrl = (baseUrl || "https://api.sendgrid.com").replace(/\/+$/, "");
+    this.timeoutMs = Number(timeoutMs) || 15000;
+  }
+
+  async sendMail(message) {
+    const cc = parseAddresses(message.cc);
+    const bcc = parseAddresses(message.bcc);
+    const body = {
+      personalizations: [{
+        to: parseAddresses(message.to),
+        ...(cc.length ? { cc } : {}),
+        ...(bcc.length ? { bcc } : {})
+      }],
+      from: parseAddresses(message.from)[0],
+      ...(message.replyTo ? { reply_to: parseAddresses(message.replyTo)[0] } : {}),
+      subject: message.subject,
+      // The API requires text/plain before text/html
+      content: [
+        message.text ? { type: "text/plain", value: message.text } : null,
+        message.html ? { type: "text/html", value: message.html } : null
+      ].filter(Boolean),
+      ...(message.headers ? { headers: message.headers } : {}),
+      ...(message.attachments && message.attachments.length ? {
+        attachments: message.attachments.map(attachment => ({
+          filename: attachment.filename,
+          content: Buffer.from(attachment.content || "").toString("base64"),
+          ...(attachment.contentType ? { type: attachment.contentType } : {})
+        }))
+      } : {})
+    };
+
+    const { response, data } = await requestMailApi(`${this.baseUrl}/v3/mail/send`, {
+      method: "POST",
+      headers: { "Authorization": `Bearer ${this.apiKey}`, "Content-Type": "application/json" },
+      body: JSON.stringify(body)
+    }, this.timeoutMs);
+
+    if (!response.ok) {
+      const detail = data && Array.isArray(data.errors)
+        ? data.errors.map(error => error.message).join("; ")
+        : (typeof data === "string" && data) || response.statusText;
+      throw new MailTransportError(`Mail API rejected the message (${response.status}): ${detail}`, {
+        responseCode: response.status,
+        response: detail,
+        permanent: isPermanentHttpFailure(response.status)
+      });
+    }
+    return { messageId: response.headers.get("x-message-id") || null };
+  }
+}
+
+// Captured messages are stored by message-capture.js, with the raw message as <id>.eml
+class CaptureTransport {
+  constructor({ dir, tenant = null } = {}) {
+    this.dir = dir;
+    this.tenant = tenant;
+  }
+
+  async sendMail(message) {
+    const { raw, messageId } = await buildMime(message);
+    const id = captureMessage(this.dir, {
+      messageId,
+      tenant: this.tenant,
+      from: message.from,
+      to: message.to,
+      cc: message.cc || null,
+      subject: message.subject,
+      headers: message.headers || {},
+      text: message.text || null,
+      html: message.html || null,
+      attachments: (message.attachments || []).map(attachment => ({
+        filename: attachment.filename,
+        size: Buffer.byteLength(attachment.content || "")
+      }))
+    }, { raw });
+
+    console.log(`Captured email "${message.subject}" for ${message.to} as ${id}`);
+    return { messageId };
+  }
+}
+
+function createMailTransport(config = {}) {
+  const auth = config.user ? { user: config.user, pass: config.pass } : undefined;
+
+  switch (config.transport || "service") {
+    case "service":
+      return nodemailer.createTransport({ service: config.service || "gmail", auth });
+    case "smtp":
+      return nodemailer.createTransport({
+        host: config.host,
+        port: Number(config.port) || 587,
+        secure: config.secure === true || config.secure === "true",
+        auth
+      });
+    case "ses":
+      return new SesTransport(config);
+    case "sendgrid":
+      return new SendGridTransport(config);
+    case "capture":
+      return new CaptureTransport(config);
+    default:
+      throw new Error(`Unknown mail transport "${config.transport}"`);
+  }
+}
+
+module.exports = {
+  createMailTransport,
+  MailTransportError,
+  SesTransport,
+  SendGridTransport,
+  CaptureTransport,
+  signAwsRequest
+};
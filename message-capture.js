@@ -0,0 +1,63 @@
+// Message Capture
+// The capture mail transport and the stub notification provider write messages to
+// a directory instead of sending them. Each message is <id>.json (its fields), plus
+// <id>.eml for emails (the raw RFC 822 message); the /dev inbox routes read them back.
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// Stores fields (and the raw message, if given) and returns the new id
+function captureMessage(dir, fields, { raw = null } = {}) {
+  const id = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+
+  fs.mkdirSync(dir, { recursive: true });
+  if (raw) {
+    fs.writeFileSync(path.join(dir, `${id}.eml`), raw);
+  }
+  fs.writeFileSync(path.join(dir, `${id}.json`), JSON.stringify({
+    id,
+    ...fields,
+    capturedAt: new Date().toISOString()
+  }, null, 2));
+  return id;
+}
+
+function listCapturedMessages(dir) {
+  let files = [];
+  try {
+    files = fs.readdirSync(dir).filter(file => file.endsWith(".json"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw error;
+    }
+  }
+  return files
+    .map(file => JSON.parse(fs.readFileSync(path.join(dir, file), "utf8")))
+    .sort((a, b) => b.capturedAt.localeCompare(a.capturedAt));
+}
+
+// Returns the stored message (and raw .eml, if any) or null; ids are checked so they can't leave dir
+function readCapturedMessage(dir, id) {
+  if (!/^[\w-]+$/.test(id) || !fs.existsSync(path.join(dir, `${id}.json`))) {
+    return null;
+  }
+  const eml = path.join(dir, `${id}.eml`);
+  return {
+    ...JSON.parse(fs.readFileSync(path.join(dir, `${id}.json`), "utf8")),
+    raw: fs.existsSync(eml) ? fs.readFileSync(eml) : null
+  };
+}
+
+// Deletes every captured message and returns how many there were
+function clearCapturedMessages(dir) {
+  const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter(file => /\.(json|eml)$/.test(file)) : [];
+  files.forEach(file => fs.unlinkSync(path.join(dir, file)));
+  return files.filter(file => file.endsWith(".json")).length;
+}
+
+module.exports = {
+  captureMessage,
+  listCapturedMessages,
+  readCapturedMessage,
+  clearCapturedMessages
+};
@@ -0,0 +1,82 @@
+// Message Templates
+// WhatsApp and SMS messages for order events. Each event has a plain-text body
+// (sent as the SMS, and shown as the preview of the WhatsApp message) and the name
+// of the pre-approved WhatsApp template with its body parameters in order. A
+// storefront can replace either in its tenant config:
+//   "notifications": { "templates": { "<event>": { "sms": "Hi {{name}} ...", "whatsapp": "my_template" } } }
+// SMS overrides are filled from the same fields as the defaults, which lets the
+// text match a DLT-registered template word for word.
+const templates = {
+  "order-confirmation": {
+    description: "Order paid in full",
+    text: data => `Hi ${data.name}, thank you for your order #${data.orderNumber} of Rs. ${data.amount} at ${data.store}. We'll message you when it ships.`,
+    whatsapp: { name: "order_confirmation", params: data => [data.name, data.orderNumber, data.amount, data.store] }
+  },
+  "advance-payment-confirmation": {
+    description: "Advance received for a cash-on-delivery order",
+    text: data => `Hi ${data.name}, we've received your advance of Rs. ${data.advance} for order #${data.orderNumber} at ${data.store}. Please pay the balance of Rs. ${data.balance} in cash on delivery.`,
+    whatsapp: { name: "advance_payment_confirmation", params: data => [data.name, data.advance, data.orderNumber, data.balance] }
+  },
+  "shipped": {
+    description: "Shipment picked up by the courier",
+    text: data => `Hi ${data.name}, your ${data.store} order #${data.orderNumber} has shipped${data.courier ? ` with ${data.courier}` : ""}. Track it: ${data.trackingUrl}`,
+    whatsapp: { name: "order_shipped", params: data => [data.name, data.orderNumber, data.courier || "our courier partner", data.trackingUrl] }
+  },
+  "out-for-delivery": {
+    description: "Shipment out for delivery (prepaid orders)",
+    text: data => `Hi ${data.name}, your ${data.store} order #${data.orderNumber} is out for delivery today. Please keep your phone handy for the courier.`,
+    whatsapp: { name: "order_out_for_delivery", params: data => [data.name, data.orderNumber] }
+  },
+  "balance-reminder": {
+    description: "Out for delivery with a cash-on-delivery balance still to pay",
+    text: data => `Hi ${data.name}, your ${data.store} order #${data.orderNumber} is out for delivery today. Please keep Rs. ${data.balance} ready to pay the courier.`,
+    whatsapp: { name: "cod_balance_reminder", params: data => [data.name, data.orderNumber, data.balance] }
+  },
+  "delivered": {
+    description: "Shipment delivered",
+    text: data => `Hi ${data.name}, your ${data.store} order #${data.orderNumber} has been delivered. Thank you for shopping with us!`,
+    whatsapp: { name: "order_delivered", params: data => [data.name, data.orderNumber, data.store] }
+  }
+};
+
+const sample = {
+  name: "Asha",
+  store: "Our Store",
+  orderNumber: "ORD-1001",
+  amount: "2,497.00",
+  advance: "499.40",
+  balance: "1,997.60",
+  courier: "Delhivery",
+  awb: "1234567890",
+  trackingUrl: "https://shiprocket.co/tracking/1234567890"
+};
+
+function fillPlaceholders(text, data) {
+  return text.replace(/\{\{(\w+)\}\}/g, (match, name) => data[name] === undefined || data[name] === null ? "" : String(data[name]));
+}
+
+// Returns { text, whatsapp: { name, language, params } } for an event on a tenant
+function renderMessage(event, data, tenant) {
+  const template = templates[event];
+  if (!template) {
+    throw new Error(`Unknown message template "${event}"`);
+  }
+
+  const config = (tenant && tenant.notifications) || {};
+  const override = (config.templates && config.templates[event]) || {};
+
+  return {
+    text: override.sms ? fillPlaceholders(override.sms, data) : template.text(data),
+    whatsapp: {
+      name: override.whatsapp || template.whatsapp.name,
+      language: override.language || config.language || "en",
+      params: template.whatsapp.params(data).map(String)
+    }
+  };
+}
+
+module.exports = {
+  templates,
+  sample,
+  renderMessage
+};
@@ -0,0 +1,148 @@
+// Notification Channels
+// WhatsApp and SMS providers behind one interface, send({ to, text, whatsapp }) ->
+// { messageId }, where "to" is a 10-digit Indian mobile number and the message
+// comes from message-templates.js. Providers are chosen per channel in the
+// tenant's "notifications" config:
+//   whatsapp-cloud - Meta's WhatsApp Cloud API, sending the pre-approved template
+//                    (accessToken, phoneNumberId, apiVersion, baseUrl)
+//   twilio         - Twilio's Messages API or anything that speaks it, sending the
+//                    text as an SMS (accountSid, authToken, from, baseUrl)
+//   stub           - writes each message to a directory instead of sending it, for
+//                    local development and tests
+// Failures throw NotificationError carrying the provider's status; rejections that
+// won't succeed on a retry (e.g. a number that isn't on WhatsApp) are flagged permanent.
+const { requestJson, isPermanentHttpFailure } = require("./http-client");
+const { captureMessage } = require("./message-capture");
+
+class NotificationError extends Error {
+  constructor(message, { status = null, code = null, permanent = false } = {}) {
+    super(message);
+    this.name = "NotificationError";
+    this.status = status;
+    this.code = code;
+    this.permanent = permanent;
+  }
+}
+
+function toE164(phone) {
+  return `+91${phone}`;
+}
+
+// Connection failures become retryable NotificationErrors
+function requestProvider(url, options, timeoutMs) {
+  return requestJson(url, options, {
+    timeoutMs,
+    label: "Provider",
+    createError: (message, details) => new NotificationError(message, details)
+  });
+}
+
+class WhatsAppCloudProvider {
+  constructor({ accessToken, phoneNumberId, apiVersion, baseUrl, timeoutMs } = {}) {
+    this.accessToken = accessToken;
+    this.phoneNumberId = phoneNumberId;
+    this.apiVersion = apiVersion || "v19.0";
+    this.baseUrl = (baseUrl || "https://graph.facebook.com").replace(/\/+$/, "");
+    this.timeoutMs = Number(timeoutMs) || 15000;
+  }
+
+  async send({ to, whatsapp }) {
+    const { response, data } = await requestProvider(`${this.baseUrl}/${this.apiVersion}/${this.phoneNumberId}/messages`, {
+      method: "POST",
+      headers: { "Authorization": `Bearer ${this.accessToken}`, "Content-Type": "application/json" },
+      body: JSON.stringify({
+        messaging_product: "whatsapp",
+        to: toE164(to).slice(1),
+        type: "template",
+        template: {
+          name: whatsapp.name,
+          language: { code: whatsapp.language },
+          components: [{ type: "body", parameters: whatsapp.params.map(text => ({ type: "text", text })) }]
+        }
+      })
+    }, this.timeoutMs);
+
+    if (!response.ok) {
+      const error = (data && data.error) || {};
+      throw new NotificationError(`WhatsApp rejected the message (${response.status}): ${error.message || response.statusText}`, {
+        status: response.status,
+        code: error.code || null,
+        permanent: isPermanentHttpFailure(response.status)
+      });
+    }
+    return { messageId: data && data.messages && data.messages[0] ? data.messages[0].id : null };
+  }
+}
+
+class TwilioSmsProvider {
+  constructor({ accountSid, authToken, from, baseUrl, timeoutMs } = {}) {
+    this.accountSid = accountSid;
+    this.authToken = authToken;
+    this.from = from;
+    this.baseUrl = (baseUrl || "https://api.twilio.com").replace(/\/+$/, "");
+    this.timeoutMs = Number(timeoutMs) || 15000;
+  }
+
+  async send({ to, text }) {
+    const { response, data } = await requestProvider(`${this.baseUrl}/2010-04-01/Accounts/${this.accountSid}/Messages.json`, {
+      method: "POST",
+      headers: {
+        "Authorization": `Basic ${Buffer.from(`${this.accountSid}:${this.authToken}`).toString("base64")}`,
+        "Content-Type": "application/x-www-form-urlencoded"
+      },
+      body: new URLSearchParams({ To: toE164(to), From: this.from, Body: text }).toString()
+    }, this.timeoutMs);
+
+    if (!response.ok) {
+      throw new NotificationError(`SMS provider rejected the message (${response.status}): ${(data && data.message) || response.statusText}`, {
+        status: response.status,
+        code: data && data.code ? data.code : null,
+        permanent: isPermanentHttpFailure(response.status)
+      });
+    }
+    return { messageId: data && data.sid };
+  }
+}
+
+// Stub messages are stored by message-capture.js, like captured emails
+class StubProvider {
+  constructor({ dir, channel, tenant = null } = {}) {
+    this.dir = dir;
+    this.channel = channel;
+    this.tenant = tenant;
+  }
+
+  async send({ to, text, whatsapp }) {
+    const id = captureMessage(this.dir, {
+      tenant: this.tenant,
+      channel: this.channel,
+      to,
+      text,
+      whatsapp: this.channel === "whatsapp" ? whatsapp : null
+    });
+
+    console.log(`Stub ${this.channel} message to ${to} captured as ${id}`);
+    return { messageId: `stub-${id}` };
+  }
+}
+
+function createNotificationProvider(channel, config = {}) {
+  switch (config.provider || (channel === "whatsapp" ? "whatsapp-cloud" : "twilio")) {
+    case "whatsapp-cloud":
+      return new WhatsAppCloudProvider(config);
+    case "twilio":
+      return new TwilioSmsProvider(config);
+    case "stub":
+      return new StubProvider({ ...config, channel });
+    default:
+      throw new Error(`Unknown ${channel} provider "${config.provider}"`);
+  }
+}
+
+module.exports = {
+  createNotificationProvider,
+  NotificationError,
+  WhatsAppCloudProvider,
+  TwilioSmsProvider,
+  StubProvider
+};
@@ -0,0 +1,149 @@
+// Shiprocket API Client
+// Every Shiprocket call goes through one client so that the login token is shared:
+// concurrent callers wait on a single in-flight login, a 401 (token revoked or
+// expired early) triggers one re-login and retry, and each request is bounded by
+// a timeout. Non-2xx answers are returned as { ok, status, data } so routes can
+// relay Shiprocket's own status; failures with no usable answer throw the typed
+// errors below.
+const DEFAULT_BASE_URL = "https://apiv2.shiprocket.in/v1/external";
+
+class ShiprocketError extends Error {
+  constructor(message, { status = null, data = null } = {}) {
+    super(message);
+    this.name = "ShiprocketError";
+    this.status = status;
+    this.data = data;
+  }
+}
+
+// Login was rejected (bad credentials, locked account)
+class ShiprocketAuthError extends ShiprocketError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "ShiprocketAuthError";
+  }
+}
+
+// No answer within the client's timeout
+class ShiprocketTimeoutError extends ShiprocketError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "ShiprocketTimeoutError";
+  }
+}
+
+// Connection failures and non-JSON answers (e.g. a gateway error page)
+class ShiprocketNetworkError extends ShiprocketError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "ShiprocketNetworkError";
+  }
+}
+
+class ShiprocketClient {
+  constructor({ email, password, baseUrl = DEFAULT_BASE_URL, timeoutMs = 15000, tokenTtlHours = 23 } = {}) {
+    this.email = email;
+    this.password = password;
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+    this.timeoutMs = timeoutMs;
+    this.tokenTtlHours = tokenTtlHours;
+    this.token = null;
+    this.tokenExpiresAt = null;
+    this.loginPromise = null;
+  }
+
+  async getToken() {
+    if (this.token && this.tokenExpiresAt && new Date() < this.tokenExpiresAt) {
+      return this.token;
+    }
+
+    if (!this.loginPromise) {
+      this.loginPromise = this.login().finally(() => {
+        this.loginPromise = null;
+      });
+    }
+    return this.loginPromise;
+  }
+
+  async login() {
+    console.log("Fetching new Shiprocket token");
+    const { ok, status, data } = await this.send("POST", "/auth/login", {
+      body: { email: this.email, password: this.password }
+    });
+
+    if (!ok || !data.token) {
+      throw new ShiprocketAuthError(data.message || "Failed to authenticate with Shiprocket", { status, data });
+    }
+
+    this.token = data.token;
+    // Shiprocket tokens last 24 hours; renew a little early to be safe
+    this.tokenExpiresAt = new Date(Date.now() + this.tokenTtlHours * 60 * 60 * 1000);
+    return this.token;
+  }
+
+  // Drops the cached token unless a concurrent caller has already replaced it
+  invalidateToken(token) {
+    if (this.token === token) {
+      this.token = null;
+      this.tokenExpiresAt = null;
+    }
+  }
+
+  async request(method, endpoint, body) {
+    const token = await this.getToken();
+    const result = await this.send(method, endpoint, { body, token });
+
+    if (result.status !== 401) {
+      return result;
+    }
+
+    console.log("Shiprocket token rejected, logging in again");
+    this.invalidateToken(token);
+    return this.send(method, endpoint, { body, token: await this.getToken() });
+  }
+
+  get(endpoint) {
+    return this.request("GET", endpoint);
+  }
+
+  post(endpoint, body) {
+    return this.request("POST", endpoint, body);
+  }
+
+  async send(method, endpoint, { body, token } = {}) {
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}${endpoint}`, {
+        method,
+        headers: {
+          "Content-Type": "application/json",
+          ...(token ? { "Authorization": `Bearer ${token}` } : {})
+        },
+        body: body ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+    } catch (error) {
+      if (error.name === "TimeoutError" || error.name === "AbortError") {
+        throw new ShiprocketTimeoutError(`Shiprocket ${method} ${endpoint} timed out after ${this.timeoutMs}ms`);
+      }
+      throw new ShiprocketNetworkError(`Shiprocket ${method} ${endpoint} failed: ${error.message}`);
+    }
+
+    let data;
+    try {
+      data = await response.json();
+    } catch (error) {
+      throw new ShiprocketNetworkError(`Shiprocket ${method} ${endpoint} returned an invalid response`, { status: response.status });
+    }
+
+    return { ok: response.ok, status: response.status, data };
+  }
+}
+
+module.exports = {
+  ShiprocketClient,
+  ShiprocketError,
+  ShiprocketAuthError,
+  ShiprocketTimeoutError,
+  ShiprocketNetworkError
+};
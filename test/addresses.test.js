@@ -0,0 +1,167 @@
+// Indian address normalization: phone numbers, pincodes against the bundled prefix map
+// and an India Post directory, and where the checks are applied.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startServer } = require("./support/server");
+
+const customer = {
+  firstName: " Asha ",
+  lastName: "Kumar",
+  phone: "9876543210",
+  address: "12   MG Road,  Camp",
+  city: "Pune",
+  state: "Maharashtra",
+  zip: "411001"
+};
+
+let directoryDir;
+let server;
+
+before(async () => {
+  // A two-row slice of India Post's pincode directory
+  directoryDir = fs.mkdtempSync(path.join(os.tmpdir(), "pincode-directory-"));
+  fs.writeFileSync(path.join(directoryDir, "pincodes.csv"), [
+    "officename,pincode,officetype,Deliverystatus,divisionname,regionname,circlename,Taluk,Districtname,statename",
+    "Pune City S.O,411001,S.O,Delivery,Pune City,Pune,Maharashtra Circle,Pune City,PUNE,MAHARASHTRA",
+    "\"Madhapur, Hyderabad S.O\",500081,S.O,Delivery,Hyderabad,Hyderabad,Telangana Circle,Serilingampally,HYDERABAD,TELANGANA"
+  ].join("\n"));
+
+  server = await startServer({ env: { PINCODE_DIRECTORY_PATH: path.join(directoryDir, "pincodes.csv") } });
+});
+
+after(async () => {
+  await server.stop();
+  fs.rmSync(directoryDir, { recursive: true, force: true });
+});
+
+async function validate(overrides) {
+  const response = await server.request("POST", "/addresses/validate", { body: { customer: { ...customer, ...overrides } } });
+  assert.equal(response.status, 200);
+  return response.body;
+}
+
+test("phone numbers with a country code, leading zero or spaces become 10 digits", async () => {
+  for (const phone of ["+91 98765 43210", "098765-43210", "0091 98765 43210", "91-9876543210"]) {
+    const result = await validate({ phone });
+    assert.equal(result.address.phone, "9876543210", phone);
+    assert.equal(result.valid, true, phone);
+  }
+
+  const landline = await validate({ phone: "020 2612 3456" });
+  assert.equal(landline.valid, false);
+  assert.deepEqual(landline.errors, [{ field: "phone", message: "must be a 10-digit Indian mobile number" }]);
+});
+
+test("a clean address passes with whitespace tidied and the state spelled out", async () => {
+  const result = await validate({ state: "MH" });
+
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.warnings, []);
+  assert.equal(result.address.firstName, "Asha");
+  assert.equal(result.address.address, "12 MG Road, Camp");
+  assert.equal(result.address.state, "Maharashtra");
+  assert.equal(result.address.country, "India");
+});
+
+test("the directory fills in a missing city and state and corrects a wrong state", async () => {
+  const filled = await validate({ city: "", state: "" });
+  assert.equal(filled.valid, true);
+  assert.equal(filled.address.city, "Pune");
+  assert.equal(filled.address.state, "Maharashtra");
+  assert.deepEqual(filled.warnings.map(warning => warning.field), ["state", "city"]);
+
+  const corrected = await validate({ state: "Karnataka" });
+  assert.equal(corrected.address.state, "Maharashtra");
+  assert.deepEqual(corrected.warnings, [{ field: "state", message: "changed from \"Karnataka\" to Maharashtra to match pincode 411001" }]);
+});
+
+test("pincodes only known by their prefix fill in the state but only warn about a mismatch", async () => {
+  const filled = await validate({ zip: "411038", city: "Pune", state: "" });
+  assert.equal(filled.address.state, "Maharashtra");
+  assert.deepEqual(filled.warnings, [{ field: "state", message: "filled in as Maharashtra from pincode 411038" }]);
+
+  // Near a state border the prefix can be wrong, so the customer's state stands
+  const mismatch = await validate({ zip: "411038", state: "Karnataka" });
+  assert.equal(mismatch.valid, true);
+  assert.equal(mismatch.address.state, "Karnataka");
+  assert.deepEqual(mismatch.warnings, [{ field: "state", message: "pincodes starting 411 are usually in Maharashtra; check the state and pincode" }]);
+
+  // The prefix map has no cities
+  const noCity = await validate({ zip: "411038", city: "" });
+  assert.equal(noCity.valid, false);
+  assert.deepEqual(noCity.errors, [{ field: "city", message: "is required" }]);
+});
+
+test("missing and malformed fields are errors the storefront can show", async () => {
+  const result = await validate({ phone: "", address: "", zip: "41100", state: "Narnia" });
+
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.errors, [
+    { field: "phone", message: "is required" },
+    { field: "address", message: "is required" },
+    { field: "zip", message: "must be a 6-digit pincode" },
+    { field: "state", message: "\"Narnia\" is not an Indian state or union territory" }
+  ]);
+
+  const military = await validate({ zip: "990001" });
+  assert.deepEqual(military.warnings, [{ field: "zip", message: "990001 is not a recognised delivery pincode" }]);
+
+  const short = await validate({ address: "MG Road" });
+  assert.equal(short.valid, true);
+  assert.deepEqual(short.warnings.map(warning => warning.field), ["address"]);
+});
+
+test("the pincode lookup is exact from the directory and by prefix otherwise", async () => {
+  const exact = await server.request("GET", "/pincodes/500081");
+  assert.equal(exact.status, 200);
+  assert.deepEqual(
+    { city: exact.body.city, state: exact.body.state, exact: exact.body.exact },
+    { city: "Hyderabad", state: "Telangana", exact: true }
+  );
+
+  const prefix = await server.request("GET", "/pincodes/500032");
+  assert.deepEqual(
+    { city: prefix.body.city, state: prefix.body.state, exact: prefix.body.exact },
+    { city: null, state: "Telangana", exact: false }
+  );
+
+  assert.equal((await server.request("GET", "/pincodes/5000")).status, 400);
+  assert.equal((await server.request("GET", "/pincodes/990001")).status, 404);
+});
+
+test("advance orders report address errors before anything is charged", async () => {
+  const response = await server.request("POST", "/create-order", {
+    body: {
+      paymentMode: "advance",
+      items: [{ sku: "DRJ-OIL-100", quantity: 1 }],
+      customer: { ...customer, email: "asha@example.com", phone: "12345", city: "", state: "" }
+    },
+    headers: { origin: "https://drjoints.in" }
+  });
+
+  assert.equal(response.status, 400);
+  assert.deepEqual(response.body.errors, ["customer.phone must be a 10-digit Indian mobile number"]);
+  assert.deepEqual(response.body.warnings, [
+    "customer.state filled in as Maharashtra from pincode 411001",
+    "customer.city filled in as Pune from pincode 411001"
+  ]);
+});
+
+test("emails render the normalized address", async () => {
+  const response = await server.request("POST", "/send-order-confirmation", {
+    body: {
+      customerEmail: "asha@example.com",
+      orderDetails: { orderNumber: "R-ADDR", items: [], total: 999 },
+      customerDetails: { ...customer, phone: "+91 98765 43210", state: "mh" }
+    }
+  });
+  assert.equal(response.status, 202);
+
+  const { html } = server.read("email-outbox")[response.body.messageId].message;
+  assert.match(html, /9876543210/);
+  assert.doesNotMatch(html, /\+91 98765/);
+  assert.match(html, /Pune, Maharashtra/);
+});
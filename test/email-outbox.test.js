@@ -0,0 +1,157 @@
+// Email outbox delivery: retries with exponential backoff, permanent failures and
+// admin resends, against a local stand-in for the SendGrid-style mail API.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { startServer, waitFor } = require("./support/server");
+
+const ADMIN = { "x-admin-key": "test-admin-key" };
+const BASE_SECONDS = 0.2;
+
+// Each recipient's local part picks how the fake API answers
+const deliveries = [];
+const failuresLeft = { flaky: 2 };
+let bouncing = true;
+
+function respond(res, recipient) {
+  const mailbox = recipient.split("@")[0];
+
+  if (mailbox === "down" || (mailbox === "flaky" && failuresLeft.flaky-- > 0)) {
+    res.writeHead(503, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify({ errors: [{ message: "Service unavailable" }] }));
+  }
+  if (mailbox === "bounce" && bouncing) {
+    res.writeHead(400, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify({ errors: [{ message: "Does not contain a valid address" }] }));
+  }
+  res.writeHead(202, { "x-message-id": `msg_${mailbox}` });
+  res.end();
+}
+
+let mailApi;
+let server;
+
+before(async () => {
+  mailApi = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", chunk => { raw += chunk; });
+    req.on("end", () => {
+      const body = JSON.parse(raw);
+      const recipient = body.personalizations[0].to[0].email;
+      deliveries.push({ recipient, authorization: req.headers.authorization, subject: body.subject, at: Date.now() });
+      respond(res, recipient);
+    });
+  });
+  await new Promise(resolve => mailApi.listen(0, "127.0.0.1", resolve));
+
+  server = await startServer({
+    env: {
+      MAIL_TRANSPORT: "sendgrid",
+      MAIL_API_URL: `http://127.0.0.1:${mailApi.address().port}`,
+      MAIL_API_KEY: "test-mail-key",
+      EMAIL_FROM: "orders@example.com",
+      EMAIL_RETRY_BASE_SECONDS: String(BASE_SECONDS),
+      EMAIL_RETRY_MAX_ATTEMPTS: "3",
+      EMAIL_OUTBOX_POLL_SECONDS: "0.05"
+    }
+  });
+});
+
+after(async () => {
+  await server.stop();
+  await new Promise(resolve => mailApi.close(resolve));
+});
+
+async function sendEmail(to) {
+  const response = await server.request("POST", "/send-email", { body: { to, subject: `Hello ${to}`, message: "Hi" } });
+  assert.equal(response.status, 202);
+  assert.equal(response.body.statusUrl, `/emails/${response.body.messageId}`);
+  return response.body.messageId;
+}
+
+async function settled(id) {
+  let email;
+  await waitFor(async () => {
+    email = (await server.request("GET", `/emails/${id}`, { headers: ADMIN })).body.email;
+    return email.status !== "queued";
+  }, { timeoutMs: 10000 });
+  return email;
+}
+
+test("a queued email is delivered on the first attempt", async () => {
+  const id = await sendEmail("ok@example.com");
+  const email = await settled(id);
+
+  assert.equal(email.status, "sent");
+  assert.equal(email.attempts, 1);
+  assert.equal(email.nextAttemptAt, null);
+
+  const delivery = deliveries.find(entry => entry.recipient === "ok@example.com");
+  assert.equal(delivery.authorization, "Bearer test-mail-key");
+  assert.equal(delivery.subject, "Hello ok@example.com");
+  assert.equal(server.read("email-outbox")[id].providerMessageId, "msg_ok");
+});
+
+test("transient failures are retried with exponentially growing delays", async () => {
+  const id = await sendEmail("flaky@example.com");
+  const email = await settled(id);
+
+  assert.equal(email.status, "sent");
+  assert.equal(email.attempts, 3);
+
+  const entry = server.read("email-outbox")[id];
+  assert.deepEqual(entry.history.map(item => item.code || (item.sent ? "sent" : null)), [503, 503, "sent"]);
+
+  const [first, second, third] = deliveries.filter(item => item.recipient === "flaky@example.com").map(item => item.at);
+  assert.ok(second - first >= BASE_SECONDS * 1000, `second attempt came ${second - first}ms after the first`);
+  assert.ok(third - second >= 2 * BASE_SECONDS * 1000, `third attempt came ${third - second}ms after the second`);
+});
+
+test("an email that keeps failing is marked failed after the last attempt", async () => {
+  const id = await sendEmail("down@example.com");
+  const email = await settled(id);
+
+  assert.equal(email.status, "failed");
+  assert.equal(email.attempts, 3);
+  assert.equal(email.nextAttemptAt, null);
+  assert.match(email.lastError, /503/);
+  assert.equal(deliveries.filter(item => item.recipient === "down@example.com").length, 3);
+});
+
+test("a rejected address fails at once and can be resent by an admin", async () => {
+  const id = await sendEmail("bounce@example.com");
+  const email = await settled(id);
+
+  assert.equal(email.status, "failed");
+  assert.equal(email.attempts, 1);
+  assert.match(email.lastError, /valid address/);
+
+  assert.equal((await server.request("POST", `/emails/${id}/resend`)).status, 401);
+
+  bouncing = false;
+  const resent = await server.request("POST", `/emails/${id}/resend`, { headers: ADMIN });
+  assert.equal(resent.status, 200);
+  assert.equal(resent.body.email.status, "sent");
+  assert.equal(resent.body.email.attempts, 1);
+
+  const again = await server.request("POST", `/emails/${id}/resend`, { headers: ADMIN });
+  assert.equal(again.status, 409);
+});
+
+test("the outbox list needs the admin key and filters by status", async () => {
+  assert.equal((await server.request("GET", "/emails")).status, 401);
+
+  const failed = await server.request("GET", "/emails?status=failed", { headers: ADMIN });
+  assert.equal(failed.status, 200);
+  assert.deepEqual(failed.body.emails.map(email => email.to), ["down@example.com"]);
+
+  assert.equal((await server.request("GET", "/emails/eml_missing")).status, 404);
+});
+
+test("without the admin key an email's status shows no recipient, subject or error", async () => {
+  const [failed] = (await server.request("GET", "/emails?status=failed", { headers: ADMIN })).body.emails;
+
+  const response = await server.request("GET", `/emails/${failed.id}`);
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.email, { id: failed.id, status: "failed", attempts: 3 });
+});
@@ -0,0 +1,100 @@
+// Customer-supplied text must never turn into markup in a rendered email.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { templates, renderEmail, resolveBranding, html, escapeHtml, htmlToText } = require("../email-templates");
+
+const SCRIPT = "<script>alert(1)</script>";
+
+const hostileOrder = {
+  orderNumber: `ORD-1"><img src=x onerror=alert(1)>`,
+  products: [{ name: `Oil ${SCRIPT}`, quantity: "1<b>", price: "999 & up" }],
+  totalAmount: "999.00",
+  paymentMethod: "<i>Razorpay</i>",
+  paymentId: "pay_'1'"
+};
+
+const hostileCustomer = {
+  firstName: `Asha ${SCRIPT}`,
+  lastName: "<b>Kumar</b>",
+  phone: "9876543210",
+  address: `12 MG Road <a href="https://evil.example">click</a>`,
+  city: "Pune",
+  state: "Maharashtra",
+  zip: "411001"
+};
+
+test("escapeHtml escapes every character that can break out of text or attributes", () => {
+  assert.equal(escapeHtml(`<a href="x" title='y'>&</a>`), "&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;");
+  assert.equal(escapeHtml(42), "42");
+});
+
+test("the html tag escapes interpolated values but keeps nested html fragments", () => {
+  const inner = html`<b>${"<i>"}</b>`;
+  const outer = html`<p title="${`" onmouseover="x`}">${inner}${[SCRIPT, html`<br>`]}${null}${undefined}${false}</p>`;
+
+  assert.equal(
+    outer.toString(),
+    `<p title="&quot; onmouseover=&quot;x"><b>&lt;i&gt;</b>&lt;script&gt;alert(1)&lt;/script&gt;<br></p>`
+  );
+});
+
+test("order confirmation escapes customer and order fields", () => {
+  const email = renderEmail("order-confirmation", {
+    orderDetails: hostileOrder,
+    customerDetails: hostileCustomer,
+    customerEmail: `asha@example.com<script>`
+  });
+
+  assert.ok(!email.html.includes("<script>"));
+  assert.ok(!email.html.includes("<img src=x"));
+  assert.ok(!email.html.includes(`<a href="https://evil.example">`));
+  assert.ok(!email.html.includes("<b>Kumar</b>"));
+  assert.ok(email.html.includes("Asha &lt;script&gt;alert(1)&lt;/script&gt;"));
+  assert.ok(email.html.includes("999 &amp; up"));
+  // The plain-text part shows the text the customer typed, decoded once
+  assert.ok(email.text.includes(`Asha ${SCRIPT}`));
+});
+
+// Fields customers and agents type into; enums like a shipment milestone are left alone
+const FREE_TEXT_FIELDS = ["firstName", "lastName", "address", "apartment", "city", "name", "productName", "orderNumber", "reason", "description", "note", "courier", "customerName"];
+
+test("every template escapes hostile data in the fields it renders", () => {
+  Object.entries(templates).forEach(([name, template]) => {
+    const data = JSON.parse(JSON.stringify(template.sample), (key, value) =>
+      typeof value === "string" && FREE_TEXT_FIELDS.includes(key) ? `${value}${SCRIPT}` : value);
+    const email = renderEmail(name, data);
+
+    assert.ok(!email.html.includes(SCRIPT), `${name} rendered a raw <script> tag`);
+  });
+});
+
+test("link URLs are escaped inside their attributes", () => {
+  const email = renderEmail("abandoned-cart", {
+    ...templates["abandoned-cart"].sample,
+    resumeUrl: `https://shop.example/resume?a=1&b="><script>x</script>`,
+    unsubscribeUrl: `https://shop.example/unsubscribe/"onclick="x`
+  });
+
+  assert.ok(email.html.includes(`href="https://shop.example/resume?a=1&amp;b=&quot;&gt;&lt;script&gt;x&lt;/script&gt;"`));
+  assert.ok(email.html.includes(`href="https://shop.example/unsubscribe/&quot;onclick=&quot;x"`));
+});
+
+test("branding colours must be plain hex values and names are escaped", () => {
+  const tenant = {
+    name: `Glow <b>Glaz</b>`,
+    branding: { primaryColor: "red; background: url(https://evil.example)", accentColor: "#d81b60", logoUrl: `https://cdn.example/logo.png" onerror="x` }
+  };
+  const branding = resolveBranding(tenant);
+  assert.equal(branding.primaryColor, "#667eea");
+  assert.equal(branding.accentColor, "#d81b60");
+
+  const email = renderEmail("order-confirmation", templates["order-confirmation"].sample, tenant);
+  assert.ok(!email.html.includes("evil.example)"));
+  assert.ok(email.html.includes("Glow &lt;b&gt;Glaz&lt;/b&gt;"));
+  assert.ok(email.html.includes(`src="https://cdn.example/logo.png&quot; onerror=&quot;x"`));
+});
+
+test("htmlToText keeps link targets and decodes entities", () => {
+  const text = htmlToText(`<p>Fish &amp; chips</p><p><a href="https://shop.example/r">Resume</a></p>`);
+  assert.equal(text, "Fish & chips\nResume (https://shop.example/r)");
+});
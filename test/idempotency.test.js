@@ -0,0 +1,117 @@
+// Idempotency-Key handling: replays, conflicting bodies, and keys released when a
+// client gives up before the response is recorded.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createFakeShiprocket } = require("../fake-shiprocket");
+const { startServer, waitFor } = require("./support/server");
+
+const orderData = {
+  order_id: "R-IDEM",
+  order_date: "2026-01-01 10:00",
+  billing_customer_name: "Asha",
+  billing_last_name: "Kumar",
+  billing_address: "12 MG Road, Camp",
+  billing_city: "Pune",
+  billing_pincode: "411001",
+  billing_state: "Maharashtra",
+  billing_country: "India",
+  billing_email: "asha@example.com",
+  billing_phone: "9876543210",
+  shipping_is_billing: true,
+  order_items: [{ name: "Dr Joints Pain Relief Oil (100 ml)", sku: "DRJ-OIL-100", units: 1, selling_price: 999 }],
+  payment_method: "Prepaid",
+  sub_total: 999,
+  length: 10,
+  breadth: 10,
+  height: 10,
+  weight: 0.5
+};
+
+let fake;
+let shiprocket;
+let server;
+
+before(async () => {
+  fake = createFakeShiprocket();
+  await new Promise(resolve => {
+    shiprocket = fake.listen(0, resolve);
+  });
+
+  server = await startServer({
+    env: {
+      SHIPROCKET_BASE_URL: `http://127.0.0.1:${shiprocket.address().port}/v1/external`,
+      SHIPROCKET_EMAIL: "ops@example.com",
+      SHIPROCKET_PASSWORD: "secret"
+    }
+  });
+});
+
+after(async () => {
+  await server.stop();
+  await new Promise(resolve => shiprocket.close(resolve));
+});
+
+function sendEmail(key, body) {
+  return server.request("POST", "/send-email", { body, headers: { "idempotency-key": key } });
+}
+
+const outboxSize = () => Object.keys(server.read("email-outbox")).length;
+
+test("a repeated key replays the first response without doing the work again", async () => {
+  const body = { to: "asha@example.com", subject: "Hello", message: "Hi" };
+
+  const first = await sendEmail("key-replay", body);
+  assert.equal(first.status, 202);
+  const queued = outboxSize();
+
+  const second = await sendEmail("key-replay", body);
+  assert.equal(second.status, 202);
+  assert.equal(second.headers.get("idempotent-replayed"), "true");
+  assert.deepEqual(second.body, first.body);
+  assert.equal(outboxSize(), queued);
+});
+
+test("reusing a key with a different body is rejected", async () => {
+  await sendEmail("key-conflict", { to: "asha@example.com", subject: "One", message: "Hi" });
+
+  const response = await sendEmail("key-conflict", { to: "asha@example.com", subject: "Two", message: "Hi" });
+  assert.equal(response.status, 422);
+});
+
+test("requests without a key are not de-duplicated", async () => {
+  const body = { to: "asha@example.com", subject: "No key", message: "Hi" };
+  const first = await server.request("POST", "/send-email", { body });
+  const second = await server.request("POST", "/send-email", { body });
+
+  assert.notEqual(first.body.messageId, second.body.messageId);
+});
+
+test("a key is released when the client goes away before the response, and a retry can use it", async () => {
+  const key = "key-abandoned";
+  const headers = { "Content-Type": "application/json", "idempotency-key": key };
+  const storedKey = () => server.read("idempotency-keys")[`default:/shiprocket/create-order:${key}`];
+
+  // Shiprocket is slow to answer the first attempt, so the client gives up
+  fake.state.failures.push({ path: "/v1/external/orders/create/adhoc", times: 1, delayMs: 800 });
+  await assert.rejects(fetch(`${server.url}/shiprocket/create-order`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify(orderData),
+    signal: AbortSignal.timeout(150)
+  }));
+
+  await waitFor(() => !storedKey());
+
+  const retry = await server.request("POST", "/shiprocket/create-order", { body: orderData, headers: { "idempotency-key": key } });
+  assert.equal(retry.status, 200);
+  assert.equal(storedKey().status, "completed");
+
+  // The abandoned attempt finishing late must not overwrite the retry's stored response
+  await waitFor(() => Object.keys(fake.state.orders).length === 2, { timeoutMs: 3000 });
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.deepEqual(storedKey().body, retry.body);
+
+  const replay = await server.request("POST", "/shiprocket/create-order", { body: orderData, headers: { "idempotency-key": key } });
+  assert.equal(replay.headers.get("idempotent-replayed"), "true");
+  assert.deepEqual(replay.body, retry.body);
+});
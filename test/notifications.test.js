@@ -0,0 +1,180 @@
+// WhatsApp and SMS notifications: retries with exponential backoff, falling back to
+// the next channel, and admin resends, against a local stand-in for both providers.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { startServer, waitFor } = require("./support/server");
+
+const ADMIN = { "x-admin-key": "test-admin-key" };
+const TRACKING_TOKEN = "test-tracking-token";
+const BASE_SECONDS = 0.2;
+
+// Each number picks how the fake providers answer: whatsapp-<phone> and sms-<phone>
+// hold the statuses to return, one per request, before answering with success
+const scripts = {
+  "whatsapp-9000000002": [503, 503],
+  "whatsapp-9000000003": [400],
+  "whatsapp-9000000004": [503, 503, 503],
+  "sms-9000000004": [503, 503, 503]
+};
+const deliveries = [];
+
+function record(channel, phone, res) {
+  const status = (scripts[`${channel}-${phone}`] || []).shift() || 200;
+  deliveries.push({ channel, phone, status, at: Date.now() });
+
+  res.writeHead(status, { "Content-Type": "application/json" });
+  if (status !== 200) {
+    return res.end(JSON.stringify(channel === "whatsapp"
+      ? { error: { message: status === 400 ? "Recipient is not a WhatsApp user" : "Service unavailable", code: status } }
+      : { message: "Service unavailable", code: status }));
+  }
+  res.end(JSON.stringify(channel === "whatsapp" ? { messages: [{ id: `wamid.${phone}` }] } : { sid: `SM${phone}` }));
+}
+
+function ledgerOrder(id, phone) {
+  return {
+    id,
+    receipt: `R-${id}`,
+    amount: 999,
+    currency: "INR",
+    status: "shipped",
+    tenant: "default",
+    paymentMode: "full",
+    totalAmount: 999,
+    awb: `AWB-${id}`,
+    customer: { firstName: "Asha", phone },
+    history: [{ status: "created", at: "2026-01-01T00:00:00.000Z" }],
+    createdAt: "2026-01-01T00:00:00.000Z",
+    updatedAt: "2026-01-01T00:00:00.000Z"
+  };
+}
+
+let providers;
+let server;
+
+before(async () => {
+  providers = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", chunk => { raw += chunk; });
+    req.on("end", () => {
+      if (req.url.startsWith("/v19.0/")) {
+        return record("whatsapp", JSON.parse(raw).to.slice(2), res);
+      }
+      record("sms", new URLSearchParams(raw).get("To").slice(3), res);
+    });
+  });
+  await new Promise(resolve => providers.listen(0, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${providers.address().port}`;
+
+  server = await startServer({
+    env: {
+      SHIPROCKET_WEBHOOK_TOKEN: TRACKING_TOKEN,
+      NOTIFICATION_CHANNELS: "whatsapp,sms",
+      WHATSAPP_ACCESS_TOKEN: "test-whatsapp-token",
+      WHATSAPP_PHONE_NUMBER_ID: "pn1",
+      WHATSAPP_API_URL: url,
+      TWILIO_ACCOUNT_SID: "AC1",
+      TWILIO_AUTH_TOKEN: "test-twilio-token",
+      SMS_FROM: "STORE",
+      SMS_API_URL: url,
+      NOTIFICATION_RETRY_BASE_SECONDS: String(BASE_SECONDS),
+      NOTIFICATION_RETRY_MAX_ATTEMPTS: "3",
+      NOTIFICATION_POLL_SECONDS: "0.05"
+    },
+    data: {
+      orders: {
+        order_ok: ledgerOrder("order_ok", "9000000001"),
+        order_flaky: ledgerOrder("order_flaky", "9000000002"),
+        order_nowa: ledgerOrder("order_nowa", "9000000003"),
+        order_down: ledgerOrder("order_down", "9000000004")
+      }
+    }
+  });
+});
+
+after(async () => {
+  await server.stop();
+  await new Promise(resolve => providers.close(resolve));
+});
+
+// A delivery scan queues the "delivered" message for the order's customer
+async function deliver(orderId) {
+  const response = await server.request("POST", "/courier/tracking-webhook", {
+    body: { awb: `AWB-${orderId}`, order_id: `R-${orderId}`, current_status: "DELIVERED" },
+    headers: { "x-api-key": TRACKING_TOKEN }
+  });
+  assert.equal(response.status, 200);
+
+  let notification;
+  await waitFor(async () => {
+    const { notifications } = (await server.request("GET", `/notifications?orderId=${orderId}`, { headers: ADMIN })).body;
+    notification = notifications[0];
+    return notification && notification.status !== "queued";
+  }, { timeoutMs: 10000 });
+  return notification;
+}
+
+test("a message is sent on the customer's first channel", async () => {
+  const notification = await deliver("order_ok");
+
+  assert.equal(notification.event, "delivered");
+  assert.equal(notification.status, "sent");
+  assert.equal(notification.channel, "whatsapp");
+  assert.equal(notification.attempts, 1);
+  assert.equal(notification.providerMessageId, "wamid.9000000001");
+});
+
+test("transient failures are retried with exponentially growing delays", async () => {
+  const notification = await deliver("order_flaky");
+
+  assert.equal(notification.status, "sent");
+  assert.equal(notification.channel, "whatsapp");
+  assert.equal(notification.attempts, 3);
+  assert.deepEqual(notification.history.map(item => item.code || (item.sent ? "sent" : null)), [503, 503, "sent"]);
+
+  const [first, second, third] = deliveries.filter(item => item.phone === "9000000002").map(item => item.at);
+  assert.ok(second - first >= BASE_SECONDS * 1000, `second attempt came ${second - first}ms after the first`);
+  assert.ok(third - second >= 2 * BASE_SECONDS * 1000, `third attempt came ${third - second}ms after the second`);
+});
+
+test("a permanent rejection falls back to the next channel straight away", async () => {
+  const notification = await deliver("order_nowa");
+
+  assert.equal(notification.status, "sent");
+  assert.equal(notification.channel, "sms");
+  assert.equal(notification.attempts, 1);
+  assert.equal(notification.providerMessageId, "SM9000000003");
+  assert.deepEqual(deliveries.filter(item => item.phone === "9000000003").map(item => `${item.channel} ${item.status}`), ["whatsapp 400", "sms 200"]);
+});
+
+test("a message fails once every channel runs out of attempts, and an admin can resend it", async () => {
+  const notification = await deliver("order_down");
+
+  assert.equal(notification.status, "failed");
+  assert.equal(notification.channel, "sms");
+  assert.equal(notification.attempts, 3);
+  assert.match(notification.lastError, /503/);
+  assert.deepEqual(deliveries.filter(item => item.phone === "9000000004").map(item => item.channel),
+    ["whatsapp", "whatsapp", "whatsapp", "sms", "sms", "sms"]);
+
+  assert.equal((await server.request("POST", `/notifications/${notification.id}/resend`)).status, 401);
+
+  const resent = await server.request("POST", `/notifications/${notification.id}/resend`, { headers: ADMIN });
+  assert.equal(resent.status, 200);
+  assert.equal(resent.body.notification.status, "sent");
+  assert.equal(resent.body.notification.channel, "sms");
+
+  const again = await server.request("POST", `/notifications/${notification.id}/resend`, { headers: ADMIN });
+  assert.equal(again.status, 409);
+});
+
+test("each event goes to a customer once per order", async () => {
+  await server.request("POST", "/courier/tracking-webhook", {
+    body: { awb: "AWB-order_ok", order_id: "R-order_ok", current_status: "DELIVERED" },
+    headers: { "x-api-key": TRACKING_TOKEN }
+  });
+
+  const { notifications } = (await server.request("GET", "/notifications?orderId=order_ok", { headers: ADMIN })).body;
+  assert.equal(notifications.length, 1);
+});
@@ -0,0 +1,110 @@
+// The storefront's confirmation email routes, and how they use the order ledger.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./support/server");
+
+const customerDetails = {
+  firstName: "Asha",
+  lastName: "Kumar",
+  phone: "9876543210",
+  address: "12 MG Road, Camp",
+  city: "Pune",
+  state: "Maharashtra",
+  zip: "411001"
+};
+
+let server;
+
+before(async () => {
+  server = await startServer({
+    data: {
+      orders: {
+        order_sent: {
+          id: "order_sent",
+          receipt: "R-SENT",
+          status: "shipped",
+          tenant: "default",
+          paymentMode: "full",
+          customer: { ...customerDetails, email: "asha@example.com" },
+          fulfilment: { email: { success: true, messageId: "eml_earlier" } },
+          history: [{ status: "created", at: "2026-01-01T00:00:00.000Z" }],
+          createdAt: "2026-01-01T00:00:00.000Z",
+          updatedAt: "2026-01-01T00:00:00.000Z"
+        },
+        order_advance: {
+          id: "order_advance",
+          receipt: "R-ADVANCE",
+          status: "paid",
+          tenant: "default",
+          paymentMode: "advance",
+          totalAmount: 1178.82,
+          advanceAmount: 200,
+          balanceAmount: 978.82,
+          paymentId: "pay_advance",
+          customer: { ...customerDetails, email: "asha@example.com" },
+          history: [{ status: "created", at: "2026-01-01T00:00:00.000Z" }],
+          createdAt: "2026-01-01T00:00:00.000Z",
+          updatedAt: "2026-01-01T00:00:00.000Z"
+        }
+      }
+    }
+  });
+});
+
+after(async () => {
+  await server.stop();
+});
+
+test("order confirmations need an email and order details", async () => {
+  assert.equal((await server.request("POST", "/send-order-confirmation")).status, 400);
+
+  const missingOrder = await server.request("POST", "/send-order-confirmation", { body: { customerEmail: "asha@example.com" } });
+  assert.equal(missingOrder.status, 400);
+  assert.equal(missingOrder.body.message, "Order details with an order number are required");
+
+  // Still up and answering
+  assert.equal((await server.request("POST", "/send-order-confirmation", { body: {} })).status, 400);
+});
+
+test("order confirmations are queued once per ledger order", async () => {
+  const already = await server.request("POST", "/send-order-confirmation", {
+    body: { customerEmail: "asha@example.com", orderDetails: { orderNumber: "R-SENT" }, customerDetails }
+  });
+  assert.equal(already.status, 200);
+  assert.equal(already.body.alreadySent, true);
+  assert.equal(already.body.messageId, "eml_earlier");
+
+  const queued = await server.request("POST", "/send-order-confirmation", {
+    body: {
+      customerEmail: "asha@example.com",
+      orderDetails: { orderNumber: "R-NEW", products: [{ name: "Oil", quantity: 1, price: 999 }], totalAmount: 999, paymentMethod: "Razorpay" },
+      customerDetails
+    }
+  });
+  assert.equal(queued.status, 202);
+  assert.equal(server.read("email-outbox")[queued.body.messageId].template, "order-confirmation");
+});
+
+test("advance confirmations need an email and order details", async () => {
+  assert.equal((await server.request("POST", "/send-advance-payment-confirmation")).status, 400);
+
+  const missingOrder = await server.request("POST", "/send-advance-payment-confirmation", { body: { customerEmail: "asha@example.com" } });
+  assert.equal(missingOrder.status, 400);
+  assert.equal(missingOrder.body.message, "Order details with an order number are required");
+});
+
+test("advance confirmations take the amounts from the ledger order", async () => {
+  const response = await server.request("POST", "/send-advance-payment-confirmation", {
+    body: {
+      customerEmail: "asha@example.com",
+      orderDetails: { orderNumber: "R-ADVANCE", totalAmount: 1178.82, advanceAmount: 1178.82, balanceAmount: 0 },
+      customerDetails
+    }
+  });
+  assert.equal(response.status, 202);
+
+  const { text } = server.read("email-outbox")[response.body.messageId].message;
+  assert.ok(text.includes("₹ 200"));
+  assert.ok(text.includes("₹ 978.82"));
+  assert.ok(text.includes("pay_advance"));
+});
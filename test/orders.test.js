@@ -0,0 +1,253 @@
+// Order ledger transitions, as driven by Razorpay webhooks, the Shiprocket
+// tracking webhook and the manual status route.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { createFakeShiprocket } = require("../fake-shiprocket");
+const { startServer, signWebhook } = require("./support/server");
+
+const WEBHOOK_SECRET = "test-webhook-secret";
+const TRACKING_TOKEN = "test-tracking-token";
+const ADMIN = { "x-admin-key": "test-admin-key" };
+
+function ledgerOrder(id, receipt, overrides = {}) {
+  return {
+    id,
+    receipt,
+    amount: 1178.82,
+    currency: "INR",
+    status: "created",
+    tenant: "default",
+    storefront: "drjoints.in",
+    paymentMode: "full",
+    totalAmount: 1178.82,
+    paymentId: null,
+    customer: {
+      firstName: "Asha",
+      email: "asha@example.com",
+      phone: "9876543210",
+      address: "12 MG Road, Camp",
+      city: "Pune",
+      state: "Maharashtra",
+      zip: "411001"
+    },
+    cart: {
+      lines: [{ sku: "DRJ-OIL-100", name: "Dr Joints Pain Relief Oil (100 ml)", quantity: 1, unitPrice: 99900, taxRate: 18, subtotal: 99900, tax: 17982, total: 117882 }]
+    },
+    history: [{ status: "created", at: "2026-01-01T00:00:00.000Z" }],
+    createdAt: "2026-01-01T00:00:00.000Z",
+    updatedAt: "2026-01-01T00:00:00.000Z",
+    ...overrides
+  };
+}
+
+let shiprocket;
+let server;
+
+function sendWebhook(eventId, body) {
+  const raw = JSON.stringify(body);
+  return server.request("POST", "/razorpay/webhook", {
+    body: raw,
+    headers: { "x-razorpay-signature": signWebhook(raw, WEBHOOK_SECRET), "x-razorpay-event-id": eventId }
+  });
+}
+
+function paymentEntity(orderId, paymentId) {
+  return { id: paymentId, order_id: orderId, amount: 117882, currency: "INR", status: "captured" };
+}
+
+before(async () => {
+  const fake = createFakeShiprocket();
+  await new Promise(resolve => {
+    shiprocket = fake.listen(0, resolve);
+  });
+
+  server = await startServer({
+    env: {
+      RAZORPAY_WEBHOOK_SECRET: WEBHOOK_SECRET,
+      SHIPROCKET_WEBHOOK_TOKEN: TRACKING_TOKEN,
+      SHIPROCKET_BASE_URL: `http://127.0.0.1:${shiprocket.address().port}/v1/external`,
+      SHIPROCKET_EMAIL: "ops@example.com",
+      SHIPROCKET_PASSWORD: "secret"
+    },
+    data: {
+      orders: {
+        order_paid: ledgerOrder("order_paid", "R-PAID"),
+        order_late: ledgerOrder("order_late", "R-LATE"),
+        order_manual: ledgerOrder("order_manual", "R-MANUAL"),
+        order_failed: ledgerOrder("order_failed", "R-FAILED"),
+        order_retry: ledgerOrder("order_retry", "R-RETRY")
+      }
+    }
+  });
+});
+
+after(async () => {
+  await server.stop();
+  await new Promise(resolve => shiprocket.close(resolve));
+});
+
+test("payment.captured marks the order paid, fulfils it and ships it", async () => {
+  const response = await sendWebhook("evt_captured", {
+    event: "payment.captured",
+    payload: { payment: { entity: paymentEntity("order_paid", "pay_paid") } }
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.status, "processed");
+
+  const order = server.read("orders").order_paid;
+  assert.equal(order.status, "shipped");
+  assert.equal(order.paymentId, "pay_paid");
+  assert.deepEqual(order.history.map(entry => entry.status), ["created", "paid", "shipped"]);
+  assert.equal(order.fulfilment.shiprocket.success, true);
+  assert.equal(order.fulfilment.email.success, true);
+});
+
+test("order.paid arriving after fulfilment is a no-op, not a failed event", async () => {
+  await sendWebhook("evt_late_captured", {
+    event: "payment.captured",
+    payload: { payment: { entity: paymentEntity("order_late", "pay_late") } }
+  });
+
+  const response = await sendWebhook("evt_late_paid", {
+    event: "order.paid",
+    payload: {
+      order: { entity: { id: "order_late", receipt: "R-LATE", status: "paid" } },
+      payment: { entity: paymentEntity("order_late", "pay_late") }
+    }
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.status, "processed");
+  assert.equal(server.read("webhook-events").evt_late_paid.error, null);
+
+  const order = server.read("orders").order_late;
+  assert.equal(order.status, "shipped");
+  assert.equal(order.history.filter(entry => entry.status === "paid").length, 1);
+});
+
+test("redelivered webhooks are ignored by event id", async () => {
+  const response = await sendWebhook("evt_captured", {
+    event: "payment.captured",
+    payload: { payment: { entity: paymentEntity("order_paid", "pay_paid") } }
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.message, "Duplicate event ignored");
+});
+
+test("an event that fails is answered with a 500 and processed when redelivered", async () => {
+  const body = {
+    event: "payment.captured",
+    payload: { payment: { entity: paymentEntity("order_retry", "pay_retry") } }
+  };
+
+  // A directory where the store writes its temp file makes saving orders fail
+  const blocker = path.join(server.dataDir, "orders.json.tmp");
+  fs.mkdirSync(blocker);
+  const failed = await sendWebhook("evt_retry", body);
+  fs.rmdirSync(blocker);
+
+  assert.equal(failed.status, 500);
+  assert.equal(failed.body.status, "failed");
+  assert.equal(server.read("webhook-events").evt_retry.status, "failed");
+
+  const redelivered = await sendWebhook("evt_retry", body);
+  assert.equal(redelivered.status, 200);
+  assert.equal(redelivered.body.status, "processed");
+
+  const record = server.read("webhook-events").evt_retry;
+  assert.equal(record.attempts, 2);
+  assert.equal(record.error, null);
+  assert.equal(server.read("orders").order_retry.status, "shipped");
+
+  // Once processed, further deliveries are duplicates again
+  assert.equal((await sendWebhook("evt_retry", body)).body.message, "Duplicate event ignored");
+});
+
+test("webhooks with a bad signature are rejected", async () => {
+  const response = await server.request("POST", "/razorpay/webhook", {
+    body: { event: "payment.captured", payload: { payment: { entity: paymentEntity("order_manual", "pay_x") } } },
+    headers: { "x-razorpay-signature": "not-a-signature" }
+  });
+
+  assert.equal(response.status, 400);
+  assert.equal(server.read("orders").order_manual.status, "created");
+});
+
+test("payment.failed adds an event without changing the status", async () => {
+  const response = await sendWebhook("evt_failed", {
+    event: "payment.failed",
+    payload: { payment: { entity: { ...paymentEntity("order_failed", "pay_failed"), status: "failed", error_description: "Card declined" } } }
+  });
+
+  assert.equal(response.body.status, "processed");
+  const order = server.read("orders").order_failed;
+  assert.equal(order.status, "created");
+  assert.deepEqual(order.history.at(-1).event, "payment_failed");
+  assert.equal(order.history.at(-1).reason, "Card declined");
+});
+
+test("tracking webhooks link the AWB and move a shipped order to delivered", async () => {
+  const send = status => server.request("POST", "/courier/tracking-webhook", {
+    body: { awb: "AWB100", order_id: "R-PAID", current_status: status, courier_name: "Delhivery Surface" },
+    headers: { "x-api-key": TRACKING_TOKEN }
+  });
+
+  assert.equal((await send("IN TRANSIT")).status, 200);
+  let order = server.read("orders").order_paid;
+  assert.equal(order.status, "shipped");
+  assert.equal(order.awb, "AWB100");
+  assert.equal(order.courier, "Delhivery Surface");
+
+  assert.equal((await send("DELIVERED")).body.milestone, "delivered");
+  order = server.read("orders").order_paid;
+  assert.equal(order.status, "delivered");
+
+  const tracking = await server.request("POST", "/orders/track", { body: { orderNumber: "R-PAID", phone: "+91 98765 43210" } });
+  assert.equal(tracking.status, 200);
+  assert.equal(tracking.body.tracking.awb, "AWB100");
+});
+
+test("tracking webhooks need the configured token", async () => {
+  const response = await server.request("POST", "/courier/tracking-webhook", {
+    body: { awb: "AWB100", order_id: "R-PAID", current_status: "RTO INITIATED" },
+    headers: { "x-api-key": "wrong" }
+  });
+
+  assert.equal(response.status, 401);
+});
+
+test("the manual status route only allows lifecycle transitions", async () => {
+  const move = status => server.request("POST", "/orders/order_manual/status", { body: { status }, headers: ADMIN });
+
+  assert.equal((await move("delivered")).status, 409);
+  assert.equal((await move("refunded")).status, 400);
+  assert.equal((await move("paid")).status, 200);
+  // Re-applying the current status is allowed and changes nothing
+  assert.equal((await move("paid")).status, 200);
+  assert.equal((await move("cancelled")).status, 200);
+  assert.equal((await move("paid")).status, 409);
+
+  const order = server.read("orders").order_manual;
+  assert.equal(order.status, "cancelled");
+  assert.deepEqual(order.history.map(entry => entry.status), ["created", "paid", "cancelled"]);
+
+  const missing = await server.request("POST", "/orders/order_nope/status", { body: { status: "paid" }, headers: ADMIN });
+  assert.equal(missing.status, 404);
+});
+
+test("the manual status route needs the admin key", async () => {
+  const response = await server.request("POST", "/orders/order_manual/status", { body: { status: "paid" } });
+  assert.equal(response.status, 401);
+});
+
+test("bodyless requests get a 400 instead of crashing the server", async () => {
+  const response = await server.request("POST", "/orders/track");
+  assert.equal(response.status, 400);
+
+  // Still up and answering
+  assert.equal((await server.request("POST", "/orders/track", { body: {} })).status, 400);
+});
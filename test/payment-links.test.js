@@ -0,0 +1,138 @@
+// Agent payment links: pricing against the right storefront and what happens once a link is paid.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, signWebhook } = require("./support/server");
+
+const WEBHOOK_SECRET = "test-webhook-secret";
+const AGENT = { "x-agent-key": "test-agent-key" };
+
+const customer = { name: "Asha", email: "asha@example.com", phone: "9876543210" };
+
+function paymentLink(id, overrides = {}) {
+  return {
+    id,
+    shortUrl: `https://rzp.io/i/${id}`,
+    amount: 1178.82,
+    amountPaid: 0,
+    currency: "INR",
+    status: "created",
+    referenceId: `AG-${id}`,
+    orderId: null,
+    expireBy: "2026-12-01T00:00:00.000Z",
+    tenant: "default",
+    storefront: "drjoints.in",
+    cart: {
+      lines: [{ sku: "DRJ-OIL-100", name: "Dr Joints Pain Relief Oil (100 ml)", quantity: 1, unitPrice: 99900, taxRate: 18, subtotal: 99900, tax: 17982, total: 117882 }],
+      subtotal: 99900,
+      tax: 17982,
+      total: 117882
+    },
+    agentReference: `AG-${id}`,
+    description: "Pain Relief Oil x1",
+    customerName: customer.name,
+    customerEmail: customer.email,
+    customerPhone: customer.phone,
+    createdAt: "2026-01-01T00:00:00.000Z",
+    updatedAt: "2026-01-01T00:00:00.000Z",
+    ...overrides
+  };
+}
+
+function paidEvent(linkId, orderId, paymentId) {
+  return {
+    event: "payment_link.paid",
+    payload: {
+      payment_link: {
+        entity: { id: linkId, short_url: `https://rzp.io/i/${linkId}`, amount: 117882, amount_paid: 117882, currency: "INR", status: "paid", reference_id: `AG-${linkId}`, order_id: orderId, expire_by: 1795996800 }
+      },
+      payment: { entity: { id: paymentId, order_id: orderId, amount: 117882, currency: "INR", status: "captured" } }
+    }
+  };
+}
+
+let server;
+
+function sendWebhook(eventId, body) {
+  const raw = JSON.stringify(body);
+  return server.request("POST", "/razorpay/webhook", {
+    body: raw,
+    headers: { "x-razorpay-signature": signWebhook(raw, WEBHOOK_SECRET), "x-razorpay-event-id": eventId }
+  });
+}
+
+before(async () => {
+  server = await startServer({
+    env: { RAZORPAY_WEBHOOK_SECRET: WEBHOOK_SECRET, AGENT_API_KEY: "test-agent-key" },
+    data: {
+      "payment-links": {
+        plink_paid: paymentLink("plink_paid"),
+        plink_noemail: paymentLink("plink_noemail", { customerEmail: null })
+      }
+    }
+  });
+});
+
+after(async () => {
+  await server.stop();
+});
+
+test("a paid link becomes a paid order on the ledger", async () => {
+  const response = await sendWebhook("evt_link_paid", paidEvent("plink_paid", "order_link", "pay_link"));
+  assert.equal(response.status, 200);
+  assert.equal(response.body.status, "processed");
+
+  const order = server.read("orders").order_link;
+  assert.equal(order.status, "paid");
+  assert.equal(order.receipt, "AG-plink_paid");
+  assert.equal(order.amount, 1178.82);
+  assert.equal(order.storefront, "drjoints.in");
+  assert.equal(order.paymentId, "pay_link");
+  assert.equal(order.paymentLinkId, "plink_paid");
+  assert.equal(order.customer.email, "asha@example.com");
+  assert.equal(order.cart.lines[0].sku, "DRJ-OIL-100");
+
+  const link = server.read("payment-links").plink_paid;
+  assert.equal(link.status, "paid");
+  assert.equal(link.orderId, "order_link");
+});
+
+test("the customer gets a receipt copied to the admins, once", async () => {
+  const receipts = () => Object.values(server.read("email-outbox"))
+    .filter(entry => entry.template === "payment-link" && entry.message.subject.startsWith("Payment received"));
+
+  assert.equal(receipts().length, 1);
+  assert.equal(receipts()[0].message.to, "asha@example.com");
+  assert.ok(receipts()[0].message.cc);
+  assert.ok(receipts()[0].message.text.includes("pay_link"));
+
+  // Razorpay can report the same payment under another event id
+  await sendWebhook("evt_link_paid_again", paidEvent("plink_paid", "order_link", "pay_link"));
+  assert.equal(receipts().length, 1);
+  assert.equal(server.read("orders").order_link.history.filter(entry => entry.status === "paid").length, 1);
+});
+
+test("links without an email still reach the ledger", async () => {
+  const response = await sendWebhook("evt_noemail_paid", paidEvent("plink_noemail", "order_noemail", "pay_noemail"));
+  assert.equal(response.body.status, "processed");
+  assert.equal(server.read("orders").order_noemail.status, "paid");
+});
+
+test("agents on the default tenant name the storefront that prices their items", async () => {
+  const create = body => server.request("POST", "/payment-links", {
+    body: { agentReference: "AG-1", customer, items: [{ sku: "DRJ-OIL-100", quantity: 1 }], ...body },
+    headers: { ...AGENT, origin: "https://agent-sigma-livid.vercel.app" }
+  });
+
+  const missing = await create({});
+  assert.equal(missing.status, 400);
+  assert.deepEqual(missing.body.errors, ["storefront is required to price items"]);
+
+  const unknown = await create({ storefront: "agent-sigma-livid.vercel.app" });
+  assert.equal(unknown.status, 400);
+  assert.match(unknown.body.errors[0], /No product catalog/);
+
+  // Pricing passes and the request gets as far as Razorpay, which has no keys here
+  const priced = await create({ storefront: "drjoints.in" });
+  assert.equal(priced.status, 500);
+  assert.equal(priced.body.message, "Failed to create payment link");
+});
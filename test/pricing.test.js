@@ -0,0 +1,101 @@
+// Server-side pricing in /create-order: the storefront's catalog sets the amount, and
+// the storefront comes from the tenant or Origin, never from the request itself.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./support/server");
+
+const DRJOINTS = { origin: "https://www.drjoints.in" };
+
+let server;
+
+before(async () => {
+  server = await startServer({
+    data: {
+      tenants: {
+        "drjoints.in": { name: "Dr Joints", apiKey: "test-drjoints-key", origins: ["https://drjoints.in"] }
+      }
+    }
+  });
+});
+
+after(async () => {
+  await server.stop();
+});
+
+function createOrder(body, headers = DRJOINTS) {
+  return server.request("POST", "/create-order", { body, headers });
+}
+
+test("line items are priced from the catalog, with tax on top", async () => {
+  const response = await createOrder({ items: [{ sku: "DRJ-OIL-100", quantity: 2 }], amount: 1 });
+
+  assert.equal(response.status, 400);
+  assert.equal(response.body.message, "Order amount 1 does not match the computed total 2357.64");
+  assert.deepEqual(response.body.breakdown, {
+    lines: [{ sku: "DRJ-OIL-100", name: "Dr Joints Pain Relief Oil (100 ml)", quantity: 2, unitPrice: 99900, taxRate: 18, subtotal: 199800, tax: 35964, total: 235764 }],
+    subtotal: 199800,
+    tax: 35964,
+    total: 235764
+  });
+});
+
+test("an order that prices cleanly goes on to Razorpay", async () => {
+  // There are no Razorpay keys here, so getting this far ends in a 500 rather than a 400
+  const response = await createOrder({ items: [{ sku: "DRJ-OIL-100", quantity: 1, price: 999 }], amount: 1178.82 });
+
+  assert.equal(response.status, 500);
+  assert.equal(response.body.message, "Failed to create order");
+  assert.equal(Object.keys(server.read("orders")).length, 0);
+});
+
+test("unknown, inactive, mispriced and badly counted items are rejected with one error each", async () => {
+  const response = await createOrder({
+    items: [
+      { sku: "NOPE", quantity: 1 },
+      { sku: "DRJ-OIL-200", quantity: 1 },
+      { sku: "DRJ-OIL-100", quantity: 1, price: 1 },
+      { sku: "DRJ-OIL-100", quantity: 1.5 }
+    ]
+  });
+
+  assert.equal(response.status, 400);
+  assert.equal(response.body.message, "Could not price order");
+  assert.deepEqual(response.body.errors, [
+    "items[0]: unknown SKU \"NOPE\"",
+    "items[1]: DRJ-OIL-200 is not available for sale",
+    "items[2]: price 1 for DRJ-OIL-100 does not match the current price 999",
+    "items[3]: quantity must be a positive whole number"
+  ]);
+
+  const empty = await createOrder({ items: [] });
+  assert.equal(empty.status, 400);
+  assert.deepEqual(empty.body.errors, ["items must be a non-empty array of { sku, quantity }"]);
+});
+
+test("a storefront named in the body or query is ignored", async () => {
+  // TEST-001 costs ₹1 on localhost; the Origin still prices against drjoints.in
+  const response = await server.request("POST", "/create-order?storefront=localhost", {
+    body: { storefront: "localhost", items: [{ sku: "TEST-001", quantity: 1 }] },
+    headers: DRJOINTS
+  });
+
+  assert.equal(response.status, 400);
+  assert.deepEqual(response.body.errors, ["items[0]: unknown SKU \"TEST-001\""]);
+});
+
+test("without an Origin or tenant there is no catalog to price against", async () => {
+  const response = await createOrder({ storefront: "drjoints.in", items: [{ sku: "DRJ-OIL-100", quantity: 1 }] }, {});
+
+  assert.equal(response.status, 400);
+  assert.deepEqual(response.body.errors, ["No product catalog configured for storefront \"\""]);
+});
+
+test("a configured tenant prices against its own catalog whatever the Origin says", async () => {
+  const response = await createOrder({ items: [{ sku: "TEST-001", quantity: 1 }] }, {
+    "x-api-key": "test-drjoints-key",
+    origin: "http://localhost:3000"
+  });
+
+  assert.equal(response.status, 400);
+  assert.deepEqual(response.body.errors, ["items[0]: unknown SKU \"TEST-001\""]);
+});
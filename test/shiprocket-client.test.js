@@ -0,0 +1,107 @@
+// The shared Shiprocket client: one login for concurrent callers, re-login on a
+// revoked token and bounded requests, both directly and through the backend routes.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { createFakeShiprocket } = require("../fake-shiprocket");
+const { ShiprocketClient, ShiprocketAuthError, ShiprocketTimeoutError } = require("../shiprocket");
+const { startServer } = require("./support/server");
+
+let fake;
+let shiprocket;
+let baseUrl;
+let requests = [];
+let server;
+
+const logins = () => requests.filter(line => line === "POST /v1/external/auth/login").length;
+
+function client(options = {}) {
+  return new ShiprocketClient({ email: "ops@example.com", password: "secret", baseUrl, timeoutMs: 300, ...options });
+}
+
+before(async () => {
+  fake = createFakeShiprocket({ email: "ops@example.com", password: "secret" });
+  fake.state.shipments[5000] = { shipment_id: 5000, order_id: 1000, awb: "AWB5000", courier: "Delhivery Surface", status: "IN TRANSIT", scans: [] };
+
+  shiprocket = http.createServer((req, res) => {
+    requests.push(`${req.method} ${req.url.split("?")[0]}`);
+    fake(req, res);
+  });
+  await new Promise(resolve => shiprocket.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${shiprocket.address().port}/v1/external`;
+
+  server = await startServer({
+    env: {
+      SHIPROCKET_BASE_URL: baseUrl,
+      SHIPROCKET_EMAIL: "ops@example.com",
+      SHIPROCKET_PASSWORD: "secret",
+      SHIPROCKET_TIMEOUT_MS: "300"
+    }
+  });
+});
+
+after(async () => {
+  await server.stop();
+  await new Promise(resolve => shiprocket.close(resolve));
+});
+
+test("concurrent callers share one login", async () => {
+  requests = [];
+  const shared = client();
+
+  const results = await Promise.all([1, 2, 3].map(() => shared.get("/courier/track/shipment/5000")));
+
+  assert.ok(results.every(result => result.ok));
+  assert.equal(logins(), 1);
+
+  await shared.get("/courier/track/shipment/5000");
+  assert.equal(logins(), 1);
+});
+
+test("a revoked token is replaced with one re-login and the call retried", async () => {
+  const shared = client();
+  await shared.getToken();
+  requests = [];
+
+  fake.state.tokens = {};
+  const result = await shared.get("/courier/track/shipment/5000");
+
+  assert.equal(result.status, 200);
+  assert.deepEqual(requests, [
+    "GET /v1/external/courier/track/shipment/5000",
+    "POST /v1/external/auth/login",
+    "GET /v1/external/courier/track/shipment/5000"
+  ]);
+});
+
+test("rejected credentials throw an auth error", async () => {
+  await assert.rejects(client({ password: "wrong" }).get("/courier/track/shipment/5000"), ShiprocketAuthError);
+});
+
+test("a slow answer throws a timeout error", async () => {
+  const shared = client({ timeoutMs: 100 });
+  await shared.getToken();
+  fake.state.failures.push({ path: "/v1/external/courier/track", times: 1, delayMs: 400 });
+
+  await assert.rejects(shared.get("/courier/track/shipment/5000"), ShiprocketTimeoutError);
+});
+
+test("backend routes log in again when Shiprocket revokes the token", async () => {
+  assert.equal((await server.request("GET", "/shiprocket/track/5000")).status, 200);
+
+  requests = [];
+  fake.state.tokens = {};
+  const response = await server.request("GET", "/shiprocket/track/5000");
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.tracking.tracking_data.shipment_track[0].awb_code, "AWB5000");
+  assert.equal(logins(), 1);
+});
+
+test("backend routes answer a Shiprocket timeout with an error instead of hanging", async () => {
+  fake.state.failures.push({ path: "/v1/external/courier/track", times: 1, delayMs: 1000 });
+
+  const response = await server.request("GET", "/shiprocket/track/5000");
+  assert.equal(response.status, 500);
+  assert.match(response.body.error, /timed out after 300ms/);
+});
@@ -0,0 +1,106 @@
+// Correcting and replaying Shiprocket orders that were dead-lettered after failing.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createFakeShiprocket } = require("../fake-shiprocket");
+const { startServer } = require("./support/server");
+
+const ADMIN = { "x-admin-key": "test-admin-key" };
+
+const orderData = {
+  order_id: "R-QUEUED",
+  order_date: "2026-01-01 10:00",
+  pickup_location: "Primary",
+  billing_customer_name: "Asha",
+  billing_last_name: "Kumar",
+  billing_address: "12 MG Road, Camp",
+  billing_city: "Pune",
+  billing_pincode: "41100",
+  billing_state: "Maharashtra",
+  billing_country: "India",
+  billing_email: "asha@example.com",
+  billing_phone: "9876543210",
+  shipping_is_billing: true,
+  order_items: [{ name: "Dr Joints Pain Relief Oil (100 ml)", sku: "DRJ-OIL-100", units: 1, selling_price: 999 }],
+  payment_method: "Prepaid",
+  sub_total: 999,
+  length: 10,
+  breadth: 10,
+  height: 10,
+  weight: 0.5
+};
+
+function queueEntry(id, status) {
+  return {
+    id,
+    tenant: "default",
+    orderId: null,
+    orderData: { ...orderData, order_id: `R-${id}` },
+    status,
+    attempts: 5,
+    maxAttempts: 5,
+    nextAttemptAt: null,
+    lastStatus: 422,
+    lastError: { errors: { billing_pincode: ["The billing pincode must be 6 digits."] } },
+    history: [],
+    createdAt: "2026-01-01T00:00:00.000Z",
+    updatedAt: "2026-01-01T00:00:00.000Z"
+  };
+}
+
+let shiprocket;
+let server;
+
+before(async () => {
+  await new Promise(resolve => {
+    shiprocket = createFakeShiprocket().listen(0, resolve);
+  });
+
+  server = await startServer({
+    env: {
+      SHIPROCKET_BASE_URL: `http://127.0.0.1:${shiprocket.address().port}/v1/external`,
+      SHIPROCKET_EMAIL: "ops@example.com",
+      SHIPROCKET_PASSWORD: "secret"
+    },
+    data: {
+      "shiprocket-queue": {
+        srq_dead: queueEntry("srq_dead", "dead"),
+        srq_done: queueEntry("srq_done", "succeeded")
+      }
+    }
+  });
+});
+
+after(async () => {
+  await server.stop();
+  await new Promise(resolve => shiprocket.close(resolve));
+});
+
+test("editing a queued order needs an orderData object", async () => {
+  const bodyless = await server.request("POST", "/shiprocket/queue/srq_dead/edit", { headers: ADMIN });
+  assert.equal(bodyless.status, 400);
+  assert.equal(bodyless.body.message, "orderData must be an object of fields to update");
+
+  const list = await server.request("POST", "/shiprocket/queue/srq_dead/edit", { body: { orderData: [] }, headers: ADMIN });
+  assert.equal(list.status, 400);
+
+  assert.equal((await server.request("POST", "/shiprocket/queue/srq_nope/edit", { body: { orderData: {} }, headers: ADMIN })).status, 404);
+  assert.equal((await server.request("POST", "/shiprocket/queue/srq_done/edit", { body: { orderData: {} }, headers: ADMIN })).status, 409);
+  assert.equal((await server.request("POST", "/shiprocket/queue/srq_dead/edit", { body: { orderData: {} } })).status, 401);
+});
+
+test("a corrected dead-lettered order can be replayed", async () => {
+  const edit = await server.request("POST", "/shiprocket/queue/srq_dead/edit", {
+    body: { orderData: { billing_pincode: "411001" } },
+    headers: ADMIN
+  });
+  assert.equal(edit.status, 200);
+  assert.equal(edit.body.entry.orderData.billing_pincode, "411001");
+  assert.equal(edit.body.entry.orderData.billing_city, "Pune");
+  assert.deepEqual(edit.body.entry.history.at(-1).fields, ["billing_pincode"]);
+
+  const replay = await server.request("POST", "/shiprocket/queue/srq_dead/replay", { headers: ADMIN });
+  assert.equal(replay.status, 200);
+  assert.equal(replay.body.entry.status, "succeeded");
+  assert.equal(replay.body.entry.attempts, 1);
+  assert.equal(replay.body.data.order_id, 1000);
+});
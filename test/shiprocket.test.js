@@ -0,0 +1,91 @@
+// Admin shipment routes (AWB, pickup and cancellation) against the fake Shiprocket server.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createFakeShiprocket } = require("../fake-shiprocket");
+const { startServer } = require("./support/server");
+
+const ADMIN = { "x-admin-key": "test-admin-key" };
+
+let fake;
+let shiprocket;
+let server;
+
+before(async () => {
+  fake = createFakeShiprocket();
+  await new Promise(resolve => {
+    shiprocket = fake.listen(0, resolve);
+  });
+
+  // A Shiprocket order for ledger order R-SHIP that has not been given an AWB yet
+  fake.state.orders[1000] = { order_id: 1000, channel_order_id: "R-SHIP", status: "NEW", shipment_id: 5000, payload: {} };
+  fake.state.shipments[5000] = { shipment_id: 5000, order_id: 1000, awb: null, courier: null, status: "NEW", scans: [] };
+
+  server = await startServer({
+    env: {
+      SHIPROCKET_BASE_URL: `http://127.0.0.1:${shiprocket.address().port}/v1/external`,
+      SHIPROCKET_EMAIL: "ops@example.com",
+      SHIPROCKET_PASSWORD: "secret"
+    },
+    data: {
+      orders: {
+        order_ship: {
+          id: "order_ship",
+          receipt: "R-SHIP",
+          status: "shipped",
+          tenant: "default",
+          shiprocketOrderId: 1000,
+          shipmentId: 5000,
+          history: [{ status: "created", at: "2026-01-01T00:00:00.000Z" }],
+          createdAt: "2026-01-01T00:00:00.000Z",
+          updatedAt: "2026-01-01T00:00:00.000Z"
+        }
+      }
+    }
+  });
+});
+
+after(async () => {
+  await server.stop();
+  await new Promise(resolve => shiprocket.close(resolve));
+});
+
+test("shipment routes need the admin key", async () => {
+  assert.equal((await server.request("POST", "/shiprocket/shipments/5000/awb")).status, 401);
+  assert.equal((await server.request("POST", "/shiprocket/orders/cancel", { body: { ids: [1000] } })).status, 401);
+});
+
+test("assigning an AWB and scheduling a pickup work without a request body", async () => {
+  const awb = await server.request("POST", "/shiprocket/shipments/5000/awb", { headers: ADMIN });
+  assert.equal(awb.status, 200);
+  assert.equal(awb.body.courier, "Delhivery Surface");
+
+  const order = server.read("orders").order_ship;
+  assert.equal(order.awb, awb.body.awb);
+  assert.equal(order.courier, "Delhivery Surface");
+
+  const pickup = await server.request("POST", "/shiprocket/shipments/5000/pickup", { headers: ADMIN });
+  assert.equal(pickup.status, 200);
+  assert.equal(fake.state.shipments[5000].status, "PICKUP SCHEDULED");
+});
+
+test("cancel requests without a body get a 400 instead of crashing the server", async () => {
+  const orders = await server.request("POST", "/shiprocket/orders/cancel", { headers: ADMIN });
+  assert.equal(orders.status, 400);
+  assert.match(orders.body.message, /ids must be a non-empty array/);
+
+  const shipments = await server.request("POST", "/shiprocket/shipments/cancel", { headers: ADMIN });
+  assert.equal(shipments.status, 400);
+  assert.match(shipments.body.message, /awbs must be a non-empty array/);
+
+  // Still up and answering
+  assert.equal((await server.request("POST", "/shiprocket/shipments/cancel", { body: { awbs: [] }, headers: ADMIN })).status, 400);
+});
+
+test("cancelling a Shiprocket order records it on the ledger order", async () => {
+  const response = await server.request("POST", "/shiprocket/orders/cancel", { body: { ids: [1000] }, headers: ADMIN });
+  assert.equal(response.status, 200);
+  assert.equal(fake.state.orders[1000].status, "CANCELED");
+
+  const order = server.read("orders").order_ship;
+  assert.equal(order.history.at(-1).event, "shiprocket_order_cancelled");
+});